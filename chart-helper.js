@@ -0,0 +1,133 @@
+// chart-helper.js
+const chalk = require('chalk');
+
+// Charts never get narrower or wider than this, whatever the terminal size
+const MIN_WIDTH = 40;
+const MAX_WIDTH = 120;
+
+// Sparkline levels, lowest first. Plain text uses ASCII so charts survive logs and pipes.
+const SPARK_LEVELS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+const PLAIN_SPARK_LEVELS = ['_', '.', ':', '-', '=', '+', '*', '#'];
+
+// Heatmap cells from no Pomodoros to the busiest days
+const HEAT_LEVELS = [
+  chalk.gray('·'),
+  chalk.green.dim('■'),
+  chalk.green('■'),
+  chalk.greenBright('■'),
+  chalk.bold.greenBright('■')
+];
+const PLAIN_HEAT_LEVELS = ['.', '-', '+', '*', '#'];
+
+// Heatmap rows, with labels on every other day like GitHub's calendar
+const WEEKDAY_LABELS = ['Mon', '', 'Wed', '', 'Fri', '', 'Sun'];
+
+/**
+ * Checks whether charts should be drawn without colors
+ * @returns {boolean} True if colors are disabled, for example by NO_COLOR or output to a file
+ */
+function isPlain() {
+  return chalk.level === 0;
+}
+
+/**
+ * Gets how wide charts can be in the current terminal
+ * @param {number} [columns] - The terminal width, if known
+ * @returns {number} The chart width in characters
+ */
+function getChartWidth(columns = process.stdout.columns) {
+  return Math.max(MIN_WIDTH, Math.min(columns || 80, MAX_WIDTH));
+}
+
+/**
+ * Scales a value to one of a number of levels. Zero is the lowest level and anything above
+ * zero gets at least the next one, so small values still show.
+ * @param {number} value - The value
+ * @param {number} max - The largest value in the chart
+ * @param {number} levels - How many levels there are
+ * @returns {number} The level, from 0 to levels - 1
+ */
+function toLevel(value, max, levels) {
+  if (!(value > 0) || !(max > 0)) return 0;
+  return Math.max(1, Math.ceil((value / max) * (levels - 1)));
+}
+
+/**
+ * Draws values as a one-line sparkline
+ * @param {Array<number|null>} values - The values, with null for gaps
+ * @param {Object} [options] - Drawing options
+ * @param {boolean} [options.plain] - Use ASCII and no colors
+ * @returns {string} The sparkline
+ */
+function sparkline(values, { plain = isPlain() } = {}) {
+  const levels = plain ? PLAIN_SPARK_LEVELS : SPARK_LEVELS;
+  const max = Math.max(0, ...values.filter(value => value !== null));
+  const line = values.map(value => (value === null ? ' ' : levels[toLevel(value, max, levels.length)])).join('');
+  return plain ? line : chalk.cyan(line);
+}
+
+/**
+ * Draws a horizontal bar chart with a line per row
+ * @param {Object[]} rows - The bars, as {label, value, text}, where text is shown after the bar
+ * @param {Object} [options] - Drawing options
+ * @param {number} [options.width] - The width of the whole chart
+ * @param {string} [options.color] - The chalk color of the bars
+ * @param {boolean} [options.plain] - Use ASCII and no colors
+ * @returns {string[]} The chart lines
+ */
+function barChart(rows, { width = getChartWidth(), color = 'cyan', plain = isPlain() } = {}) {
+  const labelWidth = Math.max(0, ...rows.map(row => row.label.length));
+  const textWidth = Math.max(0, ...rows.map(row => row.text.length));
+  const barWidth = Math.max(1, width - labelWidth - textWidth - 2);
+  const max = Math.max(0, ...rows.map(row => row.value || 0));
+
+  return rows.map(row => {
+    const length = row.value > 0 ? Math.max(1, Math.round((row.value / max) * barWidth)) : 0;
+    const bar = (plain ? '#' : '█').repeat(length).padEnd(barWidth);
+    return `${row.label.padStart(labelWidth)} ${plain ? bar : chalk[color](bar)} ${row.text}`;
+  });
+}
+
+/**
+ * Draws a calendar heatmap with a column per week and a row per weekday
+ * @param {Object[]} days - The days, starting on a Monday, as {date, value, future}
+ * @param {Object} [options] - Drawing options
+ * @param {boolean} [options.plain] - Use ASCII and no colors
+ * @returns {string[]} The heatmap lines, with month names above the weeks they start in and a legend below
+ */
+function heatmap(days, { plain = isPlain() } = {}) {
+  const levels = plain ? PLAIN_HEAT_LEVELS : HEAT_LEVELS;
+  const max = Math.max(0, ...days.map(day => day.value));
+  const weeks = [];
+  for (let i = 0; i < days.length; i += 7) {
+    weeks.push(days.slice(i, i + 7));
+  }
+
+  // Each week takes two columns, so a month name starts over the week holding the 1st
+  let months = '';
+  weeks.forEach((week, index) => {
+    const firstOfMonth = week.find(day => day.date.getDate() === 1) || (index === 0 ? week[0] : null);
+    if (firstOfMonth && months.length <= index * 2) {
+      months = months.padEnd(index * 2) + firstOfMonth.date.toLocaleDateString('en-US', { month: 'short' });
+    }
+  });
+
+  const rows = WEEKDAY_LABELS.map((label, weekday) => `${label.padEnd(4)}${weeks.map(week => {
+    const day = week[weekday];
+    return !day || day.future ? ' ' : levels[toLevel(day.value, max, levels.length)];
+  }).join(' ')}`);
+
+  return [
+    `${''.padEnd(4)}${months}`,
+    ...rows,
+    `${''.padEnd(4)}Less ${levels.join(' ')} More`
+  ];
+}
+
+module.exports = {
+  isPlain,
+  getChartWidth,
+  sparkline,
+  barChart,
+  heatmap
+};
@@ -0,0 +1,161 @@
+// cli-helper.js
+const chalk = require('chalk');
+
+// Exit codes returned by non-interactive commands
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2
+};
+
+// Flags that never take a value
+const BOOLEAN_FLAGS = new Set([
+  'all',
+  'completed',
+  'dry-run',
+  'help',
+  'jira',
+  'json',
+  'pending',
+  'version'
+]);
+
+// Single letter aliases for common flags
+const FLAG_ALIASES = {
+  h: 'help',
+  v: 'version',
+  n: 'name',
+  p: 'points',
+  t: 'time'
+};
+
+// Flags that choose files for any run, interactive or not
+const GLOBAL_FLAGS = new Set(['config', 'data']);
+
+// Commands that expect a subcommand as their first positional argument
+const COMMAND_GROUPS = new Set(['jira', 'backup', 'xp']);
+
+// Usage lines shown by printUsage
+const COMMANDS = [
+  ['add --name <name> [--points <n>] [--time <minutes>]', 'Add a new ticket'],
+  ['list [--pending | --completed] [--json]', 'List tickets'],
+  ['start <ticket>', 'Start a Pomodoro on a ticket'],
+  ['complete <ticket> [--jira]', 'Mark a ticket as completed, or claim one closed in Jira'],
+  ['stats [--json]', 'Show statistics'],
+  ['jira import [--select <list>] [--dry-run]', 'Import your open tickets from Jira'],
+  ['jira import --query <name>|--jql <jql>|--filter <id>', 'Import from a saved query, JQL or a Jira filter'],
+  ['jira sync [--dry-run]', 'Sync Jira-linked tickets with their issues'],
+  ['jira pending [--dry-run]', 'Send Jira changes that are waiting to be synced'],
+  ['jira import|sync --connection <name>', 'Use a Jira connection other than the active one'],
+  ['jira connections', 'List Jira connections, marking the active one'],
+  ['sessions [--ticket <ticket>] [--since <date>] [--json]', 'Show the Pomodoro session log'],
+  ['report [--range today|week|sprint]', 'Report on today, this week (default) or this sprint'],
+  ['report --from <day> [--to <day>]', 'Report on a range of days, e.g. --from 2024-01-01'],
+  ['report [--by ticket|project|day]', 'Group the report by ticket (default), Jira project or day'],
+  ['report [--format csv|json|md] [--output <file>]', 'Export the report to standard output or a file'],
+  ['xp history [--ticket <ticket>] [--json]', 'Show every XP award, bonus, penalty and adjustment'],
+  ['xp replay [--dry-run]', 'Recalculate ticket XP under the current XP rules'],
+  ['backup list [--json]', 'List data backups'],
+  ['backup create', 'Back up the data file now'],
+  ['backup restore <number>', 'Restore a backup from the list'],
+  ['help', 'Show this help']
+];
+
+/**
+ * Parses command-line arguments into a command, positionals and flags
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @returns {Object} The parsed command
+ */
+function parseArgs(argv) {
+  const parsed = {
+    command: null,
+    subcommand: null,
+    positionals: [],
+    flags: {}
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      parsed.positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (arg.startsWith('-') && arg !== '-') {
+      const isLong = arg.startsWith('--');
+      let [name, value] = arg.replace(/^--?/, '').split(/=(.*)/s);
+      if (!isLong) name = FLAG_ALIASES[name] || name;
+
+      if (value === undefined && !BOOLEAN_FLAGS.has(name)) {
+        const next = argv[i + 1];
+        if (next !== undefined && !next.startsWith('-')) {
+          value = next;
+          i++;
+        }
+      }
+
+      parsed.flags[name] = value === undefined ? true : value;
+      continue;
+    }
+
+    parsed.positionals.push(arg);
+  }
+
+  if (parsed.positionals.length > 0) {
+    parsed.command = parsed.positionals.shift().toLowerCase();
+    if (COMMAND_GROUPS.has(parsed.command) && parsed.positionals.length > 0) {
+      parsed.subcommand = parsed.positionals.shift().toLowerCase();
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Checks whether the arguments ask for a command rather than the interactive menu
+ * @param {Object} parsed - Arguments from parseArgs
+ * @returns {boolean} True if a command or a command flag was given
+ */
+function isCommandRun(parsed) {
+  return parsed.command !== null || Object.keys(parsed.flags).some(flag => !GLOBAL_FLAGS.has(flag));
+}
+
+/**
+ * Reads a positive integer flag
+ * @param {*} value - The raw flag value
+ * @param {number} defaultValue - The value to use when the flag is absent
+ * @returns {number|null} The number, or null if the flag is not a positive integer
+ */
+function parsePositiveInt(value, defaultValue) {
+  if (value === undefined) return defaultValue;
+  const num = parseInt(value, 10);
+  return (!isNaN(num) && num > 0 && String(num) === String(value).trim()) ? num : null;
+}
+
+/**
+ * Prints usage information for the command-line interface
+ */
+function printUsage() {
+  console.log(chalk.bold('Usage: ticket-hero [command] [options]\n'));
+  console.log('Run without a command to start the interactive menu.\n');
+  console.log(chalk.bold('Commands:'));
+  COMMANDS.forEach(([usage, description]) => {
+    console.log(`  ${usage.padEnd(56)}${description}`);
+  });
+  console.log(chalk.bold('\nGlobal options:'));
+  console.log(`  ${'--config <file>'.padEnd(56)}Use this config file (or set TICKET_HERO_CONFIG)`);
+  console.log(`  ${'--data <file>'.padEnd(56)}Use this data file (or set TICKET_HERO_DATA)`);
+  console.log(chalk.bold('\nTicket references:'));
+  console.log('  <ticket> can be the number shown by `list`, a Jira key or the ticket ID.');
+  console.log(chalk.bold('\nExit codes:'));
+  console.log(`  ${EXIT_CODES.SUCCESS} success, ${EXIT_CODES.FAILURE} failure, ${EXIT_CODES.USAGE} invalid usage`);
+}
+
+module.exports = {
+  EXIT_CODES,
+  parseArgs,
+  isCommandRun,
+  parsePositiveInt,
+  printUsage
+};
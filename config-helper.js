@@ -1,9 +1,38 @@
 // config-helper.js
 const fs = require('fs');
 const path = require('path');
+const worklogHelper = require('./worklog-helper');
+const xpHelper = require('./xp-helper');
 
 const DEFAULT_CONFIG_PATH = path.join(__dirname, 'config.default.json');
-const USER_CONFIG_PATH = path.join(__dirname, 'config.json');
+
+// Jira connection used by configs from before there could be several
+const DEFAULT_CONNECTION_NAME = 'default';
+
+// Where a ticket's allocated time can come from: its story points or one of Jira's time estimates
+const ALLOCATED_TIME_SOURCES = ['storyPoints', 'timeoriginalestimate', 'timeestimate'];
+
+// Ticket Hero events a connection can map to Jira transitions
+const LIFECYCLE_EVENTS = ['started', 'completed'];
+
+// Set by setConfigPath before the config is first loaded
+let userConfigPath = path.join(__dirname, 'config.json');
+
+/**
+ * Sets where the user config file is read from and saved to
+ * @param {string} configPath - Path to the user config file
+ */
+function setConfigPath(configPath) {
+  userConfigPath = configPath;
+}
+
+/**
+ * Gets the path of the user config file
+ * @returns {string} Path to the user config file
+ */
+function getConfigPath() {
+  return userConfigPath;
+}
 
 /**
  * Loads and merges configuration from default and user config files
@@ -26,8 +55,8 @@ function loadConfig() {
   // Load user config if it exists
   let userConfig = {};
   try {
-    if (fs.existsSync(USER_CONFIG_PATH)) {
-      const userConfigData = fs.readFileSync(USER_CONFIG_PATH, 'utf8');
+    if (fs.existsSync(userConfigPath)) {
+      const userConfigData = fs.readFileSync(userConfigPath, 'utf8');
       userConfig = JSON.parse(userConfigData);
     }
   } catch (error) {
@@ -47,7 +76,8 @@ function loadConfig() {
  */
 function saveConfig(config) {
   try {
-    fs.writeFileSync(USER_CONFIG_PATH, JSON.stringify(config, null, 2), 'utf8');
+    fs.mkdirSync(path.dirname(userConfigPath), { recursive: true });
+    fs.writeFileSync(userConfigPath, JSON.stringify(config, null, 2), 'utf8');
     console.log('Configuration saved successfully');
   } catch (error) {
     console.error('Error saving configuration:', error);
@@ -102,6 +132,8 @@ function validateConfig(config) {
   if (!validated.xp) validated.xp = {};
   if (!validated.app) validated.app = {};
   if (!validated.ui) validated.ui = {};
+  if (!validated.reports) validated.reports = {};
+  if (!validated.jira) validated.jira = {};
   
   // Validate pomodoro settings
   validated.pomodoro.workDuration = validatePositiveNumber(
@@ -116,14 +148,23 @@ function validateConfig(config) {
     ? validated.pomodoro.autoStartBreaks : true;
   validated.pomodoro.autoStartPomodoros = typeof validated.pomodoro.autoStartPomodoros === 'boolean'
     ? validated.pomodoro.autoStartPomodoros : false;
+  // 0 means a session runs until it is quit
+  validated.pomodoro.maxCycles = Number.isInteger(validated.pomodoro.maxCycles) && validated.pomodoro.maxCycles >= 0
+    ? validated.pomodoro.maxCycles : 0;
   
   // Validate XP settings
   validated.xp.baseXpPerStoryPoint = validatePositiveNumber(
     validated.xp.baseXpPerStoryPoint, 10);
   validated.xp.earlyCompletionBonusPercent = validatePositiveNumber(
     validated.xp.earlyCompletionBonusPercent, 20);
+  // Streak bonuses are opt-in, so 0 turns them off
+  validated.xp.streakBonusPercent = typeof validated.xp.streakBonusPercent === 'number' && validated.xp.streakBonusPercent >= 0
+    ? validated.xp.streakBonusPercent : 0;
   validated.xp.xpLevelThresholdMultiplier = validatePositiveNumber(
     validated.xp.xpLevelThresholdMultiplier, 100);
+  validated.xp.levelCurve = xpHelper.LEVEL_CURVES[validated.xp.levelCurve] ? validated.xp.levelCurve : 'linear';
+  validated.xp.levelGrowthPercent = validatePositiveNumber(
+    validated.xp.levelGrowthPercent, 50);
   
   // Validate app settings
   validated.app.dataFile = typeof validated.app.dataFile === 'string'
@@ -141,6 +182,116 @@ function validateConfig(config) {
   validated.ui.showProgressBar = typeof validated.ui.showProgressBar === 'boolean'
     ? validated.ui.showProgressBar : true;
   
+  // Validate report settings. Sprints repeat from sprintStartDate, a YYYY-MM-DD day.
+  validated.reports.sprintLengthInDays = Math.max(1, Math.round(validatePositiveNumber(
+    validated.reports.sprintLengthInDays, 14)));
+  validated.reports.sprintStartDate = typeof validated.reports.sprintStartDate === 'string' &&
+    /^\d{4}-\d{2}-\d{2}$/.test(validated.reports.sprintStartDate) ? validated.reports.sprintStartDate : null;
+  
+  // Validate Jira settings
+  // Rules for moving issues and commenting on them as work on their tickets starts and ends
+  validated.jira.updateTicketOnStart = typeof validated.jira.updateTicketOnStart === 'boolean'
+    ? validated.jira.updateTicketOnStart : true;
+  validated.jira.updateTicketOnComplete = typeof validated.jira.updateTicketOnComplete === 'boolean'
+    ? validated.jira.updateTicketOnComplete : true;
+  validated.jira.commentOnComplete = typeof validated.jira.commentOnComplete === 'boolean'
+    ? validated.jira.commentOnComplete : true;
+  validated.jira.completionCommentTemplate = typeof validated.jira.completionCommentTemplate === 'string'
+    ? validated.jira.completionCommentTemplate : worklogHelper.DEFAULT_COMPLETION_TEMPLATE;
+  validated.jira.autoImport = typeof validated.jira.autoImport === 'boolean'
+    ? validated.jira.autoImport : false;
+  validated.jira.autoImportFrequencyInHours = validatePositiveNumber(
+    validated.jira.autoImportFrequencyInHours, 24);
+  // Named Jira connections. Configs from before there could be several have a single
+  // connection and field mapping, which become the connection named "default".
+  let connections = Array.isArray(validated.jira.connections) ? validated.jira.connections : [];
+  if (connections.length === 0 && (isObject(validated.jira.connection) || isObject(validated.jira.fieldMapping))) {
+    connections = [{ ...validated.jira.connection, name: DEFAULT_CONNECTION_NAME, fieldMapping: validated.jira.fieldMapping }];
+  }
+  delete validated.jira.connection;
+  delete validated.jira.fieldMapping;
+  validated.jira.connections = connections
+    .filter(connection => isObject(connection) && typeof connection.name === 'string' && connection.name.trim())
+    .map(validateConnection)
+    .filter((connection, index, all) => all.findIndex(other => other.name === connection.name) === index);
+  const connectionNames = validated.jira.connections.map(connection => connection.name);
+  validated.jira.activeConnection = connectionNames.includes(validated.jira.activeConnection)
+    ? validated.jira.activeConnection : (connectionNames[0] || DEFAULT_CONNECTION_NAME);
+  
+  validated.jira.maxSearchResults = Math.max(1, Math.floor(validatePositiveNumber(
+    validated.jira.maxSearchResults, 500)));
+  // Saved import queries need a name and either a JQL query or a Jira filter ID
+  validated.jira.savedQueries = Array.isArray(validated.jira.savedQueries)
+    ? validated.jira.savedQueries.filter(query => isObject(query) && typeof query.name === 'string' &&
+      (typeof query.jql === 'string' || ['string', 'number'].includes(typeof query.filterId)))
+    : [];
+  validated.jira.logWork = typeof validated.jira.logWork === 'boolean'
+    ? validated.jira.logWork : true;
+  validated.jira.worklogCommentTemplate = typeof validated.jira.worklogCommentTemplate === 'string'
+    ? validated.jira.worklogCommentTemplate : worklogHelper.DEFAULT_COMMENT_TEMPLATE;
+  
+  return validated;
+}
+
+/**
+ * Validates a saved Jira connection and sets defaults for invalid values. The host and
+ * credentials aren't part of it, they're kept in the system keychain.
+ * @param {Object} connection - The connection to validate
+ * @returns {Object} The validated connection
+ */
+function validateConnection(connection) {
+  const port = Number(connection.port);
+  const fieldMapping = isObject(connection.fieldMapping) ? connection.fieldMapping : {};
+
+  return {
+    name: connection.name.trim(),
+    deployment: connection.deployment === 'server' ? 'server' : 'cloud',
+    protocol: connection.protocol === 'http' ? 'http' : 'https',
+    port: Number.isInteger(port) && port > 0 && port < 65536 ? port : null,
+    basePath: typeof connection.basePath === 'string'
+      ? connection.basePath.trim().replace(/^\/*(?=.)/, '/').replace(/\/+$/, '') : '',
+    auth: connection.auth === 'bearer' ? 'bearer' : 'basic',
+    caFile: typeof connection.caFile === 'string' && connection.caFile.trim() ? connection.caFile.trim() : null,
+    proxy: typeof connection.proxy === 'string' && connection.proxy.trim() ? connection.proxy.trim() : null,
+    // The query for the user's own tickets; null means open issues assigned to them
+    jql: typeof connection.jql === 'string' && connection.jql.trim() ? connection.jql.trim() : null,
+    // Story points come from a custom field, found automatically when it's null
+    fieldMapping: {
+      storyPoints: typeof fieldMapping.storyPoints === 'string' && fieldMapping.storyPoints.trim()
+        ? fieldMapping.storyPoints.trim() : null,
+      allocatedTime: ALLOCATED_TIME_SOURCES.includes(fieldMapping.allocatedTime)
+        ? fieldMapping.allocatedTime : 'storyPoints'
+    },
+    // Transitions for lifecycle events, by project key or * for other projects
+    transitions: validateTransitionMapping(connection.transitions)
+  };
+}
+
+/**
+ * Validates a connection's transition mapping. An event maps to null to leave issues alone,
+ * or to a transition or status name with the fields to set, and a plain name is accepted
+ * for the latter. Anything else is dropped.
+ * @param {*} mapping - The mapping to validate
+ * @returns {Object} The validated mapping
+ */
+function validateTransitionMapping(mapping) {
+  if (!isObject(mapping)) return {};
+  
+  const validated = {};
+  Object.entries(mapping).filter(([, events]) => isObject(events)).forEach(([projectKey, events]) => {
+    validated[projectKey] = {};
+    LIFECYCLE_EVENTS.filter(event => event in events).forEach(event => {
+      const entry = typeof events[event] === 'string' ? { transition: events[event] } : events[event];
+      if (entry === null) {
+        validated[projectKey][event] = null;
+      } else if (isObject(entry) && typeof entry.transition === 'string' && entry.transition.trim()) {
+        validated[projectKey][event] = {
+          transition: entry.transition.trim(),
+          fields: isObject(entry.fields) ? entry.fields : {}
+        };
+      }
+    });
+  });
   return validated;
 }
 
@@ -156,6 +307,8 @@ function validatePositiveNumber(value, defaultValue) {
 }
 
 module.exports = {
+  setConfigPath,
+  getConfigPath,
   loadConfig,
   saveConfig
 };
\ No newline at end of file
@@ -0,0 +1,377 @@
+// data-helper.js
+const fs = require('fs');
+const path = require('path');
+
+const BACKUP_DIR_NAME = 'backups';
+const LAST_GOOD_SUFFIX = '.bak';
+
+// Time of the newest backup per data file, so saves don't scan the backup directory every time
+const lastBackupTimes = new Map();
+
+/**
+ * Gets the path of the last good copy kept beside a data file
+ * @param {string} dataFile - Path to the data file
+ * @returns {string} Path of the last good copy
+ */
+function getLastGoodPath(dataFile) {
+  return `${dataFile}${LAST_GOOD_SUFFIX}`;
+}
+
+/**
+ * Writes a file so that it is either fully replaced or left untouched.
+ * The contents go to a temporary file that is flushed to disk and then
+ * renamed over the target. The previous version is kept as the last good copy.
+ * Missing parent directories are created.
+ * @param {string} filePath - Path of the file to write
+ * @param {string} contents - The new contents
+ * @param {Object} [options] - Write options
+ * @param {boolean} [options.keepLastGood=true] - Whether to keep the previous version
+ */
+function writeFileAtomic(filePath, contents, { keepLastGood = true } = {}) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+
+  try {
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(fd, contents, null, 'utf8');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    if (keepLastGood && fs.existsSync(filePath)) {
+      fs.copyFileSync(filePath, getLastGoodPath(filePath));
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+    throw error;
+  }
+
+  fsyncDirectory(path.dirname(path.resolve(filePath)));
+}
+
+/**
+ * Flushes a directory entry so a rename survives a crash
+ * @param {string} dirPath - The directory to flush
+ */
+function fsyncDirectory(dirPath) {
+  let fd;
+  try {
+    fd = fs.openSync(dirPath, 'r');
+    fs.fsyncSync(fd);
+  } catch (error) {
+    // Directories can't be opened or synced on some platforms (e.g. Windows)
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+/**
+ * Reads and parses a data file
+ * @param {string} dataFile - Path to the data file
+ * @returns {Object} The status ('missing', 'ok' or 'corrupted'), and the data or error
+ */
+function readDataFile(dataFile) {
+  if (!fs.existsSync(dataFile)) {
+    return { status: 'missing' };
+  }
+
+  try {
+    const contents = fs.readFileSync(dataFile, 'utf8');
+    if (contents.trim() === '') {
+      throw new Error('The data file is empty');
+    }
+
+    const data = JSON.parse(contents);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('The data file does not contain a data object');
+    }
+
+    return { status: 'ok', data };
+  } catch (error) {
+    return { status: 'corrupted', error };
+  }
+}
+
+/**
+ * Lists readable copies a corrupted data file can be recovered from, best first
+ * @param {string} dataFile - Path to the data file
+ * @returns {Object[]} Copies with their label, path, creation time, ticket count and XP
+ */
+function listRecoveryCandidates(dataFile) {
+  const candidates = [];
+
+  const lastGoodPath = getLastGoodPath(dataFile);
+  const lastGood = readDataFile(lastGoodPath);
+  if (lastGood.status === 'ok') {
+    candidates.push({
+      label: 'Last good copy',
+      path: lastGoodPath,
+      createdAt: fs.statSync(lastGoodPath).mtime,
+      ticketCount: Array.isArray(lastGood.data.tickets) ? lastGood.data.tickets.length : 0,
+      xp: lastGood.data.user ? lastGood.data.user.xp : 0
+    });
+  }
+
+  listBackups(dataFile)
+    .filter(backup => backup.valid)
+    .forEach(backup => candidates.push({ label: 'Backup', ...backup }));
+
+  return candidates;
+}
+
+/**
+ * Moves a corrupted data file aside so it can be inspected later
+ * @param {string} dataFile - Path to the data file
+ * @returns {string} Path the corrupted file was moved to
+ */
+function quarantineCorruptFile(dataFile) {
+  const corruptPath = `${dataFile}.corrupt-${formatBackupTimestamp(new Date())}`;
+  fs.renameSync(dataFile, corruptPath);
+  return corruptPath;
+}
+
+/**
+ * Replaces a corrupted data file with a readable copy
+ * @param {string} dataFile - Path to the data file
+ * @param {string} sourcePath - Path of the copy to recover from
+ * @returns {Object} The recovered data and where the corrupted file was moved
+ */
+function recoverDataFile(dataFile, sourcePath) {
+  const contents = fs.readFileSync(sourcePath, 'utf8');
+  const data = JSON.parse(contents);
+
+  const corruptPath = fs.existsSync(dataFile) ? quarantineCorruptFile(dataFile) : null;
+  writeFileAtomic(dataFile, contents);
+
+  return { data, corruptPath };
+}
+
+/**
+ * Gets the directory that holds backups of a data file
+ * @param {string} dataFile - Path to the data file
+ * @returns {string} The backup directory
+ */
+function getBackupDir(dataFile) {
+  return path.join(path.dirname(path.resolve(dataFile)), BACKUP_DIR_NAME);
+}
+
+/**
+ * Formats a date as a sortable UTC timestamp for backup file names
+ * @param {Date} date - The date to format
+ * @returns {string} Timestamp such as 20240131-235959-123
+ */
+function formatBackupTimestamp(date) {
+  const iso = date.toISOString(); // 2024-01-31T23:59:59.123Z
+  return `${iso.slice(0, 10).replace(/-/g, '')}-${iso.slice(11, 19).replace(/:/g, '')}-${iso.slice(20, 23)}`;
+}
+
+/**
+ * Escapes text so a regular expression matches it literally
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Gets the pattern that the whole name of a backup of a data file matches, so backups of
+ * another data file whose name starts with the same text are left out. Backups made in the
+ * same millisecond get a counter after the timestamp.
+ * @param {string} dataFile - Path to the data file
+ * @returns {RegExp} The pattern, capturing the timestamp and the counter
+ */
+function getBackupNamePattern(dataFile) {
+  const baseName = path.basename(dataFile, path.extname(dataFile));
+  return new RegExp(`^${escapeRegExp(baseName)}-(\\d{8}-\\d{6}-\\d{3})(?:-(\\d+))?\\.json$`);
+}
+
+/**
+ * Gets the pattern that the whole name of a copy kept before a schema migration matches
+ * @param {string} dataFile - Path to the data file
+ * @returns {RegExp} The pattern
+ */
+function getMigrationBackupNamePattern(dataFile) {
+  const baseName = path.basename(dataFile, path.extname(dataFile));
+  return new RegExp(`^${escapeRegExp(baseName)}\\.schema-v\\d+\\.json$`);
+}
+
+/**
+ * Parses the timestamp embedded in a backup file name
+ * @param {string} stamp - The timestamp captured by getBackupNamePattern
+ * @returns {Date|null} The backup time, or null if it isn't a valid time
+ */
+function parseBackupTimestamp(stamp) {
+  const iso = `${stamp.slice(0, 4)}-${stamp.slice(4, 6)}-${stamp.slice(6, 8)}T` +
+    `${stamp.slice(9, 11)}:${stamp.slice(11, 13)}:${stamp.slice(13, 15)}.${stamp.slice(16, 19)}Z`;
+  const date = new Date(iso);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Lists the backups of a data file, newest first
+ * @param {string} dataFile - Path to the data file
+ * @returns {Object[]} Backups with their path, creation time, ticket count and XP
+ */
+function listBackups(dataFile) {
+  const backupDir = getBackupDir(dataFile);
+  if (!fs.existsSync(backupDir)) return [];
+
+  const pattern = getBackupNamePattern(dataFile);
+  const counters = new Map();
+
+  return fs.readdirSync(backupDir)
+    .map(fileName => ({ fileName, match: fileName.match(pattern) }))
+    .filter(({ match }) => match && parseBackupTimestamp(match[1]))
+    .map(({ fileName, match }) => {
+      counters.set(fileName, match[2] ? parseInt(match[2], 10) : 0);
+      const backupPath = path.join(backupDir, fileName);
+      const backup = {
+        fileName,
+        path: backupPath,
+        createdAt: parseBackupTimestamp(match[1]),
+        ticketCount: null,
+        xp: null,
+        valid: false
+      };
+
+      try {
+        const data = JSON.parse(fs.readFileSync(backupPath, 'utf8'));
+        backup.ticketCount = Array.isArray(data.tickets) ? data.tickets.length : 0;
+        backup.xp = data.user ? data.user.xp : 0;
+        backup.valid = true;
+      } catch (error) {
+        // Unreadable backups are still listed so the user can see them
+      }
+
+      return backup;
+    })
+    .sort((a, b) => b.createdAt - a.createdAt || counters.get(b.fileName) - counters.get(a.fileName));
+}
+
+/**
+ * Copies the current data file into the backup directory
+ * @param {string} dataFile - Path to the data file
+ * @returns {string|null} Path of the new backup, or null if there is no data file yet
+ */
+function createBackup(dataFile) {
+  if (!fs.existsSync(dataFile)) return null;
+
+  const backupDir = getBackupDir(dataFile);
+  fs.mkdirSync(backupDir, { recursive: true });
+
+  const now = new Date();
+  const baseName = path.basename(dataFile, path.extname(dataFile));
+  const stamp = formatBackupTimestamp(now);
+
+  // Never overwrite a backup made in the same millisecond, even by another process
+  for (let counter = 0; ; counter++) {
+    const suffix = counter > 0 ? `-${counter}` : '';
+    const backupPath = path.join(backupDir, `${baseName}-${stamp}${suffix}.json`);
+    try {
+      fs.copyFileSync(dataFile, backupPath, fs.constants.COPYFILE_EXCL);
+    } catch (error) {
+      if (error.code === 'EEXIST') continue;
+      throw error;
+    }
+
+    lastBackupTimes.set(path.resolve(dataFile), now.getTime());
+    return backupPath;
+  }
+}
+
+/**
+ * Deletes the oldest backups so that at most maxBackups remain
+ * @param {string} dataFile - Path to the data file
+ * @param {number} maxBackups - Number of backups to keep
+ * @returns {number} Number of backups deleted
+ */
+function rotateBackups(dataFile, maxBackups) {
+  const excess = listBackups(dataFile).slice(Math.max(0, maxBackups));
+  excess.forEach(backup => fs.unlinkSync(backup.path));
+  return excess.length;
+}
+
+/**
+ * Creates a backup if the newest one is older than the configured frequency
+ * @param {string} dataFile - Path to the data file
+ * @param {Object} options - Backup settings
+ * @param {number} options.backupFrequencyInHours - Minimum hours between backups
+ * @param {number} options.maxBackups - Number of backups to keep
+ * @returns {string|null} Path of the new backup, or null if none was due
+ */
+function backupIfDue(dataFile, { backupFrequencyInHours, maxBackups }) {
+  const key = path.resolve(dataFile);
+
+  if (!lastBackupTimes.has(key)) {
+    const [newest] = listBackups(dataFile);
+    lastBackupTimes.set(key, newest ? newest.createdAt.getTime() : 0);
+  }
+
+  const dueAt = lastBackupTimes.get(key) + backupFrequencyInHours * 60 * 60 * 1000;
+  if (Date.now() < dueAt) return null;
+
+  const backupPath = createBackup(dataFile);
+  if (backupPath) rotateBackups(dataFile, maxBackups);
+  return backupPath;
+}
+
+/**
+ * Keeps a copy of a data file as it was before a schema migration.
+ * These copies are named apart from regular backups so rotation never deletes them.
+ * @param {string} dataFile - Path to the data file
+ * @param {number} fromVersion - The schema version of the file being migrated
+ * @returns {string} Path of the copy
+ */
+function createMigrationBackup(dataFile, fromVersion) {
+  const backupDir = getBackupDir(dataFile);
+  fs.mkdirSync(backupDir, { recursive: true });
+
+  const baseName = path.basename(dataFile, path.extname(dataFile));
+  const backupPath = path.join(backupDir, `${baseName}.schema-v${fromVersion}.json`);
+
+  // Keep the first original if a migration is retried
+  if (!fs.existsSync(backupPath)) {
+    fs.copyFileSync(dataFile, backupPath);
+  }
+  return backupPath;
+}
+
+/**
+ * Replaces the data file with a backup, backing up the current data first
+ * @param {string} dataFile - Path to the data file
+ * @param {string} backupPath - Path of the backup to restore
+ * @param {number} maxBackups - Number of backups to keep
+ * @returns {Object} The restored data
+ */
+function restoreBackup(dataFile, backupPath, maxBackups) {
+  const contents = fs.readFileSync(backupPath, 'utf8');
+  const data = JSON.parse(contents); // Refuse to restore a backup that isn't valid JSON
+
+  // Keep the data being replaced so the restore itself can be undone
+  createBackup(dataFile);
+  writeFileAtomic(dataFile, contents);
+  rotateBackups(dataFile, Math.max(maxBackups, 1));
+
+  return data;
+}
+
+module.exports = {
+  writeFileAtomic,
+  readDataFile,
+  listRecoveryCandidates,
+  quarantineCorruptFile,
+  recoverDataFile,
+  getBackupDir,
+  getBackupNamePattern,
+  getMigrationBackupNamePattern,
+  listBackups,
+  createBackup,
+  rotateBackups,
+  backupIfDue,
+  createMigrationBackup,
+  restoreBackup
+};
@@ -0,0 +1,225 @@
+// estimate-helper.js
+
+// Completed tickets a group needs before its history is trusted over the defaults
+const MIN_SAMPLES = 3;
+
+// A group is chronically under-estimated when at least this share of its tickets ran over...
+const CHRONIC_OVER_SHARE = 2 / 3;
+
+// ...and they took at least this much longer than allocated on average
+const CHRONIC_RATIO = 1.2;
+
+// Suggestions are rounded to this many minutes
+const ROUND_TO_MINUTES = 5;
+
+// Allocated time used when there isn't enough history to go on
+const DEFAULT_MINUTES = {
+  perStoryPoint: 25,
+  bug: 45,
+  task: 30,
+  story: 60,
+  other: 25
+};
+
+// Group label for tickets whose issue type isn't known, such as ones added by hand
+const NO_ISSUE_TYPE = '(no type)';
+
+/**
+ * Gets the completed tickets that can tell how good their estimate was
+ * @param {Object[]} tickets - All tickets
+ * @returns {Object[]} A sample per ticket, as {ticket, storyPoints, issueType, allocated, actual, ratio}
+ */
+function getSamples(tickets) {
+  return tickets
+    .filter(ticket => ticket.completed && ticket.allocatedTime > 0 && ticket.timeSpentSeconds > 0)
+    .map(ticket => {
+      const actual = ticket.timeSpentSeconds / 60;
+      return {
+        ticket,
+        storyPoints: ticket.storyPoints,
+        issueType: ticket.issueType || null,
+        allocated: ticket.allocatedTime,
+        actual,
+        ratio: actual / ticket.allocatedTime
+      };
+    });
+}
+
+/**
+ * Gets the middle value of a list of numbers
+ * @param {number[]} values - The numbers
+ * @returns {number} The median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Sums up how a group of tickets went against their estimates
+ * @param {Object[]} samples - Samples from getSamples
+ * @returns {Object} Ticket count, mean allocated and actual minutes, the spread (standard
+ *   deviation) of the actual minutes, the median actual minutes, the mean ratio of actual to
+ *   allocated time and the share of tickets that ran over
+ */
+function summarize(samples) {
+  const count = samples.length;
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / count;
+  const actuals = samples.map(sample => sample.actual);
+  const meanActual = mean(actuals);
+
+  return {
+    count,
+    meanAllocated: mean(samples.map(sample => sample.allocated)),
+    meanActual,
+    spread: Math.sqrt(mean(actuals.map(actual => (actual - meanActual) ** 2))),
+    medianActual: median(actuals),
+    meanRatio: mean(samples.map(sample => sample.ratio)),
+    overShare: samples.filter(sample => sample.actual > sample.allocated).length / count
+  };
+}
+
+/**
+ * Checks whether a group keeps taking longer than its tickets are given
+ * @param {Object} summary - The group's summary from summarize
+ * @returns {boolean} True if the group is chronically under-estimated
+ */
+function isChronicUnderEstimate(summary) {
+  return summary.count >= MIN_SAMPLES && summary.overShare >= CHRONIC_OVER_SHARE && summary.meanRatio >= CHRONIC_RATIO;
+}
+
+/**
+ * Groups samples and sums up each group
+ * @param {Object[]} samples - Samples from getSamples
+ * @param {Function} getKey - Gets a sample's group
+ * @returns {Object[]} A summary per group with its key and whether it is chronically under-estimated
+ */
+function summarizeGroups(samples, getKey) {
+  const groups = new Map();
+  samples.forEach(sample => {
+    const key = getKey(sample);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(sample);
+  });
+
+  return [...groups.entries()].map(([key, groupSamples]) => {
+    const summary = { key, ...summarize(groupSamples) };
+    summary.chronic = isChronicUnderEstimate(summary);
+    return summary;
+  });
+}
+
+/**
+ * Works out how accurate past estimates were, per story point value and per Jira issue type
+ * @param {Object[]} tickets - All tickets
+ * @returns {Object} The overall summary (null without any completed tickets), the groups by
+ *   story points and by issue type, and the groups that are chronically under-estimated
+ */
+function getAccuracy(tickets) {
+  const samples = getSamples(tickets);
+  const byStoryPoints = summarizeGroups(samples, sample => sample.storyPoints)
+    .sort((a, b) => a.key - b.key)
+    .map(group => ({ ...group, label: `${group.key} SP` }));
+  const byIssueType = summarizeGroups(samples, sample => sample.issueType || NO_ISSUE_TYPE)
+    .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key))
+    .map(group => ({ ...group, label: group.key }));
+
+  return {
+    overall: samples.length > 0 ? summarize(samples) : null,
+    byStoryPoints,
+    byIssueType,
+    chronic: [...byStoryPoints, ...byIssueType].filter(group => group.chronic && group.key !== NO_ISSUE_TYPE)
+  };
+}
+
+/**
+ * Rounds a number of minutes for a suggestion
+ * @param {number} minutes - The minutes
+ * @returns {number} The minutes rounded to ROUND_TO_MINUTES, and at least that
+ */
+function roundMinutes(minutes) {
+  return Math.max(ROUND_TO_MINUTES, Math.round(minutes / ROUND_TO_MINUTES) * ROUND_TO_MINUTES);
+}
+
+/**
+ * Gets the allocated time to use when there isn't enough history
+ * @param {Object} options - What is known about the ticket
+ * @param {number|null} [options.storyPoints] - Its story points
+ * @param {string|null} [options.issueType] - Its Jira issue type
+ * @returns {number} The minutes
+ */
+function getDefaultMinutes({ storyPoints = null, issueType = null } = {}) {
+  if (storyPoints) return storyPoints * DEFAULT_MINUTES.perStoryPoint;
+
+  const type = (issueType || '').toLowerCase();
+  if (type.includes('bug')) return DEFAULT_MINUTES.bug;
+  if (type.includes('task')) return DEFAULT_MINUTES.task;
+  if (type.includes('story')) return DEFAULT_MINUTES.story;
+  return DEFAULT_MINUTES.other;
+}
+
+/**
+ * Suggests allocated time for a new ticket from how long similar completed tickets actually
+ * took. It tries tickets with the same story points and issue type, then the same story
+ * points, then the time per story point across all tickets. Without story points it tries
+ * the same issue type, then all tickets. Each needs MIN_SAMPLES tickets, and the defaults
+ * are used when none has enough.
+ * @param {Object[]} tickets - All tickets
+ * @param {Object} options - What is known about the new ticket
+ * @param {number|null} [options.storyPoints] - Its story points, or null if it isn't pointed
+ * @param {string|null} [options.issueType] - Its Jira issue type
+ * @returns {Object} The suggestion, as {minutes, basis, samples}, where basis describes where it came from
+ */
+function suggestAllocatedTime(tickets, { storyPoints = null, issueType = null } = {}) {
+  const samples = getSamples(tickets);
+  const sameType = sample => Boolean(issueType) && (sample.issueType || '').toLowerCase() === issueType.toLowerCase();
+  const fromMedian = (matching, description) => ({
+    minutes: roundMinutes(median(matching.map(sample => sample.actual))),
+    basis: `median of ${matching.length} completed ${description}`,
+    samples: matching.length
+  });
+
+  if (storyPoints) {
+    const samePoints = samples.filter(sample => sample.storyPoints === storyPoints);
+    const samePointsAndType = samePoints.filter(sameType);
+    if (samePointsAndType.length >= MIN_SAMPLES) {
+      return fromMedian(samePointsAndType, `${storyPoints}-point ${samePointsAndType[0].issueType} tickets`);
+    }
+    if (samePoints.length >= MIN_SAMPLES) {
+      return fromMedian(samePoints, `${storyPoints}-point tickets`);
+    }
+
+    const pointed = samples.filter(sample => sample.storyPoints > 0);
+    if (pointed.length >= MIN_SAMPLES) {
+      const minutesPerPoint = median(pointed.map(sample => sample.actual / sample.storyPoints));
+      return {
+        minutes: roundMinutes(minutesPerPoint * storyPoints),
+        basis: `${Math.round(minutesPerPoint)} min per story point over ${pointed.length} completed tickets`,
+        samples: pointed.length
+      };
+    }
+  } else {
+    const typed = samples.filter(sameType);
+    if (typed.length >= MIN_SAMPLES) {
+      return fromMedian(typed, `${typed[0].issueType} tickets`);
+    }
+    if (samples.length >= MIN_SAMPLES) {
+      return fromMedian(samples, 'tickets');
+    }
+  }
+
+  return {
+    minutes: getDefaultMinutes({ storyPoints, issueType }),
+    basis: 'default, until more tickets are completed',
+    samples: 0
+  };
+}
+
+module.exports = {
+  MIN_SAMPLES,
+  DEFAULT_MINUTES,
+  getAccuracy,
+  getDefaultMinutes,
+  suggestAllocatedTime
+};
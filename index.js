@@ -1,68 +1,177 @@
 #!/usr/bin/env node
 
 // ticket-hero-sdk - A Pomodoro App for Jira Users
-const fs = require('fs');
 const readline = require('readline');
 const chalk = require('chalk');
 const figlet = require('figlet');
 const cliProgress = require('cli-progress');
 const jiraHelper = require('./jira-helper');
 const configHelper = require('./config-helper');
+const cliHelper = require('./cli-helper');
+const dataHelper = require('./data-helper');
+const schemaHelper = require('./schema-helper');
+const sessionHelper = require('./session-helper');
+const pathsHelper = require('./paths-helper');
+const worklogHelper = require('./worklog-helper');
+const outboxHelper = require('./outbox-helper');
+const syncHelper = require('./sync-helper');
+const reportHelper = require('./report-helper');
+const estimateHelper = require('./estimate-helper');
+const chartHelper = require('./chart-helper');
+const xpHelper = require('./xp-helper');
+
+// Command-line arguments, parsed early because --config and --data choose the files to use
+const cliArgs = cliHelper.parseArgs(process.argv.slice(2));
+const appPaths = pathsHelper.resolvePaths(cliArgs.flags);
+
+// Move files left by older versions into the per-user directories
+let movedFiles = [];
+try {
+  movedFiles = pathsHelper.migrateLegacyFiles(appPaths);
+} catch (error) {
+  console.error(chalk.red('Error moving existing files to the user directory:'), error.message);
+}
 
 // Load configuration
+configHelper.setConfigPath(appPaths.configFile);
 let config = configHelper.loadConfig();
+jiraHelper.setConnections(config.jira.connections, config.jira.activeConnection);
 
-// Constants from config
-const WORK_DURATION = config.pomodoro.workDuration;
-const SHORT_BREAK_DURATION = config.pomodoro.shortBreakDuration;
-const LONG_BREAK_DURATION = config.pomodoro.longBreakDuration;
-const POMODOROS_BEFORE_LONG_BREAK = config.pomodoro.longBreakInterval;
-const DATA_FILE = config.app.dataFile;
-
-// Data structure
-let userData = {
-  user: {
-    name: '',
-    xp: 0,
-    level: 1
-  },
-  tickets: [],
-  stats: {
-    totalTicketsSolved: 0,
-    totalTimeTaken: 0,
-    totalOvertime: 0,
-    totalStoryPoints: 0,
-    totalStoryPointsPending: 0
-  }
+// Display names for the timer modes
+const MODE_NAMES = {
+  work: 'Work',
+  shortBreak: 'Short break',
+  longBreak: 'Long break'
 };
 
+// Data structure for a new data file
+function createEmptyData() {
+  return {
+    schemaVersion: schemaHelper.CURRENT_SCHEMA_VERSION,
+    user: {
+      name: '',
+      xp: 0,
+      level: 1
+    },
+    tickets: [],
+    stats: {
+      totalTicketsSolved: 0,
+      totalTimeTaken: 0,
+      totalOvertime: 0,
+      totalStoryPoints: 0,
+      totalTicketsPending: 0,
+      totalStoryPointsPending: 0
+    },
+    sessions: [],
+    jiraOutbox: [],
+    jiraLastSyncAt: null,
+    xpLog: []
+  };
+}
+
+let userData = createEmptyData();
+
 // Initialize readline interface
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout
 });
 
-// Load data from file
-function loadData() {
-  try {
-    if (fs.existsSync(DATA_FILE)) {
-      console.log(chalk.blue('Loading existing data file...'));
-      const data = fs.readFileSync(DATA_FILE, 'utf8');
-      userData = JSON.parse(data);
-      console.log(chalk.green('✓ Data loaded successfully!'));
-    } else {
-      console.log(chalk.yellow('No existing data found. Starting fresh!'));
-      saveData(); // Create the initial file
+// Whether the app was started with a non-interactive command
+let cliMode = false;
+
+// Set when the data file couldn't be read, so nothing overwrites it before the user decides what to do
+let dataLoadError = null;
+
+// Migrate loaded data to the current schema and check it is usable
+function upgradeData(data, log) {
+  const { data: migrated, fromVersion, toVersion } = schemaHelper.migrateData(data);
+
+  const errors = schemaHelper.validateData(migrated);
+  if (errors.length > 0) {
+    throw new Error(`The data file failed validation: ${errors.slice(0, 3).join('; ')}` +
+      (errors.length > 3 ? ` (and ${errors.length - 3} more)` : ''));
+  }
+
+  if (fromVersion < toVersion) {
+    const backupPath = dataHelper.createMigrationBackup(getDataFile(), fromVersion);
+    log(chalk.blue(`Upgraded data from schema version ${fromVersion} to ${toVersion}. The original was kept at ${backupPath}`));
+  }
+
+  return { data: migrated, migrated: fromVersion < toVersion };
+}
+
+// Re-read the configuration so changes saved since it was loaded take effect
+function reloadConfig() {
+  config = configHelper.loadConfig();
+  jiraHelper.setConnections(config.jira.connections, config.jira.activeConnection);
+}
+
+// Path of the data file. Read from the config each time so a change in settings applies immediately.
+function getDataFile() {
+  return appPaths.dataFileOverride || pathsHelper.resolveDataFile(config.app.dataFile);
+}
+
+// Tell the user where files from an older version were moved
+function reportMovedFiles(log) {
+  movedFiles.forEach(move => log(chalk.blue(`Moved ${move}`)));
+  movedFiles = [];
+}
+
+// Load data from file and return the load status ('ok', 'missing', 'corrupted' or 'unsupported')
+function loadData({ quiet = false } = {}) {
+  const log = quiet ? () => {} : console.log;
+  const result = dataHelper.readDataFile(getDataFile());
+
+  if (result.status === 'ok') {
+    log(chalk.blue('Loading existing data file...'));
+    try {
+      const upgrade = upgradeData(result.data, log);
+      userData = upgrade.data;
+      dataLoadError = null;
+      // The level rules may have changed since the file was saved
+      const recalculated = recalculateLevel();
+      if (upgrade.migrated || recalculated) saveData();
+    } catch (error) {
+      result.status = error.code === 'SCHEMA_TOO_NEW' ? 'unsupported' : 'corrupted';
+      result.error = error;
     }
-  } catch (error) {
-    console.error(chalk.red('Error loading data:'), error);
   }
+
+  switch (result.status) {
+    case 'ok':
+      log(chalk.green('✓ Data loaded successfully!'));
+      break;
+    case 'missing':
+      log(chalk.yellow('No existing data found. Starting fresh!'));
+      userData = createEmptyData();
+      dataLoadError = null;
+      saveData(); // Create the initial file
+      break;
+    default:
+      dataLoadError = result.error;
+      console.error(chalk.red('Error loading data:'), result.error.message);
+  }
+
+  return result.status;
 }
 
 // Save data to file
 function saveData() {
+  if (dataLoadError) {
+    console.error(chalk.red('Data not saved: the data file is corrupted and has not been recovered yet.'));
+    return;
+  }
+
+  // Back up the previous contents before overwriting them
+  try {
+    dataHelper.backupIfDue(getDataFile(), config.app);
+  } catch (error) {
+    console.error(chalk.red('Error creating backup:'), error.message);
+  }
+
   try {
-    fs.writeFileSync(DATA_FILE, JSON.stringify(userData, null, 2), 'utf8');
+    dataHelper.writeFileAtomic(getDataFile(), JSON.stringify(userData, null, 2));
   } catch (error) {
     console.error(chalk.red('Error saving data:'), error);
   }
@@ -76,41 +185,196 @@ function calculatePendingStats() {
   saveData();
 }
 
-// Update XP based on performance
-function updateXP(ticket, actualTime) {
-  const allocatedTime = ticket.allocatedTime;
-  const overtime = Math.max(0, actualTime - allocatedTime);
-  
-  // Base XP for completing a ticket
-  let xpEarned = ticket.storyPoints * config.xp.baseXpPerStoryPoint;
+// Update XP based on performance, recording each part of the award in the XP log
+function updateXP(ticket, actualTime, { claimedFromJira = false } = {}) {
+  const completedAt = new Date(ticket.completedAt);
+  const entries = xpHelper.createTicketEntries({
+    ticketId: ticket.id,
+    basis: {
+      storyPoints: ticket.storyPoints,
+      allocatedTime: ticket.allocatedTime,
+      minutesSpent: actualTime,
+      streakDays: xpHelper.getStreakDays(userData.tickets, completedAt),
+      ...(claimedFromJira ? { claimedFromJira } : {})
+    }
+  }, config.xp, completedAt);
   
-  // XP penalty for overtime
-  if (overtime > 0) {
-    const penaltyPercentage = Math.min(100, Math.floor((overtime / allocatedTime) * 100));
-    const penalty = Math.floor((xpEarned * penaltyPercentage) / 100);
-    xpEarned = Math.max(0, xpEarned - penalty);
-    
-    console.log(chalk.yellow(`⚠️ Overtime penalty: -${penalty} XP (${penaltyPercentage}% penalty)`));
-  } else {
-    // Bonus for finishing early
-    const earlyBonus = Math.floor(xpEarned * (config.xp.earlyCompletionBonusPercent / 100));
-    xpEarned += earlyBonus;
-    console.log(chalk.green(`🎉 Early completion bonus: +${earlyBonus} XP`));
-  }
+  entries.forEach(entry => {
+    if (entry.type === xpHelper.ENTRY_TYPES.OVERTIME_PENALTY) {
+      console.log(chalk.yellow(`⚠️ Overtime penalty: ${entry.xp} XP (${entry.reason})`));
+    } else if (entry.type === xpHelper.ENTRY_TYPES.EARLY_BONUS) {
+      console.log(chalk.green(`🎉 Early completion bonus: +${entry.xp} XP`));
+    } else if (entry.type === xpHelper.ENTRY_TYPES.STREAK_BONUS) {
+      console.log(chalk.green(`🔥 Streak bonus: +${entry.xp} XP (${entry.reason})`));
+    }
+  });
   
-  userData.user.xp += xpEarned;
+  userData.xpLog.push(...entries);
+  const xpEarned = entries.reduce((total, entry) => total + entry.xp, 0);
   
-  // Level up if XP threshold reached
-  const xpThreshold = userData.user.level * config.xp.xpLevelThresholdMultiplier;
-  if (userData.user.xp >= xpThreshold) {
-    userData.user.level += 1;
-    console.log(chalk.magenta(`🏆 LEVEL UP! You are now level ${userData.user.level}!`));
+  // A big ticket can cross several level thresholds at once
+  const previousLevel = userData.user.level;
+  recalculateLevel();
+  const levelsGained = userData.user.level - previousLevel;
+  if (levelsGained > 0) {
+    console.log(chalk.magenta(`🏆 LEVEL UP! You are now level ${userData.user.level}!` +
+                (levelsGained > 1 ? ` (+${levelsGained} levels)` : '')));
   }
   
   console.log(chalk.blue(`💫 XP earned: ${xpEarned}. Total XP: ${userData.user.xp}`));
+  printLevelProgress();
   saveData();
 }
 
+// Work out total XP from the XP log, and the level it reaches on the configured level curve.
+// Returns true if either changed.
+function recalculateLevel() {
+  const xp = xpHelper.getTotalXp(userData.xpLog);
+  const level = xpHelper.getLevel(xp, config.xp);
+  const changed = xp !== userData.user.xp || level !== userData.user.level;
+  userData.user.xp = xp;
+  userData.user.level = level;
+  return changed;
+}
+
+// Recalculate the level after the level settings change, and tell the user if it moved
+function applyLevelRules() {
+  const previousLevel = userData.user.level;
+  recalculateLevel();
+  saveData();
+  if (userData.user.level !== previousLevel) {
+    console.log(chalk.magenta(`Your ${userData.user.xp} XP now puts you at level ${userData.user.level} (was ${previousLevel}).`));
+  }
+}
+
+// Work out what the XP log, total XP and level would be under the current XP rules
+function getXpReplay() {
+  const xpLog = xpHelper.replayLog(userData.xpLog, config.xp);
+  const xp = xpHelper.getTotalXp(xpLog);
+  return { xpLog, xp, level: xpHelper.getLevel(xp, config.xp) };
+}
+
+// Replace the XP log with its replay and recalculate the level
+function applyXpReplay(replay) {
+  userData.xpLog = replay.xpLog;
+  recalculateLevel();
+  saveData();
+}
+
+// After the XP rules change, offer to replay earlier awards under them so old and new XP compare
+function offerXpReplay(onDone) {
+  const replay = getXpReplay();
+  if (replay.xp === userData.user.xp) {
+    setTimeout(onDone, 1500);
+    return;
+  }
+  
+  console.log(chalk.blue(`\nUnder the new rules your past tickets would be worth ${replay.xp} XP ` +
+              `(level ${replay.level}) instead of ${userData.user.xp} XP (level ${userData.user.level}).`));
+  rl.question(chalk.yellow('Replay your XP history under the new rules? (y/n): '), (answer) => {
+    if (answer.toLowerCase() === 'y') {
+      applyXpReplay(replay);
+      console.log(chalk.green(`\n✓ XP history replayed. You have ${userData.user.xp} XP and are level ${userData.user.level}.`));
+    }
+    setTimeout(onDone, 1500);
+  });
+}
+
+// Print an XP log entry on one line
+function printXpEntry(entry) {
+  const ticket = entry.ticketId ? userData.tickets.find(t => t.id === entry.ticketId) : null;
+  const date = new Date(entry.createdAt).toLocaleString('en-US', {
+    month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+  });
+  const xp = `${entry.xp > 0 ? '+' : ''}${entry.xp} XP`;
+  console.log(chalk.white(date.padEnd(18)), chalk.cyan(xpHelper.ENTRY_TYPE_NAMES[entry.type].padEnd(16)),
+              (entry.xp < 0 ? chalk.red : chalk.green)(xp.padEnd(10)),
+              chalk.white(ticket ? `${ticket.name}: ` : (entry.ticketId ? `${entry.ticketId}: ` : '')) + chalk.gray(entry.reason));
+}
+
+// Entries shown on the XP history screen
+const XP_HISTORY_LIMIT = 20;
+
+// The XP log, newest first, with manual adjustments and replaying under the current rules
+function showXpHistory() {
+  console.clear();
+  console.log(chalk.bold.magenta('===== XP History =====\n'));
+  console.log(chalk.bold.cyan(`Level: ${userData.user.level} | XP: ${userData.user.xp}`));
+  printLevelProgress();
+  console.log();
+  
+  if (userData.xpLog.length === 0) {
+    console.log(chalk.gray('No XP earned yet. Complete a ticket to earn some!'));
+  } else {
+    [...userData.xpLog].reverse().slice(0, XP_HISTORY_LIMIT).forEach(printXpEntry);
+    if (userData.xpLog.length > XP_HISTORY_LIMIT) {
+      console.log(chalk.gray(`...and ${userData.xpLog.length - XP_HISTORY_LIMIT} earlier entries (run \`ticket-hero xp history\` for all of them)`));
+    }
+  }
+  
+  console.log(chalk.bold.white('\nOptions:'));
+  console.log(chalk.white('r.'), chalk.green('Replay under the current XP rules'));
+  console.log(chalk.white('a.'), chalk.green('Add a manual adjustment'));
+  console.log(chalk.white('0.'), chalk.white('Back to Dashboard'));
+  
+  rl.question(chalk.yellow('\nChoose option: '), (answer) => {
+    const choice = answer.trim().toLowerCase();
+    if (choice === 'r') {
+      const replay = getXpReplay();
+      if (replay.xp === userData.user.xp) {
+        console.log(chalk.green('\n✓ Your XP already matches the current rules.'));
+        setTimeout(showXpHistory, 1500);
+        return;
+      }
+      offerXpReplay(showXpHistory);
+    } else if (choice === 'a') {
+      addXpAdjustment();
+    } else {
+      showDashboard();
+    }
+  });
+}
+
+// Add or take away XP by hand, with a reason for the XP log
+function addXpAdjustment() {
+  rl.question(chalk.yellow('\nXP to add (negative to take away): '), (amount) => {
+    const xp = parseInt(amount, 10);
+    if (isNaN(xp) || xp === 0 || String(xp) !== amount.trim().replace(/^\+/, '')) {
+      console.log(chalk.red('\n✗ Enter a whole number of XP. Nothing was changed.'));
+      setTimeout(showXpHistory, 1500);
+      return;
+    }
+    
+    rl.question(chalk.yellow('Reason: '), (reason) => {
+      if (!reason.trim()) {
+        console.log(chalk.red('\n✗ Adjustments need a reason. Nothing was changed.'));
+        setTimeout(showXpHistory, 1500);
+        return;
+      }
+      
+      userData.xpLog.push(xpHelper.createAdjustment({ xp, reason: reason.trim() }));
+      const previousLevel = userData.user.level;
+      recalculateLevel();
+      saveData();
+      console.log(chalk.green(`\n✓ Adjusted by ${xp > 0 ? '+' : ''}${xp} XP. You have ${userData.user.xp} XP.`));
+      if (userData.user.level !== previousLevel) {
+        console.log(chalk.magenta(`You are now level ${userData.user.level}.`));
+      }
+      setTimeout(showXpHistory, 1500);
+    });
+  });
+}
+
+// Print how far the user is through their level
+function printLevelProgress() {
+  const progress = xpHelper.getProgress(userData.user.xp, config.xp);
+  const barWidth = 20;
+  const filled = Math.min(barWidth, Math.floor((progress.levelXp / progress.levelCost) * barWidth));
+  const bar = config.ui.showProgressBar ? `${'█'.repeat(filled)}${'░'.repeat(barWidth - filled)} ` : '';
+  console.log(chalk.magenta(`${bar}${progress.levelXp}/${progress.levelCost} XP, ` +
+              `${progress.toNextLevel} to level ${progress.level + 1}`));
+}
+
 // Format time in MM:SS
 function formatTime(seconds) {
   const mins = Math.floor(seconds / 60);
@@ -118,6 +382,212 @@ function formatTime(seconds) {
   return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
 }
 
+// Add worked seconds to a ticket, keeping its minute total in sync for display
+function creditWorkTime(ticket, seconds) {
+  ticket.timeSpentSeconds += Math.max(0, Math.round(seconds));
+  ticket.timeSpent = Math.round(ticket.timeSpentSeconds / 6) / 10; // Minutes, rounded to 1 decimal place
+}
+
+// Generate a ticket ID that is unique even when several tickets are created in the same millisecond
+function generateTicketId() {
+  let id = Date.now();
+  while (userData.tickets.some(ticket => ticket.id === id.toString())) {
+    id++;
+  }
+  return id.toString();
+}
+
+// Create a ticket and add it to the user's data. Bulk imports pass save: false and save once
+// when they are done, since every save is a full, flushed rewrite of the data file.
+function createTicket({ name, storyPoints, allocatedTime, jiraId, jiraUrl, jiraConnection, issueType }, { save = true } = {}) {
+  const ticket = {
+    id: generateTicketId(),
+    name: name,
+    storyPoints: storyPoints,
+    allocatedTime: allocatedTime,
+    timeSpent: 0,
+    timeSpentSeconds: 0,
+    completed: false,
+    createdAt: new Date().toISOString()
+  };
+
+  if (jiraId) {
+    ticket.jiraId = jiraId;
+    ticket.jiraUrl = jiraUrl;
+    ticket.jiraConnection = jiraConnection;
+    if (issueType) ticket.issueType = issueType;
+  }
+
+  userData.tickets.push(ticket);
+  if (save) calculatePendingStats();
+  return ticket;
+}
+
+// Suggest allocated time for a new ticket from how long similar completed tickets took
+function suggestAllocatedTime({ storyPoints = null, issueType = null } = {}) {
+  return estimateHelper.suggestAllocatedTime(userData.tickets, { storyPoints, issueType });
+}
+
+// Add tickets fetched from the active Jira connection to the user's data. Issues that are
+// already linked to a ticket update that ticket instead of adding a duplicate.
+function importJiraTickets(jiraTickets) {
+  const result = { imported: [], refreshed: [] };
+
+  jiraTickets.forEach(remote => {
+    const existing = findJiraTicket(remote.id, jiraHelper.connectionName);
+    if (existing) {
+      applyTicketSync(syncHelper.planTicketSync(existing, remote));
+      result.refreshed.push(existing);
+      return;
+    }
+
+    const ticket = createTicket({
+      name: remote.name,
+      storyPoints: remote.storyPoints,
+      // Issues without an estimate in Jira get one from the user's history
+      allocatedTime: remote.allocatedTime || suggestAllocatedTime({
+        storyPoints: remote.hasStoryPoints ? remote.storyPoints : null,
+        issueType: remote.type
+      }).minutes,
+      jiraId: remote.id,
+      jiraUrl: remote.jiraUrl,
+      jiraConnection: jiraHelper.connectionName,
+      issueType: remote.type
+    }, { save: false });
+    ticket.jiraSync = syncHelper.createSnapshot(ticket, remote);
+    result.imported.push(ticket);
+  });
+
+  // Pending stats, which refreshed tickets closed in Jira change too, and the save happen once
+  // for the whole import
+  calculatePendingStats();
+  return result;
+}
+
+// Find the ticket linked to a Jira issue, on any connection unless one is given
+function findJiraTicket(jiraId, connection = null) {
+  return userData.tickets.find(ticket => ticket.jiraId &&
+    ticket.jiraId.toLowerCase() === jiraId.toLowerCase() &&
+    (!connection || ticket.jiraConnection === connection)) || null;
+}
+
+// Find a ticket by list number, Jira key or ticket ID
+function findTicket(reference) {
+  if (reference === undefined || reference === null) return null;
+  const ref = String(reference).trim();
+
+  const byId = userData.tickets.find(ticket => ticket.id === ref);
+  if (byId) return byId;
+
+  const byJiraId = findJiraTicket(ref);
+  if (byJiraId) return byJiraId;
+
+  if (/^\d+$/.test(ref)) {
+    const index = parseInt(ref, 10) - 1;
+    if (index >= 0 && index < userData.tickets.length) {
+      return userData.tickets[index];
+    }
+  }
+
+  return null;
+}
+
+// Mark a ticket as completed and update stats and XP
+function finalizeTicket(ticket) {
+  ticket.completed = true;
+  ticket.completedAt = new Date().toISOString();
+
+  const overtime = creditTicket(ticket);
+
+  // Recalculate pending stats
+  calculatePendingStats();
+
+  saveData();
+  return overtime;
+}
+
+// Mark a ticket that was closed in Jira as completed. Someone else may have done the work, so
+// it earns no XP and isn't added to the stats unless the user claims it.
+function closeTicketFromJira(ticket) {
+  ticket.completed = true;
+  ticket.completedAt = new Date().toISOString();
+  ticket.closedInJira = true;
+}
+
+// Give the user credit for a ticket closed in Jira once they confirm the work was theirs
+function claimClosedTicket(ticket) {
+  delete ticket.closedInJira;
+  const overtime = creditTicket(ticket, { claimedFromJira: true });
+  calculatePendingStats();
+  return overtime;
+}
+
+// Add a completed ticket to the stats and award its XP. Returns the overtime in minutes.
+function creditTicket(ticket, { claimedFromJira = false } = {}) {
+  // Exact minutes worked, rather than the rounded figure shown to the user
+  const minutesSpent = ticket.timeSpentSeconds / 60;
+
+  // Update stats
+  userData.stats.totalTicketsSolved++;
+  userData.stats.totalTimeTaken += minutesSpent;
+  userData.stats.totalStoryPoints += ticket.storyPoints;
+
+  // Calculate overtime if any
+  const overtime = Math.max(0, minutesSpent - ticket.allocatedTime);
+  userData.stats.totalOvertime += overtime;
+
+  // Update XP based on performance
+  updateXP(ticket, minutesSpent, { claimedFromJira });
+
+  return overtime;
+}
+
+// Print the tickets table
+function printTicketTable(tickets) {
+  console.log(chalk.cyan('╔═════╦══════════════════════╦═════╦═══════════════╦════════════╦═══════════╗'));
+  console.log(chalk.cyan('║ ID  ║ Ticket              ║ SP  ║ Time Allocated ║ Time Spent ║ Status    ║'));
+  console.log(chalk.cyan('╠═════╬══════════════════════╬═════╬═══════════════╬════════════╬═══════════╣'));
+
+  tickets.forEach(ticket => {
+    const id = (userData.tickets.indexOf(ticket) + 1).toString().padEnd(3);
+    const name = ticket.name.substring(0, 18).padEnd(18);
+    const sp = ticket.storyPoints.toString().padEnd(3);
+    const allocated = `${ticket.allocatedTime} min`.padEnd(13);
+    const spent = `${ticket.timeSpent} min`.padEnd(10);
+    const status = ticket.closedInJira ? chalk.gray('Jira Done')
+      : ticket.completed ? chalk.green('Completed') : chalk.yellow('Pending');
+
+    console.log(chalk.cyan('║ ') + chalk.white(`${id}`) + chalk.cyan(' ║ ') +
+                chalk.white(`${name}`) + chalk.cyan(' ║ ') +
+                chalk.white(`${sp}`) + chalk.cyan(' ║ ') +
+                chalk.white(`${allocated}`) + chalk.cyan(' ║ ') +
+                chalk.white(`${spent}`) + chalk.cyan(' ║ ') +
+                `${status}` + chalk.cyan(' ║'));
+  });
+
+  console.log(chalk.cyan('╚═════╩══════════════════════╩═════╩═══════════════╩════════════╩═══════════╝'));
+}
+
+// Print the statistics table
+function printStatsTable() {
+  console.log(chalk.cyan('╔══════════════════════════╦═══════════════╗'));
+  console.log(chalk.cyan('║ ') + chalk.bold.white('Metric                  ') + chalk.cyan(' ║ ') + chalk.bold.white('Value         ') + chalk.cyan(' ║'));
+  console.log(chalk.cyan('╠══════════════════════════╬═══════════════╣'));
+  console.log(chalk.cyan('║ ') + chalk.white('Tickets Solved           ') + chalk.cyan(' ║ ') + chalk.green(`${userData.stats.totalTicketsSolved}`.padEnd(13)) + chalk.cyan(' ║'));
+  console.log(chalk.cyan('║ ') + chalk.white('Story Points Completed   ') + chalk.cyan(' ║ ') + chalk.green(`${userData.stats.totalStoryPoints}`.padEnd(13)) + chalk.cyan(' ║'));
+  console.log(chalk.cyan('║ ') + chalk.white('Total Time Taken         ') + chalk.cyan(' ║ ') + chalk.blue(`${userData.stats.totalTimeTaken.toFixed(1)} min`.padEnd(13)) + chalk.cyan(' ║'));
+  console.log(chalk.cyan('║ ') + chalk.white('Total Overtime           ') + chalk.cyan(' ║ ') + chalk.yellow(`${userData.stats.totalOvertime.toFixed(1)} min`.padEnd(13)) + chalk.cyan(' ║'));
+
+  if (userData.stats.totalTicketsSolved > 0) {
+    const avgTime = (userData.stats.totalTimeTaken / userData.stats.totalTicketsSolved).toFixed(1);
+    console.log(chalk.cyan('║ ') + chalk.white('Average Time Per Ticket   ') + chalk.cyan(' ║ ') + chalk.blue(`${avgTime} min`.padEnd(13)) + chalk.cyan(' ║'));
+  }
+
+  console.log(chalk.cyan('║ ') + chalk.white('Tickets Pending          ') + chalk.cyan(' ║ ') + chalk.yellow(`${userData.stats.totalTicketsPending || 0}`.padEnd(13)) + chalk.cyan(' ║'));
+  console.log(chalk.cyan('║ ') + chalk.white('Story Points Pending     ') + chalk.cyan(' ║ ') + chalk.yellow(`${userData.stats.totalStoryPointsPending || 0}`.padEnd(13)) + chalk.cyan(' ║'));
+  console.log(chalk.cyan('╚══════════════════════════╩═══════════════╝'));
+}
+
 // Main menu
 function showMainMenu() {
   console.clear();
@@ -193,25 +663,39 @@ function settings() {
   console.log(chalk.white(`4. Pomodoros Before Long Break: ${config.pomodoro.longBreakInterval}`));
   console.log(chalk.white(`5. Auto-start Breaks: ${config.pomodoro.autoStartBreaks ? 'Enabled' : 'Disabled'}`));
   console.log(chalk.white(`6. Auto-start Pomodoros: ${config.pomodoro.autoStartPomodoros ? 'Enabled' : 'Disabled'}`));
+  console.log(chalk.white(`7. Pomodoros per Session: ${config.pomodoro.maxCycles || 'Unlimited'}`));
   
   console.log(chalk.bold.white('\nXP Settings:'));
-  console.log(chalk.white(`7. Base XP per Story Point: ${config.xp.baseXpPerStoryPoint}`));
-  console.log(chalk.white(`8. Early Completion Bonus: ${config.xp.earlyCompletionBonusPercent}%`));
+  console.log(chalk.white(`8. Base XP per Story Point: ${config.xp.baseXpPerStoryPoint}`));
+  console.log(chalk.white(`9. Early Completion Bonus: ${config.xp.earlyCompletionBonusPercent}%`));
+  console.log(chalk.white(`10. Streak Bonus: ${config.xp.streakBonusPercent > 0 ? `${config.xp.streakBonusPercent}% per day in a row` : 'Off'}`));
+  console.log(chalk.white(`11. XP for Level 2: ${config.xp.xpLevelThresholdMultiplier}`));
+  console.log(chalk.white(`12. Level Curve: ${xpHelper.describeCurve(config.xp)}`));
+  console.log(chalk.white(`13. Exponential Curve Growth: ${config.xp.levelGrowthPercent}% per level`));
   
   console.log(chalk.bold.white('\nJira Settings:'));
-  console.log(chalk.white(`9. Jira Integration: ${config.jira?.enabled ? 'Enabled' : 'Disabled'}`));
+  console.log(chalk.white(`14. Jira Integration: ${config.jira?.enabled ? 'Enabled' : 'Disabled'}`));
+  console.log(chalk.white(`15. Move Issues When Work Starts: ${config.jira?.updateTicketOnStart ? 'Enabled' : 'Disabled'}`));
+  console.log(chalk.white(`16. Move Issues When Completed: ${config.jira?.updateTicketOnComplete ? 'Enabled' : 'Disabled'}`));
+  console.log(chalk.white(`17. Comment on Completed Issues: ${config.jira?.commentOnComplete ? 'Enabled' : 'Disabled'}`));
+  
+  console.log(chalk.bold.white('\nData Settings:'));
+  console.log(chalk.white(`18. Backup Frequency: every ${config.app.backupFrequencyInHours} hours`));
+  console.log(chalk.white(`19. Backups to Keep: ${config.app.maxBackups}`));
+  console.log(chalk.white('20. Restore Data from Backup'));
+  console.log(chalk.white(`21. Data File: ${getDataFile()}`));
   
   console.log(chalk.bold.white('\nOptions:'));
   console.log(chalk.white('0.'), chalk.green('Return to Main Menu'));
   
-  rl.question(chalk.yellow('\nSelect setting to change (0-9): '), (answer) => {
+  rl.question(chalk.yellow('\nSelect setting to change (0-21): '), (answer) => {
     if (answer === '0') {
       showMainMenu();
       return;
     }
     
     const settingIndex = parseInt(answer, 10);
-    if (isNaN(settingIndex) || settingIndex < 1 || settingIndex > 9) {
+    if (isNaN(settingIndex) || settingIndex < 1 || settingIndex > 21) {
       console.log(chalk.red('\nInvalid option!'));
       setTimeout(settings, 1000);
       return;
@@ -295,32 +779,110 @@ function settings() {
         });
         break;
       case 7:
+        rl.question(chalk.yellow('Enter Pomodoros per Session (0 for unlimited): '), (value) => {
+          const newValue = parseInt(value, 10);
+          if (!isNaN(newValue) && newValue >= 0) {
+            config.pomodoro.maxCycles = newValue;
+            configHelper.saveConfig(config);
+            console.log(chalk.green('\n✓ Setting updated!'));
+          } else {
+            console.log(chalk.red('\n✗ Invalid value. Setting not changed.'));
+          }
+          setTimeout(settings, 1500);
+        });
+        break;
+      case 8:
         rl.question(chalk.yellow('Enter new Base XP per Story Point: '), (value) => {
           const newValue = parseInt(value, 10);
           if (!isNaN(newValue) && newValue > 0) {
             config.xp.baseXpPerStoryPoint = newValue;
             configHelper.saveConfig(config);
             console.log(chalk.green('\n✓ Setting updated!'));
+            offerXpReplay(settings);
           } else {
             console.log(chalk.red('\n✗ Invalid value. Setting not changed.'));
+            setTimeout(settings, 1500);
           }
-          setTimeout(settings, 1500);
         });
         break;
-      case 8:
+      case 9:
         rl.question(chalk.yellow('Enter new Early Completion Bonus (%): '), (value) => {
           const newValue = parseInt(value, 10);
           if (!isNaN(newValue) && newValue >= 0) {
             config.xp.earlyCompletionBonusPercent = newValue;
             configHelper.saveConfig(config);
             console.log(chalk.green('\n✓ Setting updated!'));
+            offerXpReplay(settings);
+          } else {
+            console.log(chalk.red('\n✗ Invalid value. Setting not changed.'));
+            setTimeout(settings, 1500);
+          }
+        });
+        break;
+      case 10:
+        rl.question(chalk.yellow('Enter new Streak Bonus per day in a row (%, 0 turns it off): '), (value) => {
+          const newValue = parseInt(value, 10);
+          if (!isNaN(newValue) && newValue >= 0) {
+            config.xp.streakBonusPercent = newValue;
+            configHelper.saveConfig(config);
+            console.log(chalk.green('\n✓ Setting updated!'));
+            offerXpReplay(settings);
+          } else {
+            console.log(chalk.red('\n✗ Invalid value. Setting not changed.'));
+            setTimeout(settings, 1500);
+          }
+        });
+        break;
+      case 11:
+        rl.question(chalk.yellow('Enter new XP for Level 2 (later levels follow the level curve): '), (value) => {
+          const newValue = parseInt(value, 10);
+          if (!isNaN(newValue) && newValue > 0) {
+            config.xp.xpLevelThresholdMultiplier = newValue;
+            configHelper.saveConfig(config);
+            console.log(chalk.green('\n✓ Setting updated!'));
+            applyLevelRules();
           } else {
             console.log(chalk.red('\n✗ Invalid value. Setting not changed.'));
           }
           setTimeout(settings, 1500);
         });
         break;
-      case 9:
+      case 12: {
+        const curves = Object.keys(xpHelper.LEVEL_CURVES);
+        console.log(chalk.bold.white('\nLevel curves:'));
+        curves.forEach((curve, index) => {
+          console.log(chalk.white(`${index + 1}.`), chalk.green(xpHelper.describeCurve({ ...config.xp, levelCurve: curve })),
+                      curve === config.xp.levelCurve ? chalk.blue('[current]') : '');
+        });
+        rl.question(chalk.yellow('Choose a level curve: '), (value) => {
+          const curve = curves[parseInt(value, 10) - 1];
+          if (curve) {
+            config.xp.levelCurve = curve;
+            configHelper.saveConfig(config);
+            console.log(chalk.green('\n✓ Setting updated!'));
+            applyLevelRules();
+          } else {
+            console.log(chalk.red('\n✗ Invalid value. Setting not changed.'));
+          }
+          setTimeout(settings, 1500);
+        });
+        break;
+      }
+      case 13:
+        rl.question(chalk.yellow('Enter how much more XP each level takes on the exponential curve (%): '), (value) => {
+          const newValue = parseInt(value, 10);
+          if (!isNaN(newValue) && newValue > 0) {
+            config.xp.levelGrowthPercent = newValue;
+            configHelper.saveConfig(config);
+            console.log(chalk.green('\n✓ Setting updated!'));
+            applyLevelRules();
+          } else {
+            console.log(chalk.red('\n✗ Invalid value. Setting not changed.'));
+          }
+          setTimeout(settings, 1500);
+        });
+        break;
+      case 14:
         rl.question(chalk.yellow(`Enable Jira Integration (y/n, currently ${config.jira?.enabled ? 'y' : 'n'}): `), (value) => {
           if (value.toLowerCase() === 'y' || value.toLowerCase() === 'n') {
             if (!config.jira) config.jira = {};
@@ -332,7 +894,7 @@ function settings() {
               console.log(chalk.blue('\nWould you like to configure Jira connection now?'));
               rl.question(chalk.yellow('Configure Jira now? (y/n): '), async (configAnswer) => {
                 if (configAnswer.toLowerCase() === 'y') {
-                  await jiraHelper.setupJira(rl);
+                  await setupJiraConnection();
                 }
                 setTimeout(settings, 1500);
               });
@@ -345,23 +907,289 @@ function settings() {
           }
         });
         break;
-      default:
-        setTimeout(settings, 1000);
-    }
-  });
-}
-
-// User profile setup/edit
-function userProfile() {
-  console.clear();
-  console.log(chalk.bold.magenta('===== User Profile =====\n'));
-  
-  if (userData.user.name) {
-    console.log(chalk.blue(`Current name: ${userData.user.name}`));
-    console.log(chalk.blue(`Level: ${userData.user.level}`));
-    console.log(chalk.blue(`XP: ${userData.user.xp}`));
-    
-    rl.question(chalk.yellow('\nWould you like to change your name? (y/n): '), (answer) => {
+      case 15:
+      case 16:
+      case 17: {
+        const [setting, label] = {
+          15: ['updateTicketOnStart', 'Move issues to In Progress (or their mapped transition) when the first Pomodoro starts'],
+          16: ['updateTicketOnComplete', 'Move issues to Done (or their mapped transition) when tickets are completed'],
+          17: ['commentOnComplete', 'Comment on issues with a summary of the work when tickets are completed']
+        }[settingIndex];
+        rl.question(chalk.yellow(`${label} (y/n, currently ${config.jira?.[setting] ? 'y' : 'n'}): `), (value) => {
+          if (value.toLowerCase() === 'y' || value.toLowerCase() === 'n') {
+            if (!config.jira) config.jira = {};
+            config.jira[setting] = (value.toLowerCase() === 'y');
+            configHelper.saveConfig(config);
+            console.log(chalk.green('\n✓ Setting updated!'));
+          } else {
+            console.log(chalk.red('\n✗ Invalid value. Setting not changed.'));
+          }
+          setTimeout(settings, 1500);
+        });
+        break;
+      }
+      case 18:
+        rl.question(chalk.yellow('Enter new Backup Frequency (hours): '), (value) => {
+          const newValue = parseInt(value, 10);
+          if (!isNaN(newValue) && newValue > 0) {
+            config.app.backupFrequencyInHours = newValue;
+            configHelper.saveConfig(config);
+            console.log(chalk.green('\n✓ Setting updated!'));
+          } else {
+            console.log(chalk.red('\n✗ Invalid value. Setting not changed.'));
+          }
+          setTimeout(settings, 1500);
+        });
+        break;
+      case 19:
+        rl.question(chalk.yellow('Enter number of Backups to Keep: '), (value) => {
+          const newValue = parseInt(value, 10);
+          if (!isNaN(newValue) && newValue > 0) {
+            config.app.maxBackups = newValue;
+            configHelper.saveConfig(config);
+            dataHelper.rotateBackups(getDataFile(), newValue);
+            console.log(chalk.green('\n✓ Setting updated!'));
+          } else {
+            console.log(chalk.red('\n✗ Invalid value. Setting not changed.'));
+          }
+          setTimeout(settings, 1500);
+        });
+        break;
+      case 20:
+        restoreFromBackup();
+        break;
+      case 21:
+        changeDataFile();
+        break;
+      default:
+        setTimeout(settings, 1000);
+    }
+  });
+}
+
+// Print backups with the ticket count and XP they contain
+function printBackupList(backups) {
+  backups.forEach((backup, index) => {
+    const date = backup.createdAt.toLocaleString('en-US', {
+      year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+    const details = backup.valid
+      ? chalk.gray(`(${backup.ticketCount} tickets, ${backup.xp} XP)`)
+      : chalk.red('(unreadable)');
+    console.log(chalk.white(`${index + 1}.`), chalk.green(date), details);
+  });
+}
+
+// Replace the current data with a backup
+function restoreDataFromBackup(backup) {
+  if (dataLoadError) {
+    // A corrupted file is moved aside rather than kept as a backup
+    dataHelper.recoverDataFile(getDataFile(), backup.path);
+  } else {
+    dataHelper.restoreBackup(getDataFile(), backup.path, config.app.maxBackups);
+  }
+
+  // Older backups go through the same migrations as any other data file
+  if (loadData({ quiet: true }) !== 'ok') {
+    throw dataLoadError;
+  }
+}
+
+// Offer to recover a corrupted data file from its last good copy or a backup
+function recoverCorruptedData(onRecovered) {
+  console.clear();
+  console.log(chalk.bold.red('===== Data File Corrupted =====\n'));
+  console.log(chalk.yellow(`${getDataFile()} could not be read: ${dataLoadError.message}\n`));
+  
+  const candidates = dataHelper.listRecoveryCandidates(getDataFile());
+  
+  if (candidates.length > 0) {
+    console.log(chalk.bold.white('Recover from:'));
+    candidates.forEach((candidate, index) => {
+      const date = candidate.createdAt.toLocaleString('en-US', {
+        year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+      });
+      console.log(chalk.white(`${index + 1}.`), chalk.green(`${candidate.label} from ${date}`),
+                  chalk.gray(`(${candidate.ticketCount} tickets, ${candidate.xp} XP)`));
+    });
+  } else {
+    console.log(chalk.yellow('No readable copies of your data were found.'));
+  }
+  
+  console.log(chalk.white('\nn.'), chalk.yellow('Start fresh (the corrupted file is kept for inspection)'));
+  console.log(chalk.white('q.'), chalk.red('Quit without changing anything'));
+  
+  rl.question(chalk.yellow('\nSelect option: '), (answer) => {
+    const choice = answer.trim().toLowerCase();
+    
+    if (choice === 'q') {
+      rl.close();
+      return;
+    }
+    
+    try {
+      if (choice === 'n') {
+        const corruptPath = dataHelper.quarantineCorruptFile(getDataFile());
+        dataLoadError = null;
+        saveData();
+        console.log(chalk.green(`\n✓ Starting fresh. The corrupted file was moved to ${corruptPath}`));
+      } else {
+        const candidate = candidates[parseInt(choice, 10) - 1];
+        if (!candidate) {
+          console.log(chalk.red('\nInvalid option!'));
+          setTimeout(() => recoverCorruptedData(onRecovered), 1000);
+          return;
+        }
+        
+        const { corruptPath } = dataHelper.recoverDataFile(getDataFile(), candidate.path);
+        if (loadData({ quiet: true }) !== 'ok') {
+          throw dataLoadError;
+        }
+        console.log(chalk.green(`\n✓ Data recovered. The corrupted file was moved to ${corruptPath}`));
+      }
+    } catch (error) {
+      console.log(chalk.red(`\n✗ Recovery failed: ${error.message}`));
+      setTimeout(() => recoverCorruptedData(onRecovered), 1500);
+      return;
+    }
+    
+    setTimeout(onRecovered, 1500);
+  });
+}
+
+// Restore data from a backup
+function restoreFromBackup() {
+  console.clear();
+  console.log(chalk.bold.blue('===== Restore Data from Backup =====\n'));
+  
+  const backups = dataHelper.listBackups(getDataFile());
+  
+  if (backups.length === 0) {
+    console.log(chalk.yellow('No backups found yet.'));
+    setTimeout(settings, 1500);
+    return;
+  }
+  
+  console.log(chalk.blue(`Current data: ${userData.tickets.length} tickets, ${userData.user.xp} XP\n`));
+  printBackupList(backups);
+  
+  rl.question(chalk.yellow('\nSelect backup to restore (number) or 0 to cancel: '), (answer) => {
+    const backupIndex = parseInt(answer, 10) - 1;
+    
+    if (isNaN(backupIndex) || backupIndex < 0 || backupIndex >= backups.length) {
+      settings();
+      return;
+    }
+    
+    const backup = backups[backupIndex];
+    if (!backup.valid) {
+      console.log(chalk.red('\n✗ This backup is unreadable and cannot be restored.'));
+      setTimeout(settings, 1500);
+      return;
+    }
+    
+    rl.question(chalk.yellow('Replace your current data with this backup? (y/n): '), (confirm) => {
+      if (confirm.toLowerCase() === 'y') {
+        try {
+          restoreDataFromBackup(backup);
+          console.log(chalk.green('\n✓ Data restored! Your previous data was backed up first.'));
+        } catch (error) {
+          console.log(chalk.red(`\n✗ Error restoring backup: ${error.message}`));
+        }
+      }
+      setTimeout(settings, 1500);
+    });
+  });
+}
+
+// Point the app at another data file, optionally taking the current data along
+function changeDataFile() {
+  const currentFile = getDataFile();
+  
+  if (appPaths.dataFileOverride) {
+    console.log(chalk.yellow('\nThe data file was chosen with --data or TICKET_HERO_DATA for this run.'));
+    setTimeout(settings, 1500);
+    return;
+  }
+  
+  rl.question(chalk.yellow(`Enter new data file path (current: ${currentFile}): `), (value) => {
+    const newSetting = value.trim();
+    // Relative paths are kept relative to the data directory
+    const newFile = pathsHelper.resolveDataFile(newSetting);
+    if (!newSetting || newFile === currentFile) {
+      console.log(chalk.yellow('\nData file not changed.'));
+      setTimeout(settings, 1500);
+      return;
+    }
+    
+    const switchDataFile = (migrate) => {
+      try {
+        if (migrate) {
+          // Move the file itself rather than a copy, with its backups, last good copy and
+          // session state, so a stale copy can't be picked up again later
+          dataHelper.writeFileAtomic(currentFile, JSON.stringify(userData, null, 2));
+          pathsHelper.moveDataFile(currentFile, newFile);
+        }
+      } catch (error) {
+        console.log(chalk.red(`\n✗ Could not move data to ${newFile}: ${error.message}`));
+        setTimeout(settings, 1500);
+        return;
+      }
+      
+      const previousSetting = config.app.dataFile;
+      config.app.dataFile = newSetting;
+      configHelper.saveConfig(config);
+      const loadStatus = loadData({ quiet: true });
+      
+      if (loadStatus === 'unsupported') {
+        console.log(chalk.red(`\n✗ ${dataLoadError.message}`));
+        config.app.dataFile = previousSetting;
+        configHelper.saveConfig(config);
+        loadData({ quiet: true });
+        console.log(chalk.yellow(`Still using ${currentFile}.`));
+      } else if (loadStatus === 'corrupted') {
+        setTimeout(() => recoverCorruptedData(settings), 1500);
+        return;
+      } else if (migrate) {
+        console.log(chalk.green(`\n✓ Data and backups moved to ${newFile}. ${currentFile} was removed.`));
+      } else {
+        console.log(chalk.green(`\n✓ Now using ${newFile}. Your previous data was kept at ${currentFile}.`));
+      }
+      setTimeout(settings, 1500);
+    };
+    
+    if (dataHelper.readDataFile(newFile).status !== 'missing') {
+      rl.question(chalk.yellow(`${newFile} already exists. Switch to the data in it? (y/n): `), (answer) => {
+        if (answer.toLowerCase() === 'y') {
+          switchDataFile(false);
+        } else {
+          console.log(chalk.yellow('\nData file not changed.'));
+          setTimeout(settings, 1500);
+        }
+      });
+    } else if (dataLoadError) {
+      // Corrupted data can't be carried over
+      switchDataFile(false);
+    } else {
+      rl.question(chalk.yellow('Migrate your existing data to the new file? (y/n, n starts with empty data): '), (answer) => {
+        switchDataFile(answer.toLowerCase() === 'y');
+      });
+    }
+  });
+}
+
+// User profile setup/edit
+function userProfile() {
+  console.clear();
+  console.log(chalk.bold.magenta('===== User Profile =====\n'));
+  
+  if (userData.user.name) {
+    console.log(chalk.blue(`Current name: ${userData.user.name}`));
+    console.log(chalk.blue(`Level: ${userData.user.level}`));
+    console.log(chalk.blue(`XP: ${userData.user.xp}`));
+    printLevelProgress();
+    
+    rl.question(chalk.yellow('\nWould you like to change your name? (y/n): '), (answer) => {
       if (answer.toLowerCase() === 'y') {
         rl.question(chalk.yellow('Enter new name: '), (name) => {
           userData.user.name = name;
@@ -391,22 +1219,13 @@ function addNewTicket() {
   rl.question(chalk.yellow('Ticket Name/ID: '), (name) => {
     rl.question(chalk.yellow('Story Points (1-10): '), (points) => {
       const storyPoints = parseInt(points, 10) || 1;
+      const suggestion = suggestAllocatedTime({ storyPoints });
       
-      rl.question(chalk.yellow('Allocated Time (minutes): '), (time) => {
-        const allocatedTimeMinutes = parseInt(time, 10) || 25;
+      console.log(chalk.gray(`Suggested: ${suggestion.minutes} minutes (${suggestion.basis})`));
+      rl.question(chalk.yellow(`Allocated Time (minutes, Enter for ${suggestion.minutes}): `), (time) => {
+        const allocatedTimeMinutes = parseInt(time, 10) || suggestion.minutes;
         
-        const ticket = {
-          id: Date.now().toString(),
-          name: name,
-          storyPoints: storyPoints,
-          allocatedTime: allocatedTimeMinutes,
-          timeSpent: 0,
-          completed: false,
-          createdAt: new Date().toISOString()
-        };
-        
-        userData.tickets.push(ticket);
-        calculatePendingStats();
+        createTicket({ name, storyPoints, allocatedTime: allocatedTimeMinutes });
         saveData();
         
         console.log(chalk.green('\n✓ Ticket added successfully!'));
@@ -431,27 +1250,7 @@ function viewTickets() {
   }
   
   // Create a beautiful table
-  console.log(chalk.cyan('╔═════╦══════════════════════╦═════╦═══════════════╦════════════╦═══════════╗'));
-  console.log(chalk.cyan('║ ID  ║ Ticket              ║ SP  ║ Time Allocated ║ Time Spent ║ Status    ║'));
-  console.log(chalk.cyan('╠═════╬══════════════════════╬═════╬═══════════════╬════════════╬═══════════╣'));
-  
-  userData.tickets.forEach((ticket, index) => {
-    const id = (index + 1).toString().padEnd(3);
-    const name = ticket.name.substring(0, 18).padEnd(18);
-    const sp = ticket.storyPoints.toString().padEnd(3);
-    const allocated = `${ticket.allocatedTime} min`.padEnd(13);
-    const spent = `${ticket.timeSpent} min`.padEnd(10);
-    const status = ticket.completed ? chalk.green('Completed') : chalk.yellow('Pending');
-    
-    console.log(chalk.cyan('║ ') + chalk.white(`${id}`) + chalk.cyan(' ║ ') + 
-                chalk.white(`${name}`) + chalk.cyan(' ║ ') + 
-                chalk.white(`${sp}`) + chalk.cyan(' ║ ') + 
-                chalk.white(`${allocated}`) + chalk.cyan(' ║ ') + 
-                chalk.white(`${spent}`) + chalk.cyan(' ║ ') + 
-                `${status}` + chalk.cyan(' ║'));
-  });
-  
-  console.log(chalk.cyan('╚═════╩══════════════════════╩═════╩═══════════════╩════════════╩═══════════╝'));
+  printTicketTable(userData.tickets);
   
   console.log(chalk.gray('\nPress Enter to return to main menu...'));
   rl.question('', () => {
@@ -544,18 +1343,19 @@ function selectTicketForPomodoro() {
     }
     
     const ticket = pendingTickets[ticketIndex];
+    moveJiraTicketOnStart(ticket);
     startPomodoro(ticket);
   });
 }
 
-// Pomodoro timer
-function startPomodoro(ticket) {
+// Pomodoro timer. Pass the saved state of an interrupted session to resume it.
+function startPomodoro(ticket, onExit = showMainMenu, resumeState = null) {
   // Variable to track when we should force redraw the screen completely
   let lastFullDraw = 0;
   let userInputBuffer = '';
   
   // Function to redraw the timer display
-  function drawTimerDisplay(timeRemaining, mode, isPaused, ticketTimeInfo = null) {
+  function drawTimerDisplay(timeRemaining, mode, timerState, ticketTimeInfo = null) {
     console.clear();
     
     // Title section
@@ -571,6 +1371,7 @@ function startPomodoro(ticket) {
     console.log(chalk.bold.white(`Time Remaining: ${timeStr}\n`));
     
     // Show progress bar
+    const duration = plannedSeconds;
     try {
       const progressBar = new cliProgress.SingleBar({
         format: `${chalk.cyan('{bar}')} | {percentage}%`,
@@ -580,25 +1381,12 @@ function startPomodoro(ticket) {
         clearOnComplete: false
       });
       
-      let duration = 0;
-      if (mode === 'work') {
-        duration = WORK_DURATION * 60;
-      } else if (mode === 'shortBreak') {
-        duration = SHORT_BREAK_DURATION * 60;
-      } else {
-        duration = LONG_BREAK_DURATION * 60;
-      }
-      
       progressBar.start(duration, duration - timeRemaining);
       progressBar.update(duration - timeRemaining);
       progressBar.stop();
     } catch (e) {
       // Fallback if progress bar fails
-      const percentage = mode === 'work' 
-        ? Math.round(((WORK_DURATION * 60 - timeRemaining) / (WORK_DURATION * 60)) * 100)
-        : mode === 'shortBreak'
-          ? Math.round(((SHORT_BREAK_DURATION * 60 - timeRemaining) / (SHORT_BREAK_DURATION * 60)) * 100)
-          : Math.round(((LONG_BREAK_DURATION * 60 - timeRemaining) / (LONG_BREAK_DURATION * 60)) * 100);
+      const percentage = Math.round(((duration - timeRemaining) / duration) * 100);
       
       console.log(`Progress: ${percentage}%`);
     }
@@ -615,14 +1403,21 @@ function startPomodoro(ticket) {
     
     // Command help
     console.log('\n' + chalk.bold.white('Commands:'));
-    console.log(chalk.yellow('- P: ') + (isPaused ? chalk.green('Resume') : chalk.red('Pause')));
-    console.log(chalk.yellow('- S: ') + 'Skip current period');
+    if (timerState === 'waiting') {
+      console.log(chalk.yellow('- Enter: ') + chalk.green(`Start ${MODE_NAMES[mode].toLowerCase()}`));
+      if (mode !== 'work') console.log(chalk.yellow('- S: ') + 'Skip break');
+    } else {
+      console.log(chalk.yellow('- P: ') + (timerState === 'paused' ? chalk.green('Resume') : chalk.red('Pause')));
+      console.log(chalk.yellow('- S: ') + 'Skip current period');
+    }
     console.log(chalk.yellow('- C: ') + 'Complete ticket');
-    console.log(chalk.yellow('- Q: ') + 'Quit without saving');
+    console.log(chalk.yellow('- Q: ') + 'Quit (time worked is kept)');
     
     // Current state
-    if (isPaused) {
+    if (timerState === 'paused') {
       console.log('\n' + chalk.bold.yellow('⏸️  PAUSED'));
+    } else if (timerState === 'waiting') {
+      console.log('\n' + chalk.bold.yellow(`⏳ WAITING - press Enter when you're ready`));
     }
     
     // Show any input being typed
@@ -632,16 +1427,205 @@ function startPomodoro(ticket) {
   }
   
   console.clear();
-  console.log(chalk.bold.green('Starting Pomodoro session...'));
+  console.log(chalk.bold.green(resumeState ? 'Resuming Pomodoro session...' : 'Starting Pomodoro session...'));
+  
+  // Timer state machine:
+  // - 'running' counts the current period down, and moves on when it ends or is skipped
+  // - 'paused' holds the current period until it is resumed
+  // - 'waiting' sits between periods until the user starts the next one (when auto-start is off)
+  let timerState = resumeState ? resumeState.timerState : 'running';
+  let mode = resumeState ? resumeState.mode : 'work';
+  let pomodoroCount = resumeState ? resumeState.pomodoroCount : 0;
+  let lastElapsedTime = resumeState ? resumeState.elapsedSeconds : 0;
+  let totalSeconds = lastElapsedTime;
+  let startTime = Date.now() - (lastElapsedTime * 1000);
+  
+  // Session log: every period and every pause is recorded as an interval
+  const sessionId = resumeState ? resumeState.sessionId : sessionHelper.generateId();
+  let currentPeriod = resumeState ? resumeState.currentPeriod : null;
+  let currentPause = resumeState ? resumeState.currentPause : null;
+  
+  // A period keeps the length it started with, even if the settings change while it runs
+  let plannedSeconds = currentPeriod ? currentPeriod.plannedSeconds : getPlannedSeconds();
+  let timeRemaining = Math.max(0, plannedSeconds - lastElapsedTime);
+  
+  // Used to save the timer state regularly and to notice when the process was suspended
+  let lastHeartbeat = Date.now();
+  let lastTick = Date.now();
+  
+  // Length of a period in the current mode, from the current settings
+  function getPlannedSeconds() {
+    const plannedMinutes = mode === 'work' ? config.pomodoro.workDuration
+      : (mode === 'shortBreak' ? config.pomodoro.shortBreakDuration : config.pomodoro.longBreakDuration);
+    return plannedMinutes * 60;
+  }
+  
+  // Seconds the current period has actually run, excluding pauses
+  function getElapsedSeconds() {
+    return timerState === 'running' ? Math.floor((Date.now() - startTime) / 1000) : lastElapsedTime;
+  }
+  
+  // Save the timer state so the session can be resumed if the app stops unexpectedly
+  function saveTimerState() {
+    lastHeartbeat = Date.now();
+    try {
+      sessionHelper.saveActiveSession(getDataFile(), {
+        sessionId,
+        ticketId: ticket.id,
+        mode,
+        pomodoroCount,
+        timerState,
+        elapsedSeconds: getElapsedSeconds(),
+        currentPeriod,
+        currentPause
+      });
+    } catch (error) {
+      // A failed save only means less can be resumed after a crash, so keep the timer running
+    }
+  }
+  
+  // Start the period for the current mode and open its interval
+  function beginPeriod() {
+    timerState = 'running';
+    totalSeconds = 0;
+    lastElapsedTime = 0;
+    startTime = Date.now();
+    plannedSeconds = getPlannedSeconds();
+    timeRemaining = plannedSeconds;
+    
+    currentPeriod = sessionHelper.startInterval({
+      sessionId,
+      ticketId: ticket.id,
+      type: 'period',
+      mode,
+      plannedSeconds
+    });
+    saveTimerState();
+    
+    const plannedMinutes = plannedSeconds / 60;
+    if (mode === 'work') {
+      console.log(chalk.green(`\n🍅 Starting a new ${plannedMinutes} minute work period!`));
+    } else if (mode === 'longBreak') {
+      console.log(chalk.blue(`\n🧘 Long Break (${plannedMinutes} minutes) - Relax!`));
+    } else {
+      console.log(chalk.cyan(`\n☕ Short Break (${plannedMinutes} minutes) - Take a breath!`));
+    }
+    redrawAfterTransition();
+  }
+  
+  // Hold the timer until the user starts the period for the current mode
+  function waitForUser() {
+    timerState = 'waiting';
+    totalSeconds = 0;
+    lastElapsedTime = 0;
+    plannedSeconds = getPlannedSeconds();
+    timeRemaining = plannedSeconds;
+    saveTimerState();
+    redrawAfterTransition();
+  }
+  
+  // Leave messages about the period change on screen for a moment before redrawing
+  function redrawAfterTransition() {
+    setTimeout(() => {
+      drawTimerDisplay(timeRemaining, mode, timerState, getTicketTimeInfo());
+    }, 2000);
+  }
+  
+  // Move on to the next period, or wait for the user if auto-start is off for it
+  function advanceTo(nextMode) {
+    mode = nextMode;
+    const autoStart = mode === 'work' ? config.pomodoro.autoStartPomodoros : config.pomodoro.autoStartBreaks;
+    if (autoStart) {
+      beginPeriod();
+    } else {
+      waitForUser();
+    }
+  }
+  
+  // End the current period and move to the next one
+  function endPeriod(outcome) {
+    const endedMode = mode;
+    const workedSeconds = closePeriod(outcome);
+    saveData();
+    
+    // Pick up settings changed since the session started, so they apply from the next period on
+    reloadConfig();
+    
+    if (endedMode !== 'work') {
+      advanceTo('work');
+      return;
+    }
+    
+    pomodoroCount++;
+    const periodResult = outcome === sessionHelper.OUTCOMES.COMPLETED ? 'completed!' : 'ended early.';
+    console.log(chalk.green(`\n✓ Work period ${periodResult} ${formatTime(workedSeconds)} added to the ticket.`));
+    
+    const { maxCycles, longBreakInterval } = config.pomodoro;
+    if (maxCycles > 0 && pomodoroCount >= maxCycles) {
+      finishSession();
+      return;
+    }
+    
+    advanceTo(pomodoroCount % longBreakInterval === 0 ? 'longBreak' : 'shortBreak');
+  }
+  
+  // End the session once the configured number of Pomodoros is done
+  function finishSession() {
+    sessionHelper.clearActiveSession(getDataFile());
+    cleanup();
+    
+    console.log(chalk.bold.green(`\n🏁 Session complete: ${pomodoroCount} ` +
+      `Pomodoro${pomodoroCount === 1 ? '' : 's'} done. Time for a proper break!`));
+    logSessionToJira(ticket, sessionId, () => {
+      console.log(chalk.yellow('\nPress Enter to continue...'));
+      rl.question('', () => {
+        onExit();
+      });
+    });
+  }
+  
+  // Leave out time the process was suspended, e.g. while the laptop slept
+  function skipSuspendedTime(gapStart, gapEnd) {
+    startTime += gapEnd - gapStart;
+    userData.sessions.push(sessionHelper.createGapInterval({
+      sessionId,
+      ticketId: ticket.id,
+      mode,
+      startedAt: new Date(gapStart),
+      endedAt: new Date(gapEnd)
+    }));
+    saveData();
+    saveTimerState();
+    
+    const gapSeconds = Math.round((gapEnd - gapStart) / 1000);
+    userInputBuffer = `Timer was suspended for ${formatTime(gapSeconds)}; that time was not counted`;
+  }
+  
+  // Close the current period, and any pause within it, and add them to the session log.
+  // Work periods credit the ticket with the seconds actually worked.
+  function closePeriod(outcome) {
+    let workedSeconds = 0;
+    if (currentPeriod) {
+      const interval = sessionHelper.endInterval(currentPeriod, outcome, getElapsedSeconds());
+      userData.sessions.push(interval);
+      if (interval.mode === 'work') {
+        workedSeconds = interval.durationSeconds;
+        creditWorkTime(ticket, workedSeconds);
+      }
+      currentPeriod = null;
+    }
+    if (currentPause) {
+      userData.sessions.push(sessionHelper.endInterval(currentPause, outcome));
+      currentPause = null;
+    }
+    return workedSeconds;
+  }
   
-  // Initial variables
-  let totalSeconds = 0;
-  let timeRemaining = WORK_DURATION * 60; // Start with work duration
-  let isPaused = false;
-  let mode = 'work';
-  let pomodoroCount = 0;
-  let startTime = Date.now();
-  let lastElapsedTime = 0;
+  if (resumeState) {
+    saveTimerState();
+  } else {
+    beginPeriod();
+  }
   
   // Handle key presses
   readline.emitKeypressEvents(process.stdin);
@@ -653,49 +1637,73 @@ function startPomodoro(ticket) {
     
     // Handle control keys
     if (key.ctrl && key.name === 'c') {
-      // Allow Ctrl+C to exit properly
+      // Leave the session open so it can be resumed on the next launch
+      saveTimerState();
       cleanup();
+      console.log(chalk.yellow('\nPomodoro interrupted. You can resume it the next time you start Ticket Hero.'));
       process.exit();
     }
     
+    // Between periods, Enter starts the next one
+    if (timerState === 'waiting' && ['return', 'enter', 'space'].includes(key.name)) {
+      reloadConfig();
+      beginPeriod();
+      return;
+    }
+    
     // Handle specific keys for pomodoro control
     switch (key.name.toLowerCase()) {
       case 'p':
-        isPaused = !isPaused;
-        if (isPaused) {
+        if (timerState === 'waiting') break;
+        timerState = timerState === 'paused' ? 'running' : 'paused';
+        if (timerState === 'paused') {
+          currentPause = sessionHelper.startInterval({ sessionId, ticketId: ticket.id, type: 'pause', mode });
+          saveTimerState();
           console.log(chalk.yellow('\n⏸️  Timer paused'));
         } else {
           // Adjust start time when resuming
           startTime = Date.now() - (lastElapsedTime * 1000);
+          if (currentPause) {
+            userData.sessions.push(sessionHelper.endInterval(currentPause, sessionHelper.OUTCOMES.RESUMED));
+            currentPause = null;
+            saveData();
+          }
+          saveTimerState();
           console.log(chalk.green('\n▶️  Timer resumed'));
         }
         // Immediately redraw after pause/resume
-        drawTimerDisplay(timeRemaining, mode, isPaused, getTicketTimeInfo());
+        drawTimerDisplay(timeRemaining, mode, timerState, getTicketTimeInfo());
         break;
       case 's':
-        if (mode === 'work') {
-          completeWorkPeriod();
-        } else {
-          startWorkPeriod();
+        if (timerState !== 'waiting') {
+          endPeriod(sessionHelper.OUTCOMES.SKIPPED);
+        } else if (mode !== 'work') {
+          // Skip a break that hasn't started yet
+          reloadConfig();
+          advanceTo('work');
+          drawTimerDisplay(timeRemaining, mode, timerState, getTicketTimeInfo());
         }
         break;
       case 'c':
         completeTicket();
         break;
       case 'q':
+        closePeriod(sessionHelper.OUTCOMES.QUIT);
+        saveData();
+        sessionHelper.clearActiveSession(getDataFile());
         cleanup();
-        showMainMenu();
+        logSessionToJira(ticket, sessionId, onExit);
         break;
       default:
         // For any other key, just show it was pressed
         userInputBuffer = `Key pressed: ${key.name || str}`;
         // Redraw to show the key was pressed
-        drawTimerDisplay(timeRemaining, mode, isPaused, getTicketTimeInfo());
+        drawTimerDisplay(timeRemaining, mode, timerState, getTicketTimeInfo());
         // Clear the buffer after a short delay
         setTimeout(() => {
           userInputBuffer = '';
-          if (!isPaused) {
-            drawTimerDisplay(timeRemaining, mode, isPaused, getTicketTimeInfo());
+          if (timerState !== 'paused') {
+            drawTimerDisplay(timeRemaining, mode, timerState, getTicketTimeInfo());
           }
         }, 1000);
     }
@@ -709,12 +1717,8 @@ function startPomodoro(ticket) {
     // Only relevant in work mode
     if (mode !== 'work') return null;
     
-    const ticketSpentMinutes = ticket.timeSpent;
-    const currentSessionMinutes = totalSeconds / 60;
-    const totalMinutesSpent = ticketSpentMinutes + currentSessionMinutes;
-    
     const allocatedSeconds = ticket.allocatedTime * 60;
-    const spentSeconds = totalMinutesSpent * 60;
+    const spentSeconds = ticket.timeSpentSeconds + getElapsedSeconds();
     const remainingSeconds = allocatedSeconds - spentSeconds;
     
     return {
@@ -725,11 +1729,22 @@ function startPomodoro(ticket) {
   }
   
   // Initial draw
-  drawTimerDisplay(timeRemaining, mode, isPaused, getTicketTimeInfo());
+  drawTimerDisplay(timeRemaining, mode, timerState, getTicketTimeInfo());
   
   // Timer interval - update every 500ms for smoother UI
   const timer = setInterval(() => {
-    if (isPaused) return;
+    const tickTime = Date.now();
+    const tickGap = tickTime - lastTick;
+    lastTick = tickTime;
+    
+    if (timerState !== 'running') return;
+    
+    // Ticks stop while the process is suspended, so a long gap is time nobody worked
+    if (tickGap >= sessionHelper.SLEEP_GAP_SECONDS * 1000) {
+      skipSuspendedTime(tickTime - tickGap, tickTime);
+    } else if (tickTime - lastHeartbeat >= sessionHelper.HEARTBEAT_INTERVAL_SECONDS * 1000) {
+      saveTimerState();
+    }
     
     // Calculate elapsed time based on real time
     const currentTime = Date.now();
@@ -741,163 +1756,60 @@ function startPomodoro(ticket) {
       lastElapsedTime = elapsedSeconds;
       totalSeconds = elapsedSeconds;
       
-      // Calculate current period duration in seconds
-      let periodDuration = 0;
-      if (mode === 'work') {
-        periodDuration = WORK_DURATION * 60;
-      } else if (mode === 'shortBreak') {
-        periodDuration = SHORT_BREAK_DURATION * 60;
-      } else {
-        periodDuration = LONG_BREAK_DURATION * 60;
-      }
-      
       // Calculate remaining time in current period
-      timeRemaining = Math.max(0, periodDuration - (totalSeconds % periodDuration));
+      timeRemaining = Math.max(0, plannedSeconds - totalSeconds);
       
       // Redraw every 1 second
       const now = Date.now();
       if (now - lastFullDraw >= 1000) {
         lastFullDraw = now;
-        drawTimerDisplay(timeRemaining, mode, isPaused, getTicketTimeInfo());
+        drawTimerDisplay(timeRemaining, mode, timerState, getTicketTimeInfo());
       }
       
       // Check if current period is done
       if (timeRemaining === 0) {
-        if (mode === 'work') {
-          completeWorkPeriod();
-        } else {
-          startWorkPeriod();
-        }
+        endPeriod(sessionHelper.OUTCOMES.COMPLETED);
       }
     }
   }, 100); // Check more frequently for better accuracy
   
-  // Complete work period
-  function completeWorkPeriod() {
-    pomodoroCount++;
+  // Complete ticket
+  function completeTicket() {
+    closePeriod(sessionHelper.OUTCOMES.TICKET_COMPLETED);
+    sessionHelper.clearActiveSession(getDataFile());
+    cleanup();
     
-    // Calculate actual work time (in minutes)
-    const workMinutes = WORK_DURATION;
+    const overtime = finalizeTicket(ticket);
     
-    // Update ticket time spent
-    ticket.timeSpent += workMinutes;
-    saveData();
+    console.clear();
+    console.log(chalk.bold.green('🎉 Ticket Completed!'));
+    console.log(chalk.bold.white(`Ticket: ${ticket.name}`));
+    console.log(chalk.blue(`Time spent: ${ticket.timeSpent} minutes`));
+    console.log(chalk.blue(`Allocated time: ${ticket.allocatedTime} minutes`));
     
-    // Decide on break type
-    if (pomodoroCount % POMODOROS_BEFORE_LONG_BREAK === 0) {
-      mode = 'longBreak';
-      console.log(chalk.blue(`\n🧘 Long Break (${LONG_BREAK_DURATION} minutes) - Relax!`));
+    if (overtime > 0) {
+      console.log(chalk.yellow(`Overtime: ${overtime.toFixed(1)} minutes`));
     } else {
-      mode = 'shortBreak';
-      console.log(chalk.cyan(`\n☕ Short Break (${SHORT_BREAK_DURATION} minutes) - Take a breath!`));
+      const underTime = ticket.allocatedTime - ticket.timeSpentSeconds / 60;
+      console.log(chalk.green(`Completed ${underTime.toFixed(1)} minutes under allocated time!`));
     }
     
-    // Reset timer
-    totalSeconds = 0;
-    lastElapsedTime = 0;
-    startTime = Date.now();
-    
-    console.log(chalk.green(`\n✓ Work period completed! ${workMinutes} minutes added to the ticket.`));
-    // Redraw after period change
-    setTimeout(() => {
-      drawTimerDisplay(
-        mode === 'shortBreak' ? SHORT_BREAK_DURATION * 60 : LONG_BREAK_DURATION * 60, 
-        mode, 
-        isPaused
-      );
-    }, 2000);
+    logSessionToJira(ticket, sessionId, updateJiraOnComplete);
   }
   
-  // Start work period
-  function startWorkPeriod() {
-    mode = 'work';
+  // Run the Jira completion rules for the ticket, then leave the timer
+  async function updateJiraOnComplete() {
+    const results = await runJiraCompletionRules(ticket);
+    if (results.length > 0) {
+      console.log(chalk.blue('\nUpdating Jira...'));
+      results.forEach(({ submitted }) => printSubmitResult(submitted));
+    }
     
-    // Reset timer
-    totalSeconds = 0;
-    lastElapsedTime = 0;
-    startTime = Date.now();
-    
-    console.log(chalk.green(`\n🍅 Starting a new ${WORK_DURATION} minute work period!`));
-    // Redraw after period change
-    setTimeout(() => {
-      drawTimerDisplay(WORK_DURATION * 60, mode, isPaused, getTicketTimeInfo());
-    }, 2000);
-  }
-  
-  // Complete ticket
-  function completeTicket() {
-    cleanup();
-    
-    // Calculate final time in minutes (current ticket time + session time)
-    const sessionMinutes = totalSeconds / 60;
-    const finalTimeMinutes = ticket.timeSpent + sessionMinutes;
-    
-    // Update ticket
-    ticket.timeSpent = Math.round(finalTimeMinutes * 10) / 10; // Round to 1 decimal place
-    ticket.completed = true;
-    ticket.completedAt = new Date().toISOString();
-    
-    // Update stats
-    userData.stats.totalTicketsSolved++;
-    userData.stats.totalTimeTaken += ticket.timeSpent;
-    userData.stats.totalStoryPoints += ticket.storyPoints;
-    
-    // Calculate overtime if any
-    const overtime = Math.max(0, ticket.timeSpent - ticket.allocatedTime);
-    userData.stats.totalOvertime += overtime;
-    
-    // Update XP based on performance
-    updateXP(ticket, ticket.timeSpent);
-    
-    // Recalculate pending stats
-    calculatePendingStats();
-    
-    saveData();
-    
-    console.clear();
-    console.log(chalk.bold.green('🎉 Ticket Completed!'));
-    console.log(chalk.bold.white(`Ticket: ${ticket.name}`));
-    console.log(chalk.blue(`Time spent: ${ticket.timeSpent} minutes`));
-    console.log(chalk.blue(`Allocated time: ${ticket.allocatedTime} minutes`));
-    
-    if (overtime > 0) {
-      console.log(chalk.yellow(`Overtime: ${overtime.toFixed(1)} minutes`));
-    } else {
-      console.log(chalk.green(`Completed ${Math.abs(overtime).toFixed(1)} minutes under allocated time!`));
-    }
-    
-    // Update Jira if enabled and ticket has Jira ID
-    if (config.jira?.enabled && ticket.jiraId) {
-      console.log(chalk.blue('\nThis ticket is linked to Jira. Would you like to update its status in Jira?'));
-      console.log(chalk.white('y.'), chalk.green('Yes, mark as Done in Jira'));
-      console.log(chalk.white('n.'), chalk.yellow('No, just update locally'));
-      
-      rl.question(chalk.yellow('\nUpdate Jira? (y/n): '), async (answer) => {
-        if (answer.toLowerCase() === 'y') {
-          console.log(chalk.blue('\nUpdating Jira ticket status...'));
-          
-          const result = await jiraHelper.updateTicketStatus(ticket.jiraId, 'Done');
-          
-          if (result.success) {
-            console.log(chalk.green(`\n✓ ${result.message}`));
-          } else {
-            console.log(chalk.red(`\n✗ Error: ${result.message}`));
-          }
-        }
-        
-        // Reset the readline interface for the confirmation prompt
-        console.log(chalk.yellow('\nPress Enter to return to main menu...'));
-        rl.question('', () => {
-          showMainMenu();
-        });
-      });
-    } else {
-      // Reset the readline interface for the confirmation prompt
-      console.log(chalk.yellow('\nPress Enter to return to main menu...'));
-      rl.question('', () => {
-        showMainMenu();
-      });
-    }
+    // Reset the readline interface for the confirmation prompt
+    console.log(chalk.yellow('\nPress Enter to continue...'));
+    rl.question('', () => {
+      onExit();
+    });
   }
   
   // Cleanup function
@@ -908,6 +1820,111 @@ function startPomodoro(ticket) {
   }
 }
 
+// Get the Pomodoro that was interrupted by a crash, a closed terminal or Ctrl+C, if any
+function getInterruptedSession() {
+  const state = sessionHelper.loadActiveSession(getDataFile());
+  if (!state) return null;
+
+  const ticket = userData.tickets.find(t => t.id === state.ticketId);
+  // The period is already in the log if the app stopped after saving it but before clearing the state
+  const alreadyLogged = state.currentPeriod !== null &&
+    userData.sessions.some(interval => interval.id === state.currentPeriod.id);
+
+  if (!ticket || ticket.completed || alreadyLogged) {
+    sessionHelper.clearActiveSession(getDataFile());
+    return null;
+  }
+  return { state, ticket };
+}
+
+// End an interrupted Pomodoro as of its last heartbeat, crediting the work done until then
+function endInterruptedSession({ state, ticket }) {
+  // Nothing was running if the session was waiting to start its next period
+  if (!state.currentPeriod) {
+    sessionHelper.clearActiveSession(getDataFile());
+    return 0;
+  }
+
+  const endedAt = new Date(state.heartbeatAt);
+  const period = sessionHelper.endInterval(
+    state.currentPeriod, sessionHelper.OUTCOMES.INTERRUPTED, state.elapsedSeconds, endedAt);
+  userData.sessions.push(period);
+  if (period.mode === 'work') creditWorkTime(ticket, period.durationSeconds);
+
+  if (state.currentPause) {
+    userData.sessions.push(sessionHelper.endInterval(
+      state.currentPause, sessionHelper.OUTCOMES.INTERRUPTED, undefined, endedAt));
+  }
+
+  saveData();
+  sessionHelper.clearActiveSession(getDataFile());
+  return period.mode === 'work' ? period.durationSeconds : 0;
+}
+
+// Offer to resume, end or discard an interrupted Pomodoro
+function resumeInterruptedSession(onDone) {
+  const interrupted = getInterruptedSession();
+  if (!interrupted) {
+    onDone();
+    return;
+  }
+
+  const { state, ticket } = interrupted;
+  const lastActive = new Date(state.heartbeatAt);
+  const awaySeconds = Math.max(0, Math.round((Date.now() - lastActive) / 1000));
+
+  console.clear();
+  console.log(chalk.bold.yellow('===== Interrupted Pomodoro =====\n'));
+  console.log(chalk.white(`Ticket: ${ticket.name}`));
+  if (state.timerState === 'waiting') {
+    console.log(chalk.white(`Up next: ${MODE_NAMES[state.mode]}`));
+  } else {
+    console.log(chalk.white(`Period: ${MODE_NAMES[state.mode]}${state.timerState === 'paused' ? ' (paused)' : ''}, ` +
+      `${formatTime(state.elapsedSeconds)} in`));
+  }
+  console.log(chalk.white(`Last active: ${lastActive.toLocaleString()}`));
+  console.log(chalk.gray(`The ${formatTime(awaySeconds)} since then will not be counted as work.\n`));
+
+  console.log(chalk.white('1.'), chalk.green('Resume the session'));
+  console.log(chalk.white('2.'), chalk.yellow(state.mode === 'work' && state.currentPeriod
+    ? `End the session and credit ${formatTime(state.elapsedSeconds)} of work`
+    : 'End the session'));
+  console.log(chalk.white('3.'), chalk.red('Discard the session'));
+
+  rl.question(chalk.yellow('\nChoose an option (1-3): '), (answer) => {
+    switch (answer.trim()) {
+      case '1':
+        if (state.timerState === 'running') {
+          // Record the time the app wasn't running as a pause
+          userData.sessions.push(sessionHelper.createGapInterval({
+            sessionId: state.sessionId,
+            ticketId: ticket.id,
+            mode: state.mode,
+            startedAt: lastActive,
+            endedAt: new Date()
+          }));
+          saveData();
+        }
+        startPomodoro(ticket, onDone, state);
+        break;
+      case '2': {
+        const creditedSeconds = endInterruptedSession(interrupted);
+        console.log(chalk.green(`\n✓ Session ended. ${formatTime(creditedSeconds)} added to the ticket.`));
+        logSessionToJira(ticket, state.sessionId, () => setTimeout(onDone, 1500));
+        break;
+      }
+      case '3':
+        sessionHelper.clearActiveSession(getDataFile());
+        console.log(chalk.yellow('\nSession discarded.'));
+        setTimeout(onDone, 1500);
+        break;
+      default:
+        console.log(chalk.red('\nInvalid option. Please try again.'));
+        setTimeout(() => resumeInterruptedSession(onDone), 1500);
+    }
+  });
+}
+
 // Show dashboard
 function showDashboard() {
   console.clear();
@@ -921,28 +1938,17 @@ function showDashboard() {
   
   console.log(chalk.bold.cyan(`User: ${userData.user.name || 'Anonymous'}`));
   console.log(chalk.bold.cyan(`Level: ${userData.user.level} | XP: ${userData.user.xp}`));
+  printLevelProgress();
   
   // Calculate current pending stats
   calculatePendingStats();
   
   // Display stats in a nice table
   console.log('\n' + chalk.bold.white('Statistics:'));
-  console.log(chalk.cyan('╔══════════════════════════╦═══════════════╗'));
-  console.log(chalk.cyan('║ ') + chalk.bold.white('Metric                  ') + chalk.cyan(' ║ ') + chalk.bold.white('Value         ') + chalk.cyan(' ║'));
-  console.log(chalk.cyan('╠══════════════════════════╬═══════════════╣'));
-  console.log(chalk.cyan('║ ') + chalk.white('Tickets Solved           ') + chalk.cyan(' ║ ') + chalk.green(`${userData.stats.totalTicketsSolved}`.padEnd(13)) + chalk.cyan(' ║'));
-  console.log(chalk.cyan('║ ') + chalk.white('Story Points Completed   ') + chalk.cyan(' ║ ') + chalk.green(`${userData.stats.totalStoryPoints}`.padEnd(13)) + chalk.cyan(' ║'));
-  console.log(chalk.cyan('║ ') + chalk.white('Total Time Taken         ') + chalk.cyan(' ║ ') + chalk.blue(`${userData.stats.totalTimeTaken.toFixed(1)} min`.padEnd(13)) + chalk.cyan(' ║'));
-  console.log(chalk.cyan('║ ') + chalk.white('Total Overtime           ') + chalk.cyan(' ║ ') + chalk.yellow(`${userData.stats.totalOvertime.toFixed(1)} min`.padEnd(13)) + chalk.cyan(' ║'));
-  
-  if (userData.stats.totalTicketsSolved > 0) {
-    const avgTime = (userData.stats.totalTimeTaken / userData.stats.totalTicketsSolved).toFixed(1);
-    console.log(chalk.cyan('║ ') + chalk.white('Average Time Per Ticket   ') + chalk.cyan(' ║ ') + chalk.blue(`${avgTime} min`.padEnd(13)) + chalk.cyan(' ║'));
-  }
+  printStatsTable();
   
-  console.log(chalk.cyan('║ ') + chalk.white('Tickets Pending          ') + chalk.cyan(' ║ ') + chalk.yellow(`${userData.stats.totalTicketsPending || 0}`.padEnd(13)) + chalk.cyan(' ║'));
-  console.log(chalk.cyan('║ ') + chalk.white('Story Points Pending     ') + chalk.cyan(' ║ ') + chalk.yellow(`${userData.stats.totalStoryPointsPending || 0}`.padEnd(13)) + chalk.cyan(' ║'));
-  console.log(chalk.cyan('╚══════════════════════════╩═══════════════╝'));
+  console.log('\n' + chalk.bold.white('Trends:'));
+  printTrends();
   
   // Recent activity
   console.log('\n' + chalk.bold.white('Recent Activity:'));
@@ -982,244 +1988,1467 @@ function showDashboard() {
     console.log(chalk.gray('No completed tickets yet.'));
   }
   
-  console.log(chalk.gray('\nPress Enter to return to main menu...'));
-  rl.question('', () => {
+  console.log(chalk.gray('\nPress r for reports, a for estimation accuracy, x for XP history, or Enter to return to main menu...'));
+  rl.question('', (answer) => {
+    const choice = answer.trim().toLowerCase();
+    if (choice === 'r') {
+      showReports();
+      return;
+    }
+    if (choice === 'x') {
+      showXpHistory();
+      return;
+    }
+    if (choice === 'a') {
+      showEstimationAccuracy();
+      return;
+    }
     showMainMenu();
   });
 }
 
-// Jira integration function
-async function jiraIntegration() {
-  console.clear();
-  console.log(chalk.bold.blue('===== Jira Integration =====\n'));
+// Weeks of trends the dashboard can show at most
+const MAX_TREND_WEEKS = 26;
+
+// Weeks shown in the weekly bar charts
+const WEEKLY_CHART_WEEKS = 8;
+
+// Print the dashboard's trend charts, sized to fit the terminal
+function printTrends() {
+  const width = chartHelper.getChartWidth();
+  // The heatmap needs two columns per week after its weekday labels
+  const weeks = Math.min(MAX_TREND_WEEKS, Math.floor((width - 4) / 2));
+  const trends = reportHelper.buildTrends({ tickets: userData.tickets, intervals: userData.sessions, weeks });
   
-  if (!config.jira?.enabled) {
-    console.log(chalk.yellow('Jira integration is currently disabled in settings.'));
-    console.log(chalk.yellow('Go to Settings > Jira Settings to enable it.'));
-    console.log(chalk.gray('\nPress Enter to return to main menu...'));
-    rl.question('', () => {
-      showMainMenu();
-    });
+  const pastDays = trends.days.filter(day => !day.future);
+  if (!pastDays.some(day => day.minutes > 0 || day.pomodoros > 0) && !trends.weeks.some(week => week.ticketsCompleted > 0)) {
+    console.log(chalk.gray('Work some Pomodoros to see your trends here.'));
     return;
   }
   
-  let isConnected = await jiraHelper.initialize();
+  // Focus minutes per day, as many days as fit beside the summary
+  const focusDays = pastDays.slice(-Math.min(pastDays.length, width - 28));
+  const focusMinutes = focusDays.map(day => day.minutes);
+  const average = Math.round(focusMinutes.reduce((sum, minutes) => sum + minutes, 0) / focusDays.length);
+  console.log(chalk.cyan(`Focus per day, last ${focusDays.length} days:`));
+  console.log(`${chartHelper.sparkline(focusMinutes)}  ` +
+              chalk.gray(`avg ${worklogHelper.formatJiraDuration(average)}, best ${worklogHelper.formatJiraDuration(Math.round(Math.max(...focusMinutes)))}`));
   
-  if (!isConnected) {
-    console.log(chalk.yellow('Jira connection not set up. Let\'s configure it now.'));
-    isConnected = await jiraHelper.setupJira(rl);
-  }
+  const recentWeeks = trends.weeks.slice(-WEEKLY_CHART_WEEKS);
+  const weekLabel = week => reportHelper.parseDay(week.from).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
   
-  if (!isConnected) {
-    console.log(chalk.red('\nFailed to connect to Jira.'));
-    console.log(chalk.gray('\nPress Enter to return to main menu...'));
-    rl.question('', () => {
-      showMainMenu();
-    });
-    return;
-  }
+  console.log(chalk.cyan('\nStory points per week:'));
+  chartHelper.barChart(recentWeeks.map(week => ({
+    label: weekLabel(week),
+    value: week.storyPoints,
+    text: `${week.storyPoints} SP`
+  })), { width, color: 'green' }).forEach(line => console.log(line));
   
-  console.log(chalk.bold.white('\nJira Options:'));
-  console.log(chalk.white('1.'), chalk.green('Import Tickets from Jira'));
-  console.log(chalk.white('2.'), chalk.green('Update Jira Ticket Status'));
-  console.log(chalk.white('3.'), chalk.green('Setup/Change Jira Connection'));
-  console.log(chalk.white('4.'), chalk.green('Return to Main Menu'));
+  console.log(chalk.cyan('\nOvertime per week, as a share of completed tickets\' allocated time:'));
+  chartHelper.barChart(recentWeeks.map(week => ({
+    label: weekLabel(week),
+    value: week.overtimeRatio,
+    text: week.overtimeRatio === null ? '-' : `${Math.round(week.overtimeRatio * 100)}%`
+  })), { width, color: 'yellow' }).forEach(line => console.log(line));
   
-  rl.question(chalk.yellow('\nSelect option: '), async (answer) => {
-    switch (answer) {
-      case '1':
-        await importTicketsFromJira();
-        break;
-      case '2':
-        await updateJiraTicketStatus();
-        break;
-      case '3':
-        await jiraHelper.setupJira(rl);
-        setTimeout(jiraIntegration, 1500);
-        break;
-      case '4':
-        showMainMenu();
-        break;
-      default:
-        console.log(chalk.red('\nInvalid option!'));
-        setTimeout(jiraIntegration, 1000);
-    }
+  console.log(chalk.cyan(`\nPomodoros, last ${weeks} weeks:`));
+  chartHelper.heatmap(trends.days.map(day => ({ date: day.date, value: day.pomodoros, future: day.future })))
+    .forEach(line => console.log(line));
+}
+
+// Print estimation accuracy groups as a table
+function printAccuracyTable(title, groups) {
+  console.log(chalk.cyan('╔════════════════════╦═════════╦═══════════╦═══════════╦═════════╦════════╦══════════╗'));
+  console.log(chalk.cyan('║ ') + chalk.bold.white(title.padEnd(18)) + chalk.cyan(' ║ ') +
+              chalk.bold.white('Tickets') + chalk.cyan(' ║ ') + chalk.bold.white('Allocated') + chalk.cyan(' ║ ') +
+              chalk.bold.white('Actual   ') + chalk.cyan(' ║ ') + chalk.bold.white('Spread ') + chalk.cyan(' ║ ') +
+              chalk.bold.white('Over  ') + chalk.cyan(' ║ ') + chalk.bold.white('Accuracy') + chalk.cyan(' ║'));
+  console.log(chalk.cyan('╠════════════════════╬═════════╬═══════════╬═══════════╬═════════╬════════╬══════════╣'));
+  
+  groups.forEach(group => {
+    // Accuracy is actual time as a share of allocated time, so over 100% means under-estimated
+    const accuracy = Math.round(group.meanRatio * 100);
+    const accuracyColor = group.chronic ? chalk.red : (accuracy > 100 ? chalk.yellow : chalk.green);
+    console.log(chalk.cyan('║ ') + chalk.white(group.label.substring(0, 18).padEnd(18)) + chalk.cyan(' ║ ') +
+                chalk.white(`${group.count}`.padEnd(7)) + chalk.cyan(' ║ ') +
+                chalk.blue(`${Math.round(group.meanAllocated)}m`.padEnd(9)) + chalk.cyan(' ║ ') +
+                chalk.blue(`${Math.round(group.meanActual)}m`.padEnd(9)) + chalk.cyan(' ║ ') +
+                chalk.white(`±${Math.round(group.spread)}m`.padEnd(7)) + chalk.cyan(' ║ ') +
+                chalk.white(`${Math.round(group.overShare * 100)}%`.padEnd(6)) + chalk.cyan(' ║ ') +
+                accuracyColor(`${accuracy}%`.padEnd(8)) + chalk.cyan(' ║'));
   });
+  console.log(chalk.cyan('╚════════════════════╩═════════╩═══════════╩═══════════╩═════════╩════════╩══════════╝'));
 }
 
-// Function to import tickets from Jira
-async function importTicketsFromJira() {
+// How allocated time compared with the time completed tickets actually took
+function showEstimationAccuracy() {
   console.clear();
-  console.log(chalk.bold.green('===== Import Tickets from Jira =====\n'));
-  
-  console.log(chalk.blue('Fetching your tickets from Jira...'));
-  
-  const result = await jiraHelper.getMyTickets();
+  console.log(chalk.bold.blue('===== Estimation Accuracy =====\n'));
   
-  if (!result.success) {
-    console.log(chalk.red(`\n✗ Error: ${result.message}`));
-    console.log(chalk.gray('\nPress Enter to return to Jira menu...'));
-    rl.question('', () => {
-      jiraIntegration();
+  const accuracy = estimateHelper.getAccuracy(userData.tickets);
+  if (!accuracy.overall) {
+    console.log(chalk.gray('Complete some tickets to see how your estimates compare with the time they take.'));
+  } else {
+    const overall = accuracy.overall;
+    console.log(chalk.bold.cyan(`${overall.count} completed ticket${overall.count === 1 ? '' : 's'}: ` +
+                `actual time was ${Math.round(overall.meanRatio * 100)}% of allocated on average, ` +
+                `and ${Math.round(overall.overShare * 100)}% ran over.`));
+    console.log(chalk.gray('Spread is the standard deviation of the actual time. Accuracy over 100% means more time was needed than allocated.\n'));
+    
+    console.log(chalk.bold.white('By Story Points:'));
+    printAccuracyTable('Story Points', accuracy.byStoryPoints);
+    console.log(chalk.bold.white('\nBy Issue Type:'));
+    printAccuracyTable('Issue Type', accuracy.byIssueType);
+    
+    console.log(chalk.bold.white('\nChronic Under-estimates:'));
+    if (accuracy.chronic.length === 0) {
+      console.log(chalk.green(`None - no group with ${estimateHelper.MIN_SAMPLES} or more tickets keeps running over.`));
+    }
+    accuracy.chronic.forEach(group => {
+      console.log(chalk.red(`• ${group.label}: ${Math.round(group.overShare * 100)}% ran over, taking ` +
+                  `${Math.round(group.meanActual)}m on average against ${Math.round(group.meanAllocated)}m allocated`));
     });
-    return;
+    console.log(chalk.gray('\nNew tickets are given allocated time from this history when you add or import them.'));
   }
   
-  if (result.tickets.length === 0) {
-    console.log(chalk.yellow('\nNo tickets assigned to you in Jira.'));
-    console.log(chalk.gray('\nPress Enter to return to Jira menu...'));
-    rl.question('', () => {
-      jiraIntegration();
-    });
-    return;
+  console.log(chalk.gray('\nPress Enter to return to the dashboard...'));
+  rl.question('', () => {
+    showDashboard();
+  });
+}
+
+// One of the named report ranges, using the sprint settings
+function getReportRange(name) {
+  return reportHelper.getRange(name, config.reports);
+}
+
+// Build a report on the tickets and the session log
+function createReport({ range, groupBy }) {
+  return reportHelper.buildReport({ tickets: userData.tickets, intervals: userData.sessions, range, groupBy });
+}
+
+// Print a report as a table
+function printReportTable(report) {
+  const groupTitle = report.groupBy.charAt(0).toUpperCase() + report.groupBy.slice(1);
+  
+  console.log(chalk.cyan('╔══════════════════════════╦══════════╦═══════════╦═════════╦═══════════╦═════╦══════════╗'));
+  console.log(chalk.cyan('║ ') + chalk.bold.white(groupTitle.padEnd(24)) + chalk.cyan(' ║ ') +
+              chalk.bold.white('Time    ') + chalk.cyan(' ║ ') + chalk.bold.white('Pomodoros') + chalk.cyan(' ║ ') +
+              chalk.bold.white('Created') + chalk.cyan(' ║ ') + chalk.bold.white('Completed') + chalk.cyan(' ║ ') +
+              chalk.bold.white('SP ') + chalk.cyan(' ║ ') + chalk.bold.white('Overtime') + chalk.cyan(' ║'));
+  console.log(chalk.cyan('╠══════════════════════════╬══════════╬═══════════╬═════════╬═══════════╬═════╬══════════╣'));
+  
+  const printRow = (row, color) => {
+    console.log(chalk.cyan('║ ') + color(row.label.substring(0, 24).padEnd(24)) + chalk.cyan(' ║ ') +
+                chalk.blue(worklogHelper.formatJiraDuration(Math.round(row.minutes)).padEnd(8)) + chalk.cyan(' ║ ') +
+                color(`${row.pomodoros}`.padEnd(9)) + chalk.cyan(' ║ ') +
+                color(`${row.ticketsCreated}`.padEnd(7)) + chalk.cyan(' ║ ') +
+                chalk.green(`${row.ticketsCompleted}`.padEnd(9)) + chalk.cyan(' ║ ') +
+                color(`${row.storyPoints}`.padEnd(3)) + chalk.cyan(' ║ ') +
+                chalk.yellow(`${row.overtimeMinutes > 0 ? `${row.overtimeMinutes}m` : '-'}`.padEnd(8)) + chalk.cyan(' ║'));
+  };
+  
+  report.rows.forEach(row => printRow(row, chalk.white));
+  if (report.rows.length === 0) {
+    console.log(chalk.cyan('║ ') + chalk.gray('Nothing was worked on, created or completed in this range.'.padEnd(86)) + chalk.cyan(' ║'));
   }
+  console.log(chalk.cyan('╠══════════════════════════╬══════════╬═══════════╬═════════╬═══════════╬═════╬══════════╣'));
+  printRow(report.totals, chalk.bold.white);
+  console.log(chalk.cyan('╚══════════════════════════╩══════════╩═══════════╩═════════╩═══════════╩═════╩══════════╝'));
+}
+
+// Reports on the work done in a range of days, grouped by ticket, Jira project or day
+function showReports(view = { range: getReportRange('week'), groupBy: 'ticket' }) {
+  console.clear();
+  console.log(chalk.bold.blue('===== Reports =====\n'));
   
-  console.log(chalk.green(`\n✓ Found ${result.tickets.length} tickets assigned to you!\n`));
+  const report = createReport(view);
+  console.log(chalk.bold.cyan(`${report.range.label}: ${reportHelper.describeDays(report.range)}`),
+              chalk.gray(`(by ${report.groupBy})`));
+  printReportTable(report);
   
-  // Display tickets
-  console.log(chalk.bold.white('Your Jira Tickets:'));
-  result.tickets.forEach((ticket, index) => {
-    console.log(chalk.white(`${index + 1}.`), chalk.green(`${ticket.name}`), 
-                chalk.gray(`(${ticket.type}, ${ticket.status}, SP: ${ticket.storyPoints})`));
+  console.log(chalk.bold.white('\nOptions:'));
+  Object.values(reportHelper.RANGES).forEach((label, index) => {
+    console.log(chalk.white(`${index + 1}.`), chalk.green(label));
   });
-  
-  // Ask which tickets to import
-  console.log(chalk.bold.white('\nSelect tickets to import:'));
-  console.log(chalk.white('a.'), chalk.green('Import all tickets'));
-  console.log(chalk.white('s.'), chalk.green('Select specific tickets'));
-  console.log(chalk.white('c.'), chalk.green('Cancel import'));
+  console.log(chalk.white('4.'), chalk.green('Custom range'));
+  console.log(chalk.white('g.'), chalk.green(`Group by ${reportHelper.GROUP_BY.filter(groupBy => groupBy !== view.groupBy).join(' or ')}`));
+  console.log(chalk.white('e.'), chalk.green('Export as CSV, JSON or Markdown'));
+  console.log(chalk.white('0.'), chalk.white('Back to Dashboard'));
   
   rl.question(chalk.yellow('\nChoose option: '), (answer) => {
-    if (answer.toLowerCase() === 'a') {
-      // Import all tickets
-      result.tickets.forEach(ticket => {
-        const newTicket = {
-          id: Date.now().toString(),
-          name: ticket.name,
-          jiraId: ticket.id,
-          jiraUrl: ticket.jiraUrl,
-          storyPoints: ticket.storyPoints,
-          allocatedTime: ticket.allocatedTime,
-          timeSpent: 0,
-          completed: false,
-          createdAt: new Date().toISOString()
-        };
-        
-        userData.tickets.push(newTicket);
-      });
-      
-      calculatePendingStats();
-      saveData();
-      console.log(chalk.green(`\n✓ Successfully imported ${result.tickets.length} tickets!`));
-      
-      console.log(chalk.gray('\nPress Enter to return to Jira menu...'));
-      rl.question('', () => {
-        jiraIntegration();
-      });
-    } else if (answer.toLowerCase() === 's') {
-      selectTicketsToImport(result.tickets);
+    const choice = answer.trim().toLowerCase();
+    const rangeName = Object.keys(reportHelper.RANGES)[parseInt(choice, 10) - 1];
+    
+    if (rangeName) {
+      showReports({ ...view, range: getReportRange(rangeName) });
+    } else if (choice === '4') {
+      askCustomReportRange(view);
+    } else if (choice === 'g') {
+      const groupBy = reportHelper.GROUP_BY[(reportHelper.GROUP_BY.indexOf(view.groupBy) + 1) % reportHelper.GROUP_BY.length];
+      showReports({ ...view, groupBy });
+    } else if (choice === 'e') {
+      exportReport(report, () => showReports(view));
     } else {
-      jiraIntegration();
+      showDashboard();
     }
   });
 }
 
-// Function to let user select which tickets to import
-function selectTicketsToImport(tickets) {
-  console.clear();
-  console.log(chalk.bold.green('===== Select Tickets to Import =====\n'));
-  
-  console.log(chalk.blue('Enter ticket numbers separated by commas (e.g., 1,3,5)'));
-  console.log(chalk.blue('or ranges (e.g., 1-5) to select tickets to import.\n'));
-  
-  // Display tickets
-  tickets.forEach((ticket, index) => {
-    console.log(chalk.white(`${index + 1}.`), chalk.green(`${ticket.name}`), 
-                chalk.gray(`(${ticket.type}, ${ticket.status}, SP: ${ticket.storyPoints})`));
+// Ask for the first and last day of a report
+function askCustomReportRange(view) {
+  rl.question(chalk.yellow('\nFirst day (YYYY-MM-DD): '), (fromAnswer) => {
+    rl.question(chalk.yellow(`Last day (YYYY-MM-DD, Enter for today): `), (toAnswer) => {
+      const range = reportHelper.createCustomRange(fromAnswer, toAnswer.trim() || reportHelper.formatDay(new Date()));
+      if (!range) {
+        console.log(chalk.red('\n✗ Enter the days as YYYY-MM-DD, with the first day before the last.'));
+        setTimeout(() => showReports(view), 1500);
+        return;
+      }
+      showReports({ ...view, range });
+    });
+  });
+}
+
+// Let the user save a report as CSV, JSON or Markdown
+function exportReport(report, onDone) {
+  const formats = Object.keys(reportHelper.FORMATS);
+  console.log(chalk.bold.white('\nExport as:'));
+  formats.forEach((format, index) => {
+    console.log(chalk.white(`${index + 1}.`), chalk.green(reportHelper.FORMATS[format]));
   });
   
-  rl.question(chalk.yellow('\nEnter selection: '), (answer) => {
-    const selectedIndices = parseSelectionString(answer, tickets.length);
-    
-    if (selectedIndices.length === 0) {
-      console.log(chalk.red('\nNo valid tickets selected.'));
-      setTimeout(() => selectTicketsToImport(tickets), 1500);
+  rl.question(chalk.yellow('\nChoose format or 0 to cancel: '), (answer) => {
+    const format = formats[parseInt(answer, 10) - 1];
+    if (!format) {
+      onDone();
       return;
     }
     
-    const selectedTickets = selectedIndices.map(index => tickets[index]);
-    
-    // Import selected tickets
-    selectedTickets.forEach(ticket => {
-      const newTicket = {
-        id: Date.now().toString(),
-        name: ticket.name,
-        jiraId: ticket.id,
-        jiraUrl: ticket.jiraUrl,
-        storyPoints: ticket.storyPoints,
-        allocatedTime: ticket.allocatedTime,
-        timeSpent: 0,
-        completed: false,
-        createdAt: new Date().toISOString()
-      };
+    const suggested = reportHelper.getExportFileName(report, format);
+    rl.question(chalk.yellow(`File to save to (Enter for ${suggested}): `), (fileAnswer) => {
+      try {
+        const savedPath = reportHelper.writeReport(report, format, fileAnswer.trim() || suggested);
+        console.log(chalk.green(`\n✓ Report saved to ${savedPath}`));
+      } catch (error) {
+        console.log(chalk.red(`\n✗ Couldn't save the report: ${error.message}`));
+      }
       
-      userData.tickets.push(newTicket);
-    });
-    
-    calculatePendingStats();
-    saveData();
-    console.log(chalk.green(`\n✓ Successfully imported ${selectedTickets.length} tickets!`));
-    
-    console.log(chalk.gray('\nPress Enter to return to Jira menu...'));
-    rl.question('', () => {
-      jiraIntegration();
+      console.log(chalk.gray('\nPress Enter to continue...'));
+      rl.question('', () => {
+        onDone();
+      });
     });
   });
 }
 
-// Helper function to parse selection string like "1,3,5-7"
-function parseSelectionString(selectionStr, maxLength) {
-  const indices = new Set();
+// Add a Jira change to the outbox. It stays there until Jira confirms it.
+function queueJiraOperation(details) {
+  const operation = outboxHelper.enqueueOperation(userData.jiraOutbox, outboxHelper.createOperation(details));
+  saveData();
+  return operation;
+}
+
+// The transition a Ticket Hero event moves a ticket's Jira issue with, or null if it leaves the issue alone
+function getJiraTransition(ticket, event) {
+  const jira = jiraHelper.forConnection(ticket.jiraConnection) || jiraHelper;
+  return jira.getLifecycleTransition(ticket.jiraId, event);
+}
+
+// Move a Jira-linked ticket's issue along when its first Pomodoro starts, if that rule is on.
+// The transition is queued and sent in the background so the timer never waits for Jira;
+// if it can't be sent, it stays in the outbox and is retried like any other change.
+function moveJiraTicketOnStart(ticket) {
+  if (!config.jira?.enabled || !config.jira.updateTicketOnStart || !ticket.jiraId) return;
+  if (userData.sessions.some(interval => interval.ticketId === ticket.id)) return;
   
-  // Split by comma
-  const parts = selectionStr.split(',');
+  const transition = getJiraTransition(ticket, jiraHelper.LIFECYCLE_EVENTS.STARTED);
+  if (!transition) return;
   
-  parts.forEach(part => {
-    part = part.trim();
-    
-    // Check if it's a range (e.g., "1-5")
-    if (part.includes('-')) {
-      const [start, end] = part.split('-').map(Number);
-      
-      if (!isNaN(start) && !isNaN(end)) {
-        for (let i = start; i <= end; i++) {
-          if (i > 0 && i <= maxLength) {
+  queueJiraOperation({
+    type: outboxHelper.OPERATION_TYPES.TRANSITION,
+    connection: ticket.jiraConnection,
+    jiraId: ticket.jiraId,
+    ticketId: ticket.id,
+    payload: transition
+  });
+  syncJiraOutbox({ ignoreBackoff: true }).catch(() => {
+    // The transition stays in the outbox and is retried later
+  });
+}
+
+// Run the rules for a completed Jira-linked ticket: move its issue with the completed transition,
+// then comment with a summary of the work. Returns what happened to each change that was sent.
+async function runJiraCompletionRules(ticket, { moveIssue = config.jira?.updateTicketOnComplete } = {}) {
+  if (!config.jira?.enabled || !ticket.jiraId) return [];
+  
+  const changes = [];
+  const transition = moveIssue ? getJiraTransition(ticket, jiraHelper.LIFECYCLE_EVENTS.COMPLETED) : null;
+  if (transition) {
+    changes.push({ type: outboxHelper.OPERATION_TYPES.TRANSITION, payload: transition });
+  }
+  if (config.jira.commentOnComplete) {
+    changes.push({
+      type: outboxHelper.OPERATION_TYPES.COMMENT,
+      payload: {
+        body: worklogHelper.createCompletionComment({
+          ticket,
+          intervals: userData.sessions,
+          template: config.jira.completionCommentTemplate
+        })
+      }
+    });
+  }
+  
+  const results = [];
+  for (const change of changes) {
+    const submitted = await submitJiraOperation({
+      ...change,
+      connection: ticket.jiraConnection,
+      jiraId: ticket.jiraId,
+      ticketId: ticket.id
+    });
+    results.push({ type: change.type, submitted });
+  }
+  return results;
+}
+
+// Send one outbox operation to the Jira connection it belongs to
+async function executeJiraOperation(operation) {
+  const { payload } = operation;
+  const jira = jiraHelper.forConnection(operation.connection);
+  let response;
+
+  if (!jira) {
+    return { success: false, message: `There's no Jira connection named "${operation.connection}"`, retryable: false };
+  }
+
+  switch (operation.type) {
+    case outboxHelper.OPERATION_TYPES.WORKLOG:
+      response = await jira.logWork(operation.jiraId, payload.minutes, payload.comment, new Date(payload.started));
+      break;
+    case outboxHelper.OPERATION_TYPES.TRANSITION:
+      response = await jira.updateTicketStatus(operation.jiraId, payload.status,
+        { transitionId: payload.transitionId, fields: payload.fields });
+      break;
+    case outboxHelper.OPERATION_TYPES.COMMENT:
+      response = await jira.addComment(operation.jiraId, outboxHelper.getCommentBody(operation));
+      break;
+    default:
+      response = { success: false, message: `Unknown operation type "${operation.type}"`, retryable: false };
+  }
+
+  // Without a connection the rest of its changes would fail the same way
+  return { ...response, offline: !response.success && !jira.isAuthenticated };
+}
+
+// The outbox sync in progress, if any
+let outboxSync = null;
+
+// Send outbox operations to Jira and save what's left. A sync started while another is still
+// running, such as the one moveJiraTicketOnStart leaves in the background, waits for it so the
+// same change is never sent twice.
+async function syncJiraOutbox(options = {}) {
+  while (outboxSync) {
+    // Its caller deals with its errors
+    await outboxSync.catch(() => {});
+  }
+  
+  outboxSync = outboxHelper.processOutbox(userData.jiraOutbox, executeJiraOperation, options);
+  try {
+    const result = await outboxSync;
+    saveData();
+    return result;
+  } finally {
+    outboxSync = null;
+  }
+}
+
+// Print the outcome of an outbox sync
+function printSyncResult(result) {
+  if (result.sent.length > 0) {
+    console.log(chalk.green(`✓ Sent ${result.sent.length} change${result.sent.length === 1 ? '' : 's'} to Jira`));
+  }
+
+  const waiting = userData.jiraOutbox.filter(operation => !operation.held).length;
+  const held = userData.jiraOutbox.length - waiting;
+  if (waiting > 0) {
+    console.log(chalk.yellow(`⚠️ ${waiting} change${waiting === 1 ? '' : 's'} waiting to be sent to Jira ` +
+      `(${result.lastError || 'not sent yet'}). They will be retried later.`));
+  }
+  if (held > 0) {
+    console.log(chalk.red(`✗ ${held} change${held === 1 ? ' was' : 's were'} rejected by Jira. ` +
+      'Review them under Jira Integration > Pending Jira Sync.'));
+  }
+}
+
+// Print the changes waiting in the Jira outbox, numbered
+function printJiraOutbox() {
+  const now = new Date();
+  userData.jiraOutbox.forEach((operation, index) => {
+    const retry = outboxHelper.describeRetry(operation, now);
+    const details = operation.lastError
+      ? chalk.red(`(${operation.attempts} failed attempt${operation.attempts === 1 ? '' : 's'}: ${operation.lastError})`)
+      : '';
+    const issue = config.jira.connections.length > 1 ? `${operation.connection}/${operation.jiraId}` : operation.jiraId;
+    console.log(chalk.white(`${index + 1}.`), chalk.green(`${issue} ${outboxHelper.describeOperation(operation)}`),
+                chalk.gray(`queued ${new Date(operation.createdAt).toLocaleString()},`),
+                operation.held ? chalk.red(retry) : chalk.gray(retry), details);
+  });
+}
+
+// Queue a Jira change and try to send it straight away. Returns how it went.
+async function submitJiraOperation(details) {
+  const operation = queueJiraOperation(details);
+  const result = await syncJiraOutbox({ ignoreBackoff: true });
+  const sent = result.sent.find(entry => entry.operation === operation);
+
+  if (sent) return { status: 'sent', message: sent.message };
+  return { status: operation.held ? 'rejected' : 'queued', message: operation.lastError || result.lastError || 'Not sent yet' };
+}
+
+// Print the outcome of submitJiraOperation
+function printSubmitResult(submitted) {
+  switch (submitted.status) {
+    case 'sent':
+      console.log(chalk.green(`\n✓ ${submitted.message}`));
+      break;
+    case 'queued':
+      console.log(chalk.yellow(`\n⚠️ Couldn't reach Jira (${submitted.message}).`));
+      console.log(chalk.yellow('The change is queued and will be sent when Jira is reachable again.'));
+      break;
+    default:
+      console.log(chalk.red(`\n✗ Error: ${submitted.message}`));
+      console.log(chalk.gray('The change is kept under Jira Integration > Pending Jira Sync so you can retry or drop it.'));
+  }
+}
+
+// Queue the work a session did on a Jira-linked ticket as a single worklog
+function queueSessionWorklog(ticket, sessionId) {
+  if (!config.jira?.enabled || !config.jira.logWork || !ticket.jiraId) return null;
+
+  const payload = worklogHelper.createSessionWorklog({
+    ticket,
+    sessionId,
+    intervals: userData.sessions,
+    template: config.jira.worklogCommentTemplate
+  });
+  if (!payload) return null;
+
+  return queueJiraOperation({
+    type: outboxHelper.OPERATION_TYPES.WORKLOG,
+    connection: ticket.jiraConnection,
+    jiraId: ticket.jiraId,
+    ticketId: ticket.id,
+    payload
+  });
+}
+
+// Log a finished session's work to Jira, along with anything still in the outbox, then continue
+function logSessionToJira(ticket, sessionId, onDone) {
+  if (!queueSessionWorklog(ticket, sessionId)) {
+    onDone();
+    return;
+  }
+
+  console.log(chalk.blue('\nLogging work to Jira...'));
+  syncJiraOutbox({ ignoreBackoff: true }).then(result => {
+    printSyncResult(result);
+    setTimeout(onDone, 1500);
+  }).catch(error => {
+    // The worklog stays in the outbox and is retried later
+    console.log(chalk.red(`\n✗ Couldn't log work to Jira: ${error.message}`));
+    setTimeout(onDone, 1500);
+  });
+}
+
+// Retry Jira changes left over from earlier runs whose retry is due
+async function retryPendingJiraOperations() {
+  if (!config.jira?.enabled) return;
+
+  const due = userData.jiraOutbox.filter(operation => outboxHelper.isDue(operation));
+  if (due.length === 0) return;
+
+  console.log(chalk.blue(`Sending ${due.length} pending change${due.length === 1 ? '' : 's'} to Jira...`));
+  printSyncResult(await syncJiraOutbox());
+}
+
+// Apply a sync plan to its ticket. Conflicting fields keep their local value.
+function applyTicketSync(plan) {
+  if (plan.missing) return;
+
+  plan.updates.forEach(update => {
+    plan.ticket[update.field] = update.to;
+  });
+  if (plan.closedRemotely) {
+    closeTicketFromJira(plan.ticket);
+  }
+  if (plan.remote.type) plan.ticket.issueType = plan.remote.type;
+  plan.ticket.jiraSync = syncHelper.createSnapshot(plan.ticket, plan.remote);
+}
+
+// Sync the tickets linked to the active Jira connection with their issues, and import issues
+// newly assigned to the user
+async function syncJiraTickets({ dryRun = false } = {}) {
+  const mine = await jiraHelper.getMyTickets({ maxResults: config.jira.maxSearchResults });
+  if (!mine.success) return { success: false, message: mine.message };
+
+  const remoteIssues = new Map(mine.tickets.map(remote => [remote.id, remote]));
+
+  // Completed tickets only need checking until their completion has been pushed to Jira
+  const linked = userData.tickets.filter(ticket =>
+    ticket.jiraId && ticket.jiraConnection === jiraHelper.connectionName &&
+    (!ticket.completed || (ticket.jiraSync && !ticket.jiraSync.completed)));
+
+  // Issues that aren't open and assigned to the user anymore have to be looked up one by one
+  const unseenKeys = linked.map(ticket => ticket.jiraId).filter(jiraId => !remoteIssues.has(jiraId));
+  if (unseenKeys.length > 0) {
+    const lookup = await jiraHelper.getIssues(unseenKeys);
+    if (!lookup.success) return { success: false, message: lookup.message };
+    lookup.tickets.forEach(remote => remoteIssues.set(remote.id, remote));
+  }
+
+  const plans = linked.map(ticket => syncHelper.planTicketSync(ticket, remoteIssues.get(ticket.jiraId) || null));
+  const report = {
+    success: true,
+    dryRun,
+    imported: mine.tickets.filter(remote =>
+      remote.assignedToMe && !syncHelper.isDoneRemotely(remote) && !findJiraTicket(remote.id, jiraHelper.connectionName)),
+    updated: plans.filter(plan => plan.updates.length > 0),
+    conflicts: plans.filter(plan => plan.conflicts.length > 0),
+    pushed: plans.filter(plan => plan.pushCompletion && config.jira.updateTicketOnComplete &&
+      getJiraTransition(plan.ticket, jiraHelper.LIFECYCLE_EVENTS.COMPLETED)),
+    closed: plans.filter(plan => plan.closedRemotely),
+    reassigned: plans.filter(plan => plan.reassigned),
+    missing: plans.filter(plan => plan.missing),
+    outbox: null
+  };
+  if (dryRun) return report;
+
+  plans.forEach(applyTicketSync);
+  importJiraTickets(report.imported);
+  report.pushed.forEach(plan => queueJiraOperation({
+    type: outboxHelper.OPERATION_TYPES.TRANSITION,
+    connection: plan.ticket.jiraConnection,
+    jiraId: plan.ticket.jiraId,
+    ticketId: plan.ticket.id,
+    payload: getJiraTransition(plan.ticket, jiraHelper.LIFECYCLE_EVENTS.COMPLETED)
+  }));
+
+  userData.jiraLastSyncAt = new Date().toISOString();
+  // Tickets closed in Jira aren't pending anymore. This saves the data too.
+  calculatePendingStats();
+
+  if (report.pushed.length > 0) {
+    report.outbox = await syncJiraOutbox({ ignoreBackoff: true });
+  }
+  return report;
+}
+
+// Check whether a sync found anything to report
+function hasSyncChanges(report) {
+  return ['imported', 'updated', 'conflicts', 'pushed', 'closed', 'reassigned', 'missing']
+    .some(key => report[key].length > 0);
+}
+
+// Print what a sync with Jira changed, or would change with --dry-run
+function printJiraSyncReport(report) {
+  const fieldNames = { name: 'name', storyPoints: 'story points', status: 'status' };
+  const formatValue = value => (typeof value === 'string' ? `"${value}"` : String(value));
+
+  if (!hasSyncChanges(report)) {
+    console.log(chalk.green('✓ Everything is in sync with Jira.'));
+    return;
+  }
+  if (report.dryRun) {
+    console.log(chalk.gray('Dry run: nothing has been changed.'));
+  }
+
+  const printSection = (title, items, format, color) => {
+    if (items.length === 0) return;
+    console.log(chalk.bold.white(`\n${title}:`));
+    items.forEach((item, index) => console.log(color(`  ${format(item, index)}`)));
+  };
+
+  printSection('New tickets from Jira', report.imported, remote => remote.name, chalk.green);
+  printSection('Updated from Jira', report.updated, plan => `${plan.ticket.jiraId}: ` +
+    plan.updates.map(update => `${fieldNames[update.field]} ${formatValue(update.from)} → ${formatValue(update.to)}`).join(', '),
+  chalk.white);
+  printSection('Closed in Jira, completed here without XP', report.closed,
+    (plan, index) => `${index + 1}. ${plan.ticket.jiraId} (${plan.remote.status})`, chalk.green);
+  if (report.closed.length > 0 && !report.dryRun) {
+    console.log(chalk.gray('  If the work was yours, claim its XP with `ticket-hero complete <ticket>`.'));
+  }
+  printSection('Completed here, marked Done in Jira', report.pushed, plan => plan.ticket.jiraId, chalk.green);
+  printSection('Reassigned in Jira', report.reassigned,
+    plan => `${plan.ticket.jiraId} (now ${plan.remote.assignee ? `assigned to ${plan.remote.assignee}` : 'unassigned'})`,
+    chalk.yellow);
+  printSection('Not found in Jira (deleted, moved or no access)', report.missing,
+    plan => plan.ticket.jiraId, chalk.yellow);
+  printSection('Conflicts, changed on both sides (local values kept)', report.conflicts, plan => `${plan.ticket.jiraId}: ` +
+    plan.conflicts.map(conflict =>
+      `${fieldNames[conflict.field]} is ${formatValue(conflict.local)} here but ${formatValue(conflict.remote)} in Jira`).join(', '),
+  chalk.red);
+
+  if (report.outbox) {
+    console.log('');
+    printSyncResult(report.outbox);
+  }
+}
+
+// Sync with Jira at startup when jira.autoImport is on and the last sync is old enough
+async function runScheduledJiraSync(onDone) {
+  if (!config.jira?.enabled || !config.jira.autoImport ||
+      !syncHelper.isSyncDue(userData.jiraLastSyncAt, config.jira.autoImportFrequencyInHours)) {
+    onDone();
+    return;
+  }
+
+  console.log(chalk.blue('Syncing tickets with Jira...'));
+  const report = await syncJiraTickets();
+
+  if (!report.success) {
+    console.log(chalk.yellow(`⚠️ Couldn't sync with Jira (${report.message}). It will be tried again next time.`));
+  } else if (hasSyncChanges(report)) {
+    printJiraSyncReport(report);
+  } else {
+    onDone();
+    return;
+  }
+
+  console.log(chalk.gray('\nPress Enter to continue...'));
+  rl.question('', () => {
+    onDone();
+  });
+}
+
+// Set up a Jira connection, then confirm which fields story points and allocated time come from.
+// The connection is saved under its name and becomes the active one.
+async function setupJiraConnection(name = jiraHelper.connectionName) {
+  const previousName = jiraHelper.connectionName;
+  jiraHelper.setConnections(config.jira.connections, name);
+  
+  const connected = await jiraHelper.setupJira(rl);
+  if (!connected) {
+    jiraHelper.setConnections(config.jira.connections, previousName);
+    return false;
+  }
+  
+  const mapping = await jiraHelper.setupFieldMapping(rl);
+  saveJiraConnection(name, { ...jiraHelper.connectionOptions, fieldMapping: mapping || jiraHelper.fieldMapping });
+  return true;
+}
+
+// Save a Jira connection's settings over the saved ones, adding it if it isn't saved yet, and make it the active one
+function saveJiraConnection(name, settings) {
+  const index = config.jira.connections.findIndex(saved => saved.name === name);
+  const connection = { ...config.jira.connections[index], name, ...settings };
+  if (index === -1) {
+    config.jira.connections.push(connection);
+  } else {
+    config.jira.connections[index] = connection;
+  }
+  config.jira.activeConnection = name;
+  configHelper.saveConfig(config);
+  jiraHelper.setConnections(config.jira.connections, name);
+}
+
+// The saved Jira connections. A connection set up before they had names may only exist in the keychain.
+function getJiraConnections() {
+  const active = config.jira.activeConnection;
+  return config.jira.connections.some(connection => connection.name === active)
+    ? config.jira.connections
+    : [{ name: active }, ...config.jira.connections];
+}
+
+// Make a saved Jira connection the one used for importing and syncing
+function switchJiraConnection(name) {
+  config.jira.activeConnection = name;
+  configHelper.saveConfig(config);
+  jiraHelper.setConnections(config.jira.connections, name);
+}
+
+// List the Jira connections and let the user switch between, add, edit or delete them
+async function manageJiraConnections() {
+  console.clear();
+  console.log(chalk.bold.blue('===== Jira Connections =====\n'));
+  
+  const connections = getJiraConnections();
+  for (const [index, connection] of connections.entries()) {
+    const credentials = await jiraHelper.forConnection(connection.name)?.getStoredCredentials();
+    console.log(chalk.white(`${index + 1}.`), chalk.green(connection.name),
+                chalk.gray(`(${credentials ? credentials.host : 'not set up'})`),
+                connection.name === jiraHelper.connectionName ? chalk.blue('[active]') : '');
+  }
+  
+  console.log(chalk.gray('\nTickets stay linked to the connection they were imported from.'));
+  console.log(chalk.bold.white('\nOptions:'));
+  console.log(chalk.gray('Enter a connection\'s number to switch to it, or:'));
+  console.log(chalk.white('a.'), chalk.green('Add a connection'));
+  console.log(chalk.white('e.'), chalk.green(`Edit "${jiraHelper.connectionName}"`));
+  console.log(chalk.white('t.'), chalk.green(`Map transitions for "${jiraHelper.connectionName}"`));
+  console.log(chalk.white('d.'), chalk.yellow('Delete a connection'));
+  console.log(chalk.white('0.'), chalk.white('Back'));
+  
+  rl.question(chalk.yellow('\nChoose option: '), async (answer) => {
+    const choice = answer.trim().toLowerCase();
+    
+    if (choice === 'a') {
+      addJiraConnection();
+    } else if (choice === 'e') {
+      await setupJiraConnection();
+      setTimeout(manageJiraConnections, 1500);
+    } else if (choice === 't') {
+      mapJiraTransitions();
+    } else if (choice === 'd') {
+      deleteJiraConnection();
+    } else {
+      const connectionIndex = parseInt(choice, 10) - 1;
+      if (isNaN(connectionIndex) || connectionIndex < 0 || connectionIndex >= connections.length) {
+        jiraIntegration();
+        return;
+      }
+      switchJiraConnection(connections[connectionIndex].name);
+      console.log(chalk.green(`\n✓ Now using "${connections[connectionIndex].name}"`));
+      setTimeout(jiraIntegration, 1500);
+    }
+  });
+}
+
+// Ask for a name for a new Jira connection, then set it up
+function addJiraConnection() {
+  rl.question(chalk.yellow('\nName for the new connection (e.g., the client or site): '), async (answer) => {
+    const name = answer.trim();
+    
+    if (!name) {
+      manageJiraConnections();
+      return;
+    }
+    if (getJiraConnections().some(connection => connection.name.toLowerCase() === name.toLowerCase())) {
+      console.log(chalk.red(`\nThere's already a connection named "${name}".`));
+      setTimeout(manageJiraConnections, 1500);
+      return;
+    }
+    
+    if (await setupJiraConnection(name)) {
+      console.log(chalk.green(`\n✓ Added "${name}" and switched to it`));
+    }
+    console.log(chalk.gray('\nPress Enter to continue...'));
+    rl.question('', () => {
+      manageJiraConnections();
+    });
+  });
+}
+
+// Describe where a lifecycle event moves an issue
+function describeMappedTransition(transition) {
+  return transition ? `"${transition.status}"` : 'not moved';
+}
+
+// Let the user choose, per project, which transitions starting and completing tickets use on the active connection
+function mapJiraTransitions() {
+  const { LIFECYCLE_EVENTS, ALL_PROJECTS } = jiraHelper;
+  const projects = [...new Set(userData.tickets
+    .filter(ticket => ticket.jiraId && ticket.jiraConnection === jiraHelper.connectionName)
+    .map(ticket => ticket.jiraId.slice(0, ticket.jiraId.lastIndexOf('-'))))];
+  const mappedProjects = Object.keys(jiraHelper.transitionMapping).filter(key => key !== ALL_PROJECTS);
+  
+  console.log(chalk.bold.white('\nTransitions:'));
+  [ALL_PROJECTS, ...mappedProjects].forEach(projectKey => {
+    console.log(chalk.green(projectKey === ALL_PROJECTS ? 'Other projects' : projectKey),
+                chalk.gray(`started: ${describeMappedTransition(jiraHelper.getMappedTransition(projectKey, LIFECYCLE_EVENTS.STARTED))}, ` +
+                  `completed: ${describeMappedTransition(jiraHelper.getMappedTransition(projectKey, LIFECYCLE_EVENTS.COMPLETED))}`));
+  });
+  if (projects.length > 0) {
+    console.log(chalk.gray(`\nYou have tickets from: ${projects.join(', ')}`));
+  }
+  
+  rl.question(chalk.yellow('\nProject key to map (Enter for all other projects, 0 to go back): '), async (answer) => {
+    if (answer.trim() === '0') {
+      manageJiraConnections();
+      return;
+    }
+    
+    const projectKey = answer.trim().toUpperCase() || ALL_PROJECTS;
+    if (projectKey !== ALL_PROJECTS && !/^[A-Z][A-Z0-9_]*$/.test(projectKey)) {
+      console.log(chalk.red(`\n${answer.trim()} isn't a Jira project key.`));
+      setTimeout(manageJiraConnections, 1500);
+      return;
+    }
+    
+    const mapping = await jiraHelper.setupTransitionMapping(rl, projectKey);
+    saveJiraConnection(jiraHelper.connectionName, {
+      ...jiraHelper.connectionOptions,
+      fieldMapping: jiraHelper.fieldMapping,
+      transitions: { ...jiraHelper.transitionMapping, [projectKey]: mapping }
+    });
+    console.log(chalk.green(`\n✓ Saved the transitions for ${projectKey === ALL_PROJECTS ? 'other projects' : projectKey}`));
+    
+    console.log(chalk.gray('\nPress Enter to continue...'));
+    rl.question('', () => {
+      manageJiraConnections();
+    });
+  });
+}
+
+// Let the user delete a Jira connection and its saved credentials
+function deleteJiraConnection() {
+  const connections = getJiraConnections();
+  
+  rl.question(chalk.yellow('\nConnection number to delete, or 0 to cancel: '), (answer) => {
+    const connection = connections[parseInt(answer, 10) - 1];
+    if (!connection) {
+      manageJiraConnections();
+      return;
+    }
+    
+    const linked = userData.tickets.filter(ticket => ticket.jiraConnection === connection.name).length;
+    if (linked > 0) {
+      console.log(chalk.yellow(`\n${linked} ticket${linked === 1 ? ' is' : 's are'} linked to "${connection.name}". ` +
+        'They\'re kept, but can\'t be synced or send changes to Jira anymore.'));
+    }
+    
+    rl.question(chalk.red(`Delete "${connection.name}" and its saved credentials? (y/n): `), async (confirm) => {
+      if (confirm.toLowerCase() !== 'y') {
+        manageJiraConnections();
+        return;
+      }
+      
+      await jiraHelper.forConnection(connection.name).deleteCredentials();
+      config.jira.connections = config.jira.connections.filter(saved => saved.name !== connection.name);
+      const remaining = getJiraConnections().filter(saved => saved.name !== connection.name);
+      switchJiraConnection(connection.name === jiraHelper.connectionName
+        ? (remaining[0] ? remaining[0].name : 'default')
+        : jiraHelper.connectionName);
+      
+      console.log(chalk.green(`\n✓ Deleted "${connection.name}"`));
+      setTimeout(manageJiraConnections, 1500);
+    });
+  });
+}
+
+// Jira integration function
+async function jiraIntegration() {
+  console.clear();
+  console.log(chalk.bold.blue('===== Jira Integration =====\n'));
+  
+  if (!config.jira?.enabled) {
+    console.log(chalk.yellow('Jira integration is currently disabled in settings.'));
+    console.log(chalk.yellow('Go to Settings > Jira Settings to enable it.'));
+    console.log(chalk.gray('\nPress Enter to return to main menu...'));
+    rl.question('', () => {
+      showMainMenu();
+    });
+    return;
+  }
+  
+  let isConnected = await jiraHelper.initialize();
+  
+  // Only ask for a connection when none is saved; a saved one may just be offline for now
+  if (!isConnected && !(await jiraHelper.getStoredCredentials())) {
+    console.log(chalk.yellow('Jira connection not set up. Let\'s configure it now.'));
+    isConnected = await setupJiraConnection();
+    
+    if (!isConnected) {
+      console.log(chalk.red('\nFailed to connect to Jira.'));
+      console.log(chalk.gray('\nPress Enter to return to main menu...'));
+      rl.question('', () => {
+        showMainMenu();
+      });
+      return;
+    }
+  }
+  
+  if (getJiraConnections().length > 1) {
+    console.log(chalk.blue(`Connection: ${jiraHelper.connectionName}`));
+  }
+  if (!isConnected) {
+    console.log(chalk.yellow('\n⚠️ Jira can\'t be reached right now. Status updates are queued and sent once it can.'));
+  }
+  
+  const pendingCount = userData.jiraOutbox.length;
+  
+  console.log(chalk.bold.white('\nJira Options:'));
+  console.log(chalk.white('1.'), chalk.green('Import Tickets from Jira'));
+  console.log(chalk.white('2.'), chalk.green('Sync Tickets with Jira'));
+  console.log(chalk.white('3.'), chalk.green('Update Jira Ticket Status'));
+  console.log(chalk.white('4.'), pendingCount > 0
+    ? chalk.yellow(`Pending Jira Sync (${pendingCount})`)
+    : chalk.green('Pending Jira Sync'));
+  console.log(chalk.white('5.'), chalk.green('Manage Jira Connections'));
+  console.log(chalk.white('6.'), chalk.green('Return to Main Menu'));
+  
+  rl.question(chalk.yellow('\nSelect option: '), async (answer) => {
+    switch (answer) {
+      case '1':
+        await importTicketsFromJira();
+        break;
+      case '2':
+        await syncTicketsWithJira();
+        break;
+      case '3':
+        await updateJiraTicketStatus();
+        break;
+      case '4':
+        pendingJiraSync();
+        break;
+      case '5':
+        await manageJiraConnections();
+        break;
+      case '6':
+        showMainMenu();
+        break;
+      default:
+        console.log(chalk.red('\nInvalid option!'));
+        setTimeout(jiraIntegration, 1000);
+    }
+  });
+}
+
+// Built-in import source: the user's own open tickets
+const MY_TICKETS_SOURCE = { name: 'My open tickets' };
+
+// Tickets shown per page when selecting tickets to import
+const IMPORT_PAGE_SIZE = 20;
+
+// Saved queries for the active Jira connection. Queries saved without a connection work with any.
+function getSavedQueries() {
+  return config.jira.savedQueries.filter(query => !query.connection || query.connection === jiraHelper.connectionName);
+}
+
+// Sources tickets can be imported from: the user's open tickets, then the saved queries
+function getImportSources() {
+  return [MY_TICKETS_SOURCE, ...getSavedQueries()];
+}
+
+// Describe the query behind an import source
+function describeImportSource(source) {
+  if (source === MY_TICKETS_SOURCE) return jiraHelper.connectionOptions.jql || 'assigned to you and not Done or Closed';
+  return source.filterId !== undefined ? `Jira filter ${source.filterId}` : source.jql;
+}
+
+// Fetch the tickets an import source points at, up to jira.maxSearchResults
+async function fetchImportSource(source, progressStream = process.stdout) {
+  const progress = createSearchProgress(progressStream);
+  const options = { maxResults: config.jira.maxSearchResults, onProgress: progress.update };
+  let result;
+
+  if (source === MY_TICKETS_SOURCE) {
+    result = await jiraHelper.getMyTickets(options);
+  } else if (source.filterId !== undefined) {
+    const filter = await jiraHelper.getFilterQuery(source.filterId);
+    result = filter.success ? await jiraHelper.searchTickets(filter.jql, options) : filter;
+  } else {
+    result = await jiraHelper.searchTickets(source.jql, options);
+  }
+
+  progress.stop();
+  return result;
+}
+
+// Progress bar for Jira searches that need more than one request
+function createSearchProgress(stream) {
+  let bar = null;
+
+  return {
+    update(fetched, expected) {
+      if (!bar) {
+        // Nothing to show when everything came back in the first page
+        if (fetched >= expected || !config.ui.showProgressBar) return;
+        bar = new cliProgress.SingleBar({
+          format: `Fetching tickets ${chalk.cyan('{bar}')} {value}/{total}`,
+          barCompleteChar: '█',
+          barIncompleteChar: '░',
+          hideCursor: true,
+          stream
+        });
+        bar.start(expected, fetched);
+        return;
+      }
+      bar.setTotal(expected);
+      bar.update(fetched);
+    },
+    stop() {
+      if (bar) bar.stop();
+    }
+  };
+}
+
+// Message for searches that found more issues than jira.maxSearchResults allows
+function describeTruncatedSearch(result) {
+  return `Only the first ${result.tickets.length} of ${result.total} matching tickets were fetched. ` +
+    'Narrow the query or raise jira.maxSearchResults to see the rest.';
+}
+
+// Function to import tickets from Jira
+function importTicketsFromJira() {
+  console.clear();
+  console.log(chalk.bold.green('===== Import Tickets from Jira =====\n'));
+  
+  const sources = getImportSources();
+  
+  console.log(chalk.bold.white('Import from:'));
+  sources.forEach((source, index) => {
+    console.log(chalk.white(`${index + 1}.`), chalk.green(source.name), chalk.gray(`(${describeImportSource(source)})`));
+  });
+  console.log('');
+  console.log(chalk.white('j.'), chalk.green('Enter a JQL query'));
+  console.log(chalk.white('f.'), chalk.green('Use a saved Jira filter ID'));
+  if (sources.length > 1) {
+    console.log(chalk.white('d.'), chalk.yellow('Delete a saved query'));
+  }
+  console.log(chalk.white('0.'), chalk.white('Cancel'));
+  
+  rl.question(chalk.yellow('\nChoose source: '), (answer) => {
+    const choice = answer.trim().toLowerCase();
+    
+    if (choice === 'j') {
+      rl.question(chalk.yellow('\nJQL query: '), (jql) => {
+        if (!jql.trim()) {
+          importTicketsFromJira();
+          return;
+        }
+        offerToSaveQuery({ name: 'JQL query', jql: jql.trim() });
+      });
+    } else if (choice === 'f') {
+      rl.question(chalk.yellow('\nFilter ID (the number at the end of the filter\'s URL): '), (filterId) => {
+        if (!/^\d+$/.test(filterId.trim())) {
+          console.log(chalk.red('\nFilter IDs are numbers, e.g. 10234.'));
+          setTimeout(importTicketsFromJira, 1500);
+          return;
+        }
+        offerToSaveQuery({ name: `Filter ${filterId.trim()}`, filterId: filterId.trim() });
+      });
+    } else if (choice === 'd' && sources.length > 1) {
+      deleteSavedQuery();
+    } else {
+      const sourceIndex = parseInt(choice, 10) - 1;
+      if (isNaN(sourceIndex) || sourceIndex < 0 || sourceIndex >= sources.length) {
+        jiraIntegration();
+        return;
+      }
+      importFromSource(sources[sourceIndex]);
+    }
+  });
+}
+
+// Offer to save a query the user just typed, then import from it
+function offerToSaveQuery(source) {
+  rl.question(chalk.yellow('Name to save this query under (leave empty to use it just once): '), (name) => {
+    const trimmed = name.trim();
+    if (trimmed) {
+      source.name = trimmed;
+      source.connection = jiraHelper.connectionName;
+      // A query saved under an existing name replaces it
+      const replaced = getSavedQueries().find(query => query.name.toLowerCase() === trimmed.toLowerCase());
+      config.jira.savedQueries = config.jira.savedQueries
+        .filter(query => query !== replaced)
+        .concat(source);
+      configHelper.saveConfig(config);
+    }
+    importFromSource(source);
+  });
+}
+
+// Let the user delete one of their saved queries
+function deleteSavedQuery() {
+  console.clear();
+  console.log(chalk.bold.yellow('===== Delete a Saved Query =====\n'));
+  
+  const queries = getSavedQueries();
+  queries.forEach((query, index) => {
+    console.log(chalk.white(`${index + 1}.`), chalk.green(query.name), chalk.gray(`(${describeImportSource(query)})`));
+  });
+  
+  rl.question(chalk.yellow('\nSelect query number or 0 to cancel: '), (answer) => {
+    const queryIndex = parseInt(answer, 10) - 1;
+    
+    if (isNaN(queryIndex) || queryIndex < 0 || queryIndex >= queries.length) {
+      importTicketsFromJira();
+      return;
+    }
+    
+    const removed = queries[queryIndex];
+    config.jira.savedQueries = config.jira.savedQueries.filter(query => query !== removed);
+    configHelper.saveConfig(config);
+    console.log(chalk.green(`\n✓ Deleted "${removed.name}"`));
+    setTimeout(importTicketsFromJira, 1500);
+  });
+}
+
+// Fetch tickets from an import source and let the user pick which ones to import
+async function importFromSource(source) {
+  console.clear();
+  console.log(chalk.bold.green('===== Import Tickets from Jira =====\n'));
+  
+  console.log(chalk.blue(`Fetching tickets from Jira (${source.name})...`));
+  
+  const result = await fetchImportSource(source);
+  
+  if (!result.success) {
+    console.log(chalk.red(`\n✗ Error: ${result.message}`));
+    console.log(chalk.gray('\nPress Enter to return to Jira menu...'));
+    rl.question('', () => {
+      jiraIntegration();
+    });
+    return;
+  }
+  
+  if (result.tickets.length === 0) {
+    console.log(chalk.yellow(source === MY_TICKETS_SOURCE
+      ? '\nNo tickets assigned to you in Jira.'
+      : '\nNo tickets matched the query.'));
+    console.log(chalk.gray('\nPress Enter to return to Jira menu...'));
+    rl.question('', () => {
+      jiraIntegration();
+    });
+    return;
+  }
+  
+  console.log(chalk.green(`\n✓ Found ${result.tickets.length} tickets!\n`));
+  if (result.total > result.tickets.length) {
+    console.log(chalk.yellow(`⚠️ ${describeTruncatedSearch(result)}\n`));
+  }
+  
+  // Display tickets, unless there are too many to take in at once
+  if (result.tickets.length <= IMPORT_PAGE_SIZE) {
+    console.log(chalk.bold.white('Your Jira Tickets:'));
+    result.tickets.forEach((ticket, index) => printImportCandidate(ticket, index + 1));
+  } else {
+    console.log(chalk.gray('Choose s to page through and filter them.'));
+  }
+  
+  // Ask which tickets to import
+  console.log(chalk.bold.white('\nSelect tickets to import:'));
+  console.log(chalk.white('a.'), chalk.green('Import all tickets'));
+  console.log(chalk.white('s.'), chalk.green('Select specific tickets'));
+  console.log(chalk.white('c.'), chalk.green('Cancel import'));
+  
+  rl.question(chalk.yellow('\nChoose option: '), (answer) => {
+    if (answer.toLowerCase() === 'a') {
+      // Import all tickets
+      printImportResult(importJiraTickets(result.tickets));
+      
+      console.log(chalk.gray('\nPress Enter to return to Jira menu...'));
+      rl.question('', () => {
+        jiraIntegration();
+      });
+    } else if (answer.toLowerCase() === 's') {
+      selectTicketsToImport(result.tickets);
+    } else {
+      jiraIntegration();
+    }
+  });
+}
+
+// Print one ticket offered for import
+function printImportCandidate(ticket, number) {
+  console.log(chalk.white(`${number}.`), chalk.green(`${ticket.name}`), 
+              chalk.gray(`(${ticket.type}, ${ticket.status}, SP: ${ticket.storyPoints})`),
+              findJiraTicket(ticket.id, jiraHelper.connectionName) ? chalk.blue('[imported]') : '');
+}
+
+// Function to let user select which tickets to import. Long lists are paged and can be filtered.
+function selectTicketsToImport(tickets, view = { filter: '', page: 0 }) {
+  console.clear();
+  console.log(chalk.bold.green('===== Select Tickets to Import =====\n'));
+  
+  const filterText = view.filter.toLowerCase();
+  const matches = tickets
+    .map((ticket, index) => ({ ticket, number: index + 1 }))
+    .filter(({ ticket }) => !filterText ||
+      [ticket.name, ticket.type, ticket.status].some(value => value.toLowerCase().includes(filterText)));
+  const pageCount = Math.max(1, Math.ceil(matches.length / IMPORT_PAGE_SIZE));
+  const page = Math.min(Math.max(view.page, 0), pageCount - 1);
+  
+  if (view.filter) {
+    console.log(chalk.blue(`Filter: "${view.filter}" (${matches.length} of ${tickets.length} tickets)\n`));
+  }
+  
+  // Display tickets, numbered as in the full list so selections don't depend on the filter
+  matches
+    .slice(page * IMPORT_PAGE_SIZE, (page + 1) * IMPORT_PAGE_SIZE)
+    .forEach(({ ticket, number }) => printImportCandidate(ticket, number));
+  if (matches.length === 0) {
+    console.log(chalk.yellow('No tickets match the filter.'));
+  }
+  if (pageCount > 1) {
+    console.log(chalk.gray(`\nPage ${page + 1} of ${pageCount}`));
+  }
+  
+  console.log(chalk.blue('\nEnter ticket numbers separated by commas (e.g., 1,3,5)'));
+  console.log(chalk.blue('or ranges (e.g., 1-5) to select tickets to import.'));
+  console.log(chalk.gray('Type /text to filter the list and / to clear it, n or p for the next or previous page,'));
+  console.log(chalk.gray('a to import every ticket that matches the filter, or 0 to cancel.'));
+  
+  rl.question(chalk.yellow('\nEnter selection: '), (answer) => {
+    const input = answer.trim().toLowerCase();
+    
+    if (input.startsWith('/')) {
+      selectTicketsToImport(tickets, { filter: answer.trim().slice(1).trim(), page: 0 });
+      return;
+    }
+    if (input === 'n' || input === 'p') {
+      selectTicketsToImport(tickets, { ...view, page: input === 'n' ? page + 1 : page - 1 });
+      return;
+    }
+    if (input === '0') {
+      jiraIntegration();
+      return;
+    }
+    
+    const selectedTickets = input === 'a'
+      ? matches.map(match => match.ticket)
+      : parseSelectionString(input, tickets.length).map(index => tickets[index]);
+    
+    if (selectedTickets.length === 0) {
+      console.log(chalk.red('\nNo valid tickets selected.'));
+      setTimeout(() => selectTicketsToImport(tickets, view), 1500);
+      return;
+    }
+    
+    // Import selected tickets
+    printImportResult(importJiraTickets(selectedTickets));
+    
+    console.log(chalk.gray('\nPress Enter to return to Jira menu...'));
+    rl.question('', () => {
+      jiraIntegration();
+    });
+  });
+}
+
+// Print how many tickets an import added, and how many were already there
+function printImportResult(result) {
+  console.log(chalk.green(`\n✓ Successfully imported ${result.imported.length} tickets!`));
+  if (result.refreshed.length > 0) {
+    console.log(chalk.gray(`${result.refreshed.length} were already imported and have been updated from Jira instead.`));
+  }
+}
+
+// Sync local tickets with Jira and show what changed
+async function syncTicketsWithJira() {
+  console.clear();
+  console.log(chalk.bold.green('===== Sync Tickets with Jira =====\n'));
+  
+  console.log(chalk.blue('Comparing your tickets with Jira...'));
+  
+  const report = await syncJiraTickets();
+  
+  if (!report.success) {
+    console.log(chalk.red(`\n✗ Error: ${report.message}`));
+    console.log(chalk.gray('\nPress Enter to return to Jira menu...'));
+    rl.question('', () => {
+      jiraIntegration();
+    });
+    return;
+  }
+  
+  console.log('');
+  printJiraSyncReport(report);
+  
+  // Status conflicts are settled in Jira itself, so only field conflicts can be taken from Jira here
+  const fieldConflicts = report.conflicts.flatMap(plan => plan.conflicts
+    .filter(conflict => conflict.field !== 'status')
+    .map(conflict => ({ ticket: plan.ticket, ...conflict })));
+  
+  const returnToMenu = () => {
+    console.log(chalk.gray('\nPress Enter to return to Jira menu...'));
+    rl.question('', () => {
+      jiraIntegration();
+    });
+  };
+  
+  const resolveConflicts = () => {
+    if (fieldConflicts.length === 0) {
+      returnToMenu();
+      return;
+    }
+    
+    rl.question(chalk.yellow('\nUse the Jira values for the conflicting fields instead? (y/n): '), (answer) => {
+      if (answer.toLowerCase() === 'y') {
+        fieldConflicts.forEach(conflict => {
+          conflict.ticket[conflict.field] = conflict.remote;
+        });
+        calculatePendingStats();
+        saveData();
+        console.log(chalk.green(`\n✓ Took ${fieldConflicts.length} value${fieldConflicts.length === 1 ? '' : 's'} from Jira`));
+      }
+      returnToMenu();
+    });
+  };
+  
+  if (report.closed.length === 0) {
+    resolveConflicts();
+    return;
+  }
+  
+  // Tickets closed in Jira only earn XP once the user says they did the work
+  rl.question(chalk.yellow('\nDid you do the work on any of the tickets closed in Jira? ' +
+    'Enter their numbers to claim the XP (e.g. 1,3), or press Enter to skip: '), (answer) => {
+    parseSelectionString(answer, report.closed.length).forEach(index => {
+      const { ticket } = report.closed[index];
+      console.log(chalk.bold.white(`\n${ticket.name}`));
+      claimClosedTicket(ticket);
+    });
+    resolveConflicts();
+  });
+}
+
+// Helper function to parse selection string like "1,3,5-7"
+function parseSelectionString(selectionStr, maxLength) {
+  const indices = new Set();
+  
+  // Split by comma
+  const parts = selectionStr.split(',');
+  
+  parts.forEach(part => {
+    part = part.trim();
+    
+    // Check if it's a range (e.g., "1-5")
+    if (part.includes('-')) {
+      const [start, end] = part.split('-').map(Number);
+      
+      if (!isNaN(start) && !isNaN(end)) {
+        for (let i = start; i <= end; i++) {
+          if (i > 0 && i <= maxLength) {
             indices.add(i - 1); // Convert to 0-based index
           }
         }
       }
-    } else {
-      // Single number
-      const index = parseInt(part, 10);
-      if (!isNaN(index) && index > 0 && index <= maxLength) {
-        indices.add(index - 1); // Convert to 0-based index
+    } else {
+      // Single number
+      const index = parseInt(part, 10);
+      if (!isNaN(index) && index > 0 && index <= maxLength) {
+        indices.add(index - 1); // Convert to 0-based index
+      }
+    }
+  });
+  
+  return Array.from(indices);
+}
+
+// Function to update Jira ticket status
+async function updateJiraTicketStatus() {
+  console.clear();
+  console.log(chalk.bold.yellow('===== Update Jira Ticket Status =====\n'));
+  
+  // Find tickets that have Jira IDs
+  const jiraTickets = userData.tickets.filter(ticket => ticket.jiraId);
+  
+  if (jiraTickets.length === 0) {
+    console.log(chalk.yellow('No tickets linked to Jira found.'));
+    console.log(chalk.gray('\nPress Enter to return to Jira menu...'));
+    rl.question('', () => {
+      jiraIntegration();
+    });
+    return;
+  }
+  
+  console.log(chalk.blue('Select a ticket to update in Jira:'));
+  jiraTickets.forEach((ticket, index) => {
+    const status = ticket.completed ? chalk.green('Completed') : chalk.yellow('Pending');
+    console.log(chalk.white(`${index + 1}.`), chalk.green(`${ticket.name}`), 
+                chalk.gray(`(Local status: ${status})`));
+  });
+  
+  rl.question(chalk.yellow('\nSelect ticket number or 0 to cancel: '), async (answer) => {
+    const ticketIndex = parseInt(answer, 10) - 1;
+    
+    if (isNaN(ticketIndex) || ticketIndex < 0 || ticketIndex >= jiraTickets.length) {
+      jiraIntegration();
+      return;
+    }
+    
+    const ticket = jiraTickets[ticketIndex];
+    const jira = jiraHelper.forConnection(ticket.jiraConnection);
+    console.log(chalk.blue(`\nSelected ticket: ${ticket.name}`));
+    console.log(chalk.blue('Loading the transitions Jira allows...'));
+    
+    const result = jira ? await jira.getTransitions(ticket.jiraId)
+      : { success: false, message: `There's no Jira connection named "${ticket.jiraConnection}"` };
+    
+    // Without the list, a transition can still be named and queued until Jira is reachable
+    if (!result.success) {
+      console.log(chalk.yellow(`\n⚠️ Couldn't load the transitions for ${ticket.jiraId}: ${result.message}`));
+      rl.question(chalk.yellow('Enter a transition or status name to send later, or press Enter to cancel: '), async (statusAnswer) => {
+        const targetStatus = statusAnswer.trim();
+        if (!targetStatus) {
+          jiraIntegration();
+          return;
+        }
+        await submitStatusUpdate(ticket, { status: targetStatus }, false);
+      });
+      return;
+    }
+    
+    if (result.transitions.length === 0) {
+      console.log(chalk.yellow(`\nJira doesn't allow any transitions for ${ticket.jiraId} from its current status.`));
+      console.log(chalk.gray('\nPress Enter to return to Jira menu...'));
+      rl.question('', () => {
+        jiraIntegration();
+      });
+      return;
+    }
+    
+    console.log(chalk.bold.white('\nSelect a transition:'));
+    result.transitions.forEach((transition, index) => {
+      const asks = transition.requiredFields.length > 0
+        ? chalk.gray(`(asks for ${transition.requiredFields.map(field => field.name).join(', ')})`) : '';
+      console.log(chalk.white(`${index + 1}.`), chalk.green(transition.name),
+                  transition.to !== transition.name ? chalk.gray(`→ ${transition.to}`) : '', asks);
+    });
+    
+    rl.question(chalk.yellow('\nSelect transition or 0 to cancel: '), async (transitionAnswer) => {
+      const transition = result.transitions[parseInt(transitionAnswer, 10) - 1];
+      if (!transition) {
+        jiraIntegration();
+        return;
+      }
+      
+      const fields = await jira.askTransitionFields(rl, transition);
+      if (!fields) {
+        jiraIntegration();
+        return;
       }
-    }
+      await submitStatusUpdate(ticket, { status: transition.name, transitionId: transition.id, fields }, transition.done);
+    });
   });
   
-  return Array.from(indices);
+  // Send the transition, completing the ticket here too when it finishes the issue
+  async function submitStatusUpdate(ticket, payload, finishesIssue) {
+    console.log(chalk.blue(`\nUpdating ticket status with "${payload.status}"...`));
+    
+    const submitted = await submitJiraOperation({
+      type: outboxHelper.OPERATION_TYPES.TRANSITION,
+      connection: ticket.jiraConnection,
+      jiraId: ticket.jiraId,
+      ticketId: ticket.id,
+      payload
+    });
+    printSubmitResult(submitted);
+    
+    // If the issue was moved (or queued) to a done status, also mark as completed locally
+    if (submitted.status !== 'rejected' && finishesIssue && !ticket.completed) {
+      ticket.completed = true;
+      ticket.completedAt = new Date().toISOString();
+      saveData();
+      console.log(chalk.green('✓ Local ticket status also updated to completed'));
+    }
+    
+    console.log(chalk.gray('\nPress Enter to return to Jira menu...'));
+    rl.question('', () => {
+      jiraIntegration();
+    });
+  }
 }
 
-// Function to update Jira ticket status
-async function updateJiraTicketStatus() {
+// Show the Jira changes waiting in the outbox
+function pendingJiraSync() {
   console.clear();
-  console.log(chalk.bold.yellow('===== Update Jira Ticket Status =====\n'));
-  
-  // Find tickets that have Jira IDs
-  const jiraTickets = userData.tickets.filter(ticket => ticket.jiraId);
+  console.log(chalk.bold.blue('===== Pending Jira Sync =====\n'));
   
-  if (jiraTickets.length === 0) {
-    console.log(chalk.yellow('No tickets linked to Jira found.'));
+  if (userData.jiraOutbox.length === 0) {
+    console.log(chalk.green('✓ Nothing is waiting to be sent to Jira.'));
     console.log(chalk.gray('\nPress Enter to return to Jira menu...'));
     rl.question('', () => {
       jiraIntegration();
@@ -1227,71 +3456,626 @@ async function updateJiraTicketStatus() {
     return;
   }
   
-  console.log(chalk.blue('Select a ticket to update in Jira:'));
-  jiraTickets.forEach((ticket, index) => {
-    const status = ticket.completed ? chalk.green('Completed') : chalk.yellow('Pending');
-    console.log(chalk.white(`${index + 1}.`), chalk.green(`${ticket.name}`), 
-                chalk.gray(`(Local status: ${status})`));
-  });
+  printJiraOutbox();
+  console.log(chalk.gray('\nChanges are retried automatically, waiting longer after each failed attempt.'));
+  console.log(chalk.gray('Changes Jira rejected are held until you retry or drop them.'));
   
-  rl.question(chalk.yellow('\nSelect ticket number or 0 to cancel: '), async (answer) => {
-    const ticketIndex = parseInt(answer, 10) - 1;
+  rl.question(chalk.yellow('\nSelect a change to inspect, r to retry all now, or 0 to go back: '), async (answer) => {
+    if (answer.trim().toLowerCase() === 'r') {
+      console.log(chalk.blue('\nSending pending changes to Jira...'));
+      printSyncResult(await syncJiraOutbox({ ignoreBackoff: true, includeHeld: true }));
+      setTimeout(pendingJiraSync, 2000);
+      return;
+    }
     
-    if (isNaN(ticketIndex) || ticketIndex < 0 || ticketIndex >= jiraTickets.length) {
+    const operationIndex = parseInt(answer, 10) - 1;
+    
+    if (isNaN(operationIndex) || operationIndex < 0 || operationIndex >= userData.jiraOutbox.length) {
       jiraIntegration();
       return;
     }
     
-    const ticket = jiraTickets[ticketIndex];
-    console.log(chalk.blue(`\nSelected ticket: ${ticket.name}`));
-    
-    console.log(chalk.bold.white('\nSelect target status:'));
-    console.log(chalk.white('1.'), chalk.green('In Progress'));
-    console.log(chalk.white('2.'), chalk.green('Done'));
-    console.log(chalk.white('3.'), chalk.yellow('Blocked'));
-    console.log(chalk.white('4.'), chalk.white('Cancel'));
-    
-    rl.question(chalk.yellow('\nSelect status: '), async (statusAnswer) => {
-      let targetStatus;
-      switch (statusAnswer) {
-        case '1':
-          targetStatus = 'In Progress';
-          break;
-        case '2':
-          targetStatus = 'Done';
-          break;
-        case '3':
-          targetStatus = 'Blocked';
-          break;
-        default:
-          jiraIntegration();
-          return;
-      }
-      
-      console.log(chalk.blue(`\nUpdating ticket status to "${targetStatus}"...`));
-      
-      const result = await jiraHelper.updateTicketStatus(ticket.jiraId, targetStatus);
-      
-      if (result.success) {
-        console.log(chalk.green(`\n✓ ${result.message}`));
-        
-        // If status updated to Done, also mark as completed locally
-        if (targetStatus === 'Done' && !ticket.completed) {
-          ticket.completed = true;
-          ticket.completedAt = new Date().toISOString();
-          saveData();
-          console.log(chalk.green('✓ Local ticket status also updated to completed'));
+    inspectJiraOperation(userData.jiraOutbox[operationIndex]);
+  });
+}
+
+// Show one pending Jira change and let the user retry or drop it
+function inspectJiraOperation(operation) {
+  console.clear();
+  console.log(chalk.bold.blue('===== Pending Jira Change =====\n'));
+  
+  const ticket = userData.tickets.find(t => t.id === operation.ticketId);
+  console.log(chalk.white('Issue:'), chalk.green(operation.jiraId), ticket ? chalk.gray(`(${ticket.name})`) : '');
+  console.log(chalk.white('Change:'), outboxHelper.describeOperation(operation));
+  
+  if (operation.type === outboxHelper.OPERATION_TYPES.WORKLOG) {
+    console.log(chalk.white('Work started:'), new Date(operation.payload.started).toLocaleString());
+    console.log(chalk.white('Comment:'), operation.payload.comment);
+  } else if (operation.type === outboxHelper.OPERATION_TYPES.COMMENT) {
+    console.log(chalk.white('Comment:'), operation.payload.body);
+  }
+  
+  console.log(chalk.white('Queued:'), new Date(operation.createdAt).toLocaleString());
+  console.log(chalk.white('Attempts:'), operation.attempts,
+              operation.lastAttemptAt ? chalk.gray(`(last ${new Date(operation.lastAttemptAt).toLocaleString()})`) : '');
+  if (operation.lastError) {
+    console.log(chalk.white('Last error:'), chalk.red(operation.lastError));
+  }
+  console.log(chalk.white('Next attempt:'), outboxHelper.describeRetry(operation));
+  
+  console.log(chalk.bold.white('\nOptions:'));
+  console.log(chalk.white('1.'), chalk.green('Retry now'));
+  console.log(chalk.white('2.'), chalk.red('Drop this change'));
+  console.log(chalk.white('3.'), chalk.white('Back'));
+  
+  rl.question(chalk.yellow('\nSelect option: '), async (answer) => {
+    switch (answer) {
+      case '1': {
+        console.log(chalk.blue('\nSending to Jira...'));
+        const result = await syncJiraOutbox({ ignoreBackoff: true, includeHeld: true, operationIds: [operation.id] });
+        if (result.sent.length > 0) {
+          console.log(chalk.green(`\n✓ ${result.sent[0].message}`));
+        } else {
+          console.log(chalk.red(`\n✗ Error: ${operation.lastError}`));
         }
+        setTimeout(pendingJiraSync, 2000);
+        break;
+      }
+      case '2':
+        rl.question(chalk.red('\nDrop this change? It will never be sent to Jira. (y/n): '), (confirm) => {
+          if (confirm.toLowerCase() === 'y') {
+            userData.jiraOutbox = userData.jiraOutbox.filter(queued => queued.id !== operation.id);
+            saveData();
+            console.log(chalk.green('\n✓ Change dropped'));
+          }
+          setTimeout(pendingJiraSync, 1000);
+        });
+        break;
+      default:
+        pendingJiraSync();
+    }
+  });
+}
+
+// Command: add a new ticket
+function commandAdd(args) {
+  const name = args.flags.name || args.positionals.join(' ');
+  if (!name || name === true) {
+    console.error(chalk.red('✗ A ticket name is required (--name <name>).'));
+    return cliHelper.EXIT_CODES.USAGE;
+  }
+
+  const storyPoints = cliHelper.parsePositiveInt(args.flags.points, 1);
+  const suggestion = storyPoints === null ? null : suggestAllocatedTime({ storyPoints });
+  const allocatedTime = cliHelper.parsePositiveInt(args.flags.time, suggestion && suggestion.minutes);
+  if (storyPoints === null || allocatedTime === null) {
+    console.error(chalk.red('✗ --points and --time must be positive whole numbers.'));
+    return cliHelper.EXIT_CODES.USAGE;
+  }
+
+  const ticket = createTicket({ name, storyPoints, allocatedTime });
+  saveData();
+
+  if (args.flags.json) {
+    console.log(JSON.stringify(ticket, null, 2));
+  } else {
+    console.log(chalk.green(`✓ Ticket #${userData.tickets.length} added: ${ticket.name}`));
+    if (args.flags.time === undefined) {
+      console.log(chalk.gray(`  Allocated ${allocatedTime} minutes (${suggestion.basis})`));
+    }
+  }
+  return cliHelper.EXIT_CODES.SUCCESS;
+}
+
+// Command: list tickets
+function commandList(args) {
+  let tickets = userData.tickets;
+  if (args.flags.pending) tickets = tickets.filter(ticket => !ticket.completed);
+  if (args.flags.completed) tickets = tickets.filter(ticket => ticket.completed);
+
+  if (args.flags.json) {
+    console.log(JSON.stringify(tickets.map(ticket => ({
+      number: userData.tickets.indexOf(ticket) + 1,
+      ...ticket
+    })), null, 2));
+  } else if (tickets.length === 0) {
+    console.log(chalk.yellow('No tickets found.'));
+  } else {
+    printTicketTable(tickets);
+  }
+  return cliHelper.EXIT_CODES.SUCCESS;
+}
+
+// Resolve the ticket named by the first positional argument
+function resolveTicketArg(args, { allowClosedInJira = false } = {}) {
+  const reference = args.positionals[0];
+  if (!reference) {
+    console.error(chalk.red(`✗ Usage: ticket-hero ${args.command} <ticket>`));
+    return { exitCode: cliHelper.EXIT_CODES.USAGE };
+  }
+
+  const ticket = findTicket(reference);
+  if (!ticket) {
+    console.error(chalk.red(`✗ Ticket not found: ${reference}`));
+    return { exitCode: cliHelper.EXIT_CODES.FAILURE };
+  }
+
+  if (ticket.completed && !(allowClosedInJira && ticket.closedInJira)) {
+    console.error(chalk.red(`✗ Ticket is already completed: ${ticket.name}`));
+    return { exitCode: cliHelper.EXIT_CODES.FAILURE };
+  }
+
+  return { ticket };
+}
+
+// Command: run a Pomodoro session on a ticket
+async function commandStart(args) {
+  const { ticket, exitCode } = resolveTicketArg(args);
+  if (!ticket) return exitCode;
+
+  const interrupted = getInterruptedSession();
+  if (interrupted) {
+    console.error(chalk.red(`✗ A Pomodoro on "${interrupted.ticket.name}" was interrupted. ` +
+      'Run ticket-hero without a command to resume, end or discard it.'));
+    return cliHelper.EXIT_CODES.FAILURE;
+  }
+
+  moveJiraTicketOnStart(ticket);
+  return new Promise(resolve => {
+    startPomodoro(ticket, () => resolve(cliHelper.EXIT_CODES.SUCCESS));
+  });
+}
+
+// Command: mark a ticket as completed
+async function commandComplete(args) {
+  const { ticket, exitCode } = resolveTicketArg(args, { allowClosedInJira: true });
+  if (!ticket) return exitCode;
+
+  // The issue is already closed in Jira, so completing it only claims its XP
+  if (ticket.closedInJira) {
+    claimClosedTicket(ticket);
+    console.log(chalk.green(`✓ Claimed ${ticket.name}, which was closed in Jira`));
+    return cliHelper.EXIT_CODES.SUCCESS;
+  }
+
+  if (args.flags.jira && !(config.jira?.enabled && ticket.jiraId)) {
+    console.error(chalk.red('✗ --jira requires Jira integration to be enabled and a ticket linked to Jira.'));
+    return cliHelper.EXIT_CODES.USAGE;
+  }
+  if (args.flags.jira && !getJiraTransition(ticket, jiraHelper.LIFECYCLE_EVENTS.COMPLETED)) {
+    console.error(chalk.red(`✗ Completing tickets doesn't move ${ticket.jiraId} in Jira. ` +
+      'Map a transition under Jira Integration > Manage Jira Connections.'));
+    return cliHelper.EXIT_CODES.USAGE;
+  }
+
+  const overtime = finalizeTicket(ticket);
+  console.log(chalk.green(`✓ Ticket completed: ${ticket.name}`));
+  if (overtime > 0) {
+    console.log(chalk.yellow(`Overtime: ${overtime.toFixed(1)} minutes`));
+  }
+
+  // --jira moves the issue even when the completion rule is off
+  let result = cliHelper.EXIT_CODES.SUCCESS;
+  const results = await runJiraCompletionRules(ticket, { moveIssue: args.flags.jira || config.jira?.updateTicketOnComplete });
+  results.forEach(({ type, submitted }) => {
+    const change = type === outboxHelper.OPERATION_TYPES.COMMENT ? 'comment' : 'status update';
+    if (submitted.status === 'rejected') {
+      console.error(chalk.red(`✗ Error: ${submitted.message}`));
+      result = cliHelper.EXIT_CODES.FAILURE;
+    } else if (submitted.status === 'queued') {
+      console.error(chalk.yellow(`⚠️ Couldn't reach Jira (${submitted.message}). The ${change} is queued; ` +
+        'send it later with `ticket-hero jira pending`.'));
+    } else {
+      console.log(chalk.green(`✓ ${submitted.message}`));
+    }
+  });
+  return result;
+}
+
+// Command: show statistics
+function commandStats(args) {
+  calculatePendingStats();
+
+  if (args.flags.json) {
+    const levelProgress = xpHelper.getProgress(userData.user.xp, config.xp);
+    console.log(JSON.stringify({ user: userData.user, levelProgress, stats: userData.stats }, null, 2));
+  } else {
+    console.log(chalk.bold.cyan(`User: ${userData.user.name || 'Anonymous'}`));
+    console.log(chalk.bold.cyan(`Level: ${userData.user.level} | XP: ${userData.user.xp}`));
+    printLevelProgress();
+    printStatsTable();
+  }
+  return cliHelper.EXIT_CODES.SUCCESS;
+}
+
+// Command: Jira operations
+async function commandJira(args) {
+  if (!['import', 'sync', 'pending', 'connections'].includes(args.subcommand)) {
+    console.error(chalk.red('✗ Usage: ticket-hero jira import [--query <name> | --jql <jql> | --filter <id>] [--select <list>] [--dry-run]'));
+    console.error(chalk.red('         ticket-hero jira sync [--dry-run]'));
+    console.error(chalk.red('         ticket-hero jira pending [--dry-run]'));
+    console.error(chalk.red('         ticket-hero jira connections'));
+    console.error(chalk.red('       import and sync take --connection <name> to use a connection other than the active one.'));
+    return cliHelper.EXIT_CODES.USAGE;
+  }
+
+  if (!config.jira?.enabled) {
+    console.error(chalk.red('✗ Jira integration is disabled. Enable it in Settings first.'));
+    return cliHelper.EXIT_CODES.FAILURE;
+  }
+
+  if (args.subcommand === 'connections') {
+    return commandJiraConnections();
+  }
+
+  if (args.flags.connection !== undefined) {
+    const connection = getJiraConnections().find(saved => saved.name === args.flags.connection);
+    if (!connection) {
+      console.error(chalk.red(`✗ No Jira connection named "${args.flags.connection}". ` +
+        `Connections: ${getJiraConnections().map(saved => saved.name).join(', ')}`));
+      return cliHelper.EXIT_CODES.USAGE;
+    }
+    // Only for this run; the active connection stays as it is
+    jiraHelper.setConnections(config.jira.connections, connection.name);
+  }
+
+  if (args.subcommand === 'pending') {
+    return commandJiraPending(args);
+  }
+
+  if (args.subcommand === 'sync') {
+    return commandJiraSync(args);
+  }
+
+  const sourceFlags = ['query', 'jql', 'filter'].filter(flag => args.flags[flag] !== undefined);
+  if (sourceFlags.length > 1 || sourceFlags.some(flag => typeof args.flags[flag] !== 'string')) {
+    console.error(chalk.red('✗ Use one of --query <name>, --jql <jql> or --filter <id>.'));
+    return cliHelper.EXIT_CODES.USAGE;
+  }
+
+  let source = MY_TICKETS_SOURCE;
+  if (args.flags.query) {
+    source = getSavedQueries().find(query => query.name.toLowerCase() === args.flags.query.toLowerCase());
+    if (!source) {
+      console.error(chalk.red(`✗ No saved query named "${args.flags.query}". ` +
+        `Saved queries: ${getSavedQueries().map(query => query.name).join(', ') || 'none'}`));
+      return cliHelper.EXIT_CODES.USAGE;
+    }
+  } else if (args.flags.jql) {
+    source = { name: 'JQL query', jql: args.flags.jql };
+  } else if (args.flags.filter) {
+    source = { name: `Filter ${args.flags.filter}`, filterId: args.flags.filter };
+  }
+
+  // Progress and notices go to stderr so --dry-run output can be piped
+  const result = await fetchImportSource(source, process.stderr);
+  if (!result.success) {
+    console.error(chalk.red(`✗ Error: ${result.message}`));
+    return cliHelper.EXIT_CODES.FAILURE;
+  }
+  if (result.total > result.tickets.length) {
+    console.error(chalk.yellow(`⚠️ ${describeTruncatedSearch(result)}`));
+  }
+
+  let tickets = result.tickets;
+  if (args.flags.select) {
+    const selectedIndices = parseSelectionString(String(args.flags.select), tickets.length);
+    if (selectedIndices.length === 0) {
+      console.error(chalk.red('✗ No valid tickets selected.'));
+      return cliHelper.EXIT_CODES.USAGE;
+    }
+    tickets = selectedIndices.map(index => tickets[index]);
+  }
+
+  if (args.flags['dry-run']) {
+    tickets.forEach(ticket => {
+      console.log(chalk.white(`${result.tickets.indexOf(ticket) + 1}.`), chalk.green(`${ticket.name}`),
+                  chalk.gray(`(${ticket.type}, ${ticket.status}, SP: ${ticket.storyPoints})`));
+    });
+    return cliHelper.EXIT_CODES.SUCCESS;
+  }
+
+  const imported = importJiraTickets(tickets);
+  console.log(chalk.green(`✓ Successfully imported ${imported.imported.length} tickets!`));
+  if (imported.refreshed.length > 0) {
+    console.log(chalk.gray(`${imported.refreshed.length} were already imported and have been updated from Jira instead.`));
+  }
+  return cliHelper.EXIT_CODES.SUCCESS;
+}
+
+// Command: list the Jira connections
+async function commandJiraConnections() {
+  for (const connection of getJiraConnections()) {
+    const credentials = await jiraHelper.forConnection(connection.name)?.getStoredCredentials();
+    const linked = userData.tickets.filter(ticket => ticket.jiraConnection === connection.name).length;
+    console.log(`${connection.name === jiraHelper.connectionName ? '*' : ' '} ${connection.name}`,
+                chalk.gray(`${credentials ? credentials.host : 'not set up'}, ${linked} linked ticket${linked === 1 ? '' : 's'}`));
+  }
+  return cliHelper.EXIT_CODES.SUCCESS;
+}
+
+// Command: sync Jira-linked tickets with Jira, or show what would change with --dry-run
+async function commandJiraSync(args) {
+  const report = await syncJiraTickets({ dryRun: Boolean(args.flags['dry-run']) });
+  if (!report.success) {
+    console.error(chalk.red(`✗ Error: ${report.message}`));
+    return cliHelper.EXIT_CODES.FAILURE;
+  }
+
+  printJiraSyncReport(report);
+  return cliHelper.EXIT_CODES.SUCCESS;
+}
+
+// Command: send every change waiting in the Jira outbox, or just list them with --dry-run
+async function commandJiraPending(args) {
+  if (userData.jiraOutbox.length === 0) {
+    console.log(chalk.green('✓ No changes waiting to be sent to Jira.'));
+    return cliHelper.EXIT_CODES.SUCCESS;
+  }
+
+  if (args.flags['dry-run']) {
+    printJiraOutbox();
+    return cliHelper.EXIT_CODES.SUCCESS;
+  }
+
+  const result = await syncJiraOutbox({ ignoreBackoff: true, includeHeld: true });
+  printSyncResult(result);
+  return result.failed.length > 0 ? cliHelper.EXIT_CODES.FAILURE : cliHelper.EXIT_CODES.SUCCESS;
+}
+
+// Command: list, create and restore data backups
+function commandBackup(args) {
+  switch (args.subcommand) {
+    case 'list': {
+      const backups = dataHelper.listBackups(getDataFile());
+      if (args.flags.json) {
+        console.log(JSON.stringify(backups.map((backup, index) => ({
+          number: index + 1,
+          ...backup
+        })), null, 2));
+      } else if (backups.length === 0) {
+        console.log(chalk.yellow('No backups found yet.'));
       } else {
-        console.log(chalk.red(`\n✗ Error: ${result.message}`));
+        printBackupList(backups);
       }
-      
-      console.log(chalk.gray('\nPress Enter to return to Jira menu...'));
-      rl.question('', () => {
-        jiraIntegration();
-      });
+      return cliHelper.EXIT_CODES.SUCCESS;
+    }
+    case 'create': {
+      const backupPath = dataHelper.createBackup(getDataFile());
+      dataHelper.rotateBackups(getDataFile(), config.app.maxBackups);
+      console.log(chalk.green(`✓ Backup created: ${backupPath}`));
+      return cliHelper.EXIT_CODES.SUCCESS;
+    }
+    case 'restore': {
+      const backups = dataHelper.listBackups(getDataFile());
+      const backupNumber = cliHelper.parsePositiveInt(args.positionals[0], null);
+      if (backupNumber === null) {
+        console.error(chalk.red('✗ Usage: ticket-hero backup restore <number>'));
+        return cliHelper.EXIT_CODES.USAGE;
+      }
+
+      const backup = backups[backupNumber - 1];
+      if (!backup || !backup.valid) {
+        console.error(chalk.red(`✗ No readable backup #${backupNumber}. Run \`ticket-hero backup list\`.`));
+        return cliHelper.EXIT_CODES.FAILURE;
+      }
+
+      restoreDataFromBackup(backup);
+      console.log(chalk.green(`✓ Restored ${backup.ticketCount} tickets and ${backup.xp} XP. Your previous data was backed up first.`));
+      return cliHelper.EXIT_CODES.SUCCESS;
+    }
+    default:
+      console.error(chalk.red('✗ Usage: ticket-hero backup <list|create|restore <number>>'));
+      return cliHelper.EXIT_CODES.USAGE;
+  }
+}
+
+// Command: show the Pomodoro session log
+function commandSessions(args) {
+  let intervals = userData.sessions;
+
+  if (args.flags.ticket) {
+    const ticket = findTicket(args.flags.ticket);
+    if (!ticket) {
+      console.error(chalk.red(`✗ Ticket not found: ${args.flags.ticket}`));
+      return cliHelper.EXIT_CODES.FAILURE;
+    }
+    intervals = intervals.filter(interval => interval.ticketId === ticket.id);
+  }
+
+  if (args.flags.since) {
+    const since = new Date(args.flags.since);
+    if (isNaN(since.getTime())) {
+      console.error(chalk.red('✗ --since must be a date, e.g. 2024-01-31'));
+      return cliHelper.EXIT_CODES.USAGE;
+    }
+    intervals = intervals.filter(interval => new Date(interval.startedAt) >= since);
+  }
+
+  if (args.flags.json) {
+    console.log(JSON.stringify(intervals, null, 2));
+    return cliHelper.EXIT_CODES.SUCCESS;
+  }
+
+  if (intervals.length === 0) {
+    console.log(chalk.yellow('No Pomodoro sessions recorded yet.'));
+    return cliHelper.EXIT_CODES.SUCCESS;
+  }
+
+  // Pauses are logged when they end, so order by start time for display
+  [...intervals].sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt)).forEach(interval => {
+    const ticket = userData.tickets.find(t => t.id === interval.ticketId);
+    const started = new Date(interval.startedAt).toLocaleString('en-US', {
+      month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
     });
+    const label = interval.type === 'pause' ? `pause (${interval.mode})` : interval.mode;
+    console.log(chalk.white(started.padEnd(18)), chalk.cyan(label.padEnd(18)),
+                chalk.white(formatTime(interval.durationSeconds).padEnd(8)),
+                chalk.gray(interval.outcome.padEnd(16)), chalk.green(ticket ? ticket.name : interval.ticketId));
   });
+
+  const summary = sessionHelper.summarizeSessions(intervals);
+  console.log(chalk.bold.white(`\n${summary.sessions} sessions | Focus: ${(summary.focusSeconds / 60).toFixed(1)} min | ` +
+    `Breaks: ${(summary.breakSeconds / 60).toFixed(1)} min | Paused: ${(summary.pauseSeconds / 60).toFixed(1)} min | ` +
+    `Pomodoros completed: ${summary.pomodorosCompleted}`));
+  return cliHelper.EXIT_CODES.SUCCESS;
+}
+
+// Command: show the XP log or replay it under the current XP rules
+function commandXp(args) {
+  const subcommand = args.subcommand || 'history';
+
+  if (subcommand === 'replay') {
+    const replay = getXpReplay();
+    const change = `${userData.user.xp} XP (level ${userData.user.level}) to ${replay.xp} XP (level ${replay.level})`;
+    if (args.flags['dry-run']) {
+      console.log(chalk.blue(`Replaying under the current XP rules would change your XP from ${change}.`));
+    } else {
+      applyXpReplay(replay);
+      console.log(chalk.green(`✓ XP history replayed: ${change}.`));
+    }
+    return cliHelper.EXIT_CODES.SUCCESS;
+  }
+
+  if (subcommand !== 'history') {
+    console.error(chalk.red('✗ Usage: ticket-hero xp <history|replay>'));
+    return cliHelper.EXIT_CODES.USAGE;
+  }
+
+  let entries = userData.xpLog;
+  if (args.flags.ticket) {
+    const ticket = findTicket(args.flags.ticket);
+    if (!ticket) {
+      console.error(chalk.red(`✗ Ticket not found: ${args.flags.ticket}`));
+      return cliHelper.EXIT_CODES.FAILURE;
+    }
+    entries = entries.filter(entry => entry.ticketId === ticket.id);
+  }
+
+  if (args.flags.json) {
+    console.log(JSON.stringify(entries, null, 2));
+    return cliHelper.EXIT_CODES.SUCCESS;
+  }
+
+  if (entries.length === 0) {
+    console.log(chalk.yellow('No XP recorded yet.'));
+    return cliHelper.EXIT_CODES.SUCCESS;
+  }
+
+  entries.forEach(printXpEntry);
+  const total = entries.reduce((sum, entry) => sum + entry.xp, 0);
+  console.log(chalk.bold.white(`\n${entries.length} entries | ${total} XP | Level ${userData.user.level} with ${userData.user.xp} XP in total`));
+  return cliHelper.EXIT_CODES.SUCCESS;
+}
+
+// Command: report on the work done in a range of days, as a table or an export
+function commandReport(args) {
+  let range;
+  if (args.flags.from) {
+    range = reportHelper.createCustomRange(args.flags.from,
+      args.flags.to === undefined ? reportHelper.formatDay(new Date()) : args.flags.to);
+    if (!range) {
+      console.error(chalk.red('✗ --from and --to must be days such as 2024-01-31, with --from first.'));
+      return cliHelper.EXIT_CODES.USAGE;
+    }
+  } else {
+    const rangeName = args.flags.range === undefined ? 'week' : String(args.flags.range).toLowerCase();
+    if (!reportHelper.RANGES[rangeName]) {
+      console.error(chalk.red(`✗ --range must be one of: ${Object.keys(reportHelper.RANGES).join(', ')}`));
+      return cliHelper.EXIT_CODES.USAGE;
+    }
+    range = getReportRange(rangeName);
+  }
+
+  const groupBy = args.flags.by === undefined ? 'ticket' : String(args.flags.by).toLowerCase();
+  if (!reportHelper.GROUP_BY.includes(groupBy)) {
+    console.error(chalk.red(`✗ --by must be one of: ${reportHelper.GROUP_BY.join(', ')}`));
+    return cliHelper.EXIT_CODES.USAGE;
+  }
+
+  // The format can also come from the output file's extension
+  const outputFormat = typeof args.flags.output === 'string' ? args.flags.output.split('.').pop().toLowerCase() : null;
+  const format = args.flags.json ? 'json'
+    : (args.flags.format !== undefined ? String(args.flags.format).toLowerCase() : outputFormat);
+  if (args.flags.output !== undefined && (typeof args.flags.output !== 'string' || !reportHelper.FORMATS[format])) {
+    console.error(chalk.red('✗ --output needs a file, and --format csv, json or md unless the file ends in one of those.'));
+    return cliHelper.EXIT_CODES.USAGE;
+  }
+  if (format && !reportHelper.FORMATS[format]) {
+    console.error(chalk.red(`✗ --format must be one of: ${Object.keys(reportHelper.FORMATS).join(', ')}`));
+    return cliHelper.EXIT_CODES.USAGE;
+  }
+
+  const report = createReport({ range, groupBy });
+  if (args.flags.output) {
+    try {
+      console.log(chalk.green(`✓ Report saved to ${reportHelper.writeReport(report, format, args.flags.output)}`));
+    } catch (error) {
+      console.error(chalk.red(`✗ Couldn't save the report: ${error.message}`));
+      return cliHelper.EXIT_CODES.FAILURE;
+    }
+  } else if (format) {
+    process.stdout.write(reportHelper.formatReport(report, format));
+  } else {
+    console.log(chalk.bold.cyan(`${report.range.label}: ${reportHelper.describeDays(report.range)}`));
+    printReportTable(report);
+  }
+  return cliHelper.EXIT_CODES.SUCCESS;
+}
+
+// Run a non-interactive command and resolve with its exit code
+async function runCommand(args) {
+  if (args.flags.version) {
+    console.log(require('./package.json').version);
+    return cliHelper.EXIT_CODES.SUCCESS;
+  }
+
+  if (args.flags.help || !args.command || args.command === 'help') {
+    cliHelper.printUsage();
+    return cliHelper.EXIT_CODES.SUCCESS;
+  }
+
+  // Notices go to stderr so they don't mix with --json output
+  reportMovedFiles(message => console.error(message));
+  const loadStatus = loadData({ quiet: true });
+
+  if (loadStatus === 'unsupported') {
+    return cliHelper.EXIT_CODES.FAILURE;
+  }
+
+  // Backups stay reachable so a corrupted data file can be restored from the command line
+  if (loadStatus === 'corrupted' && args.command !== 'backup') {
+    console.error(chalk.red('✗ Your data file is corrupted. Run `ticket-hero` to recover it interactively,'));
+    console.error(chalk.red('  or `ticket-hero backup list` and `ticket-hero backup restore <number>`.'));
+    return cliHelper.EXIT_CODES.FAILURE;
+  }
+
+  switch (args.command) {
+    case 'add':
+      return commandAdd(args);
+    case 'list':
+      return commandList(args);
+    case 'start':
+      return commandStart(args);
+    case 'complete':
+      return commandComplete(args);
+    case 'stats':
+      return commandStats(args);
+    case 'jira':
+      return commandJira(args);
+    case 'backup':
+      return commandBackup(args);
+    case 'sessions':
+      return commandSessions(args);
+    case 'report':
+      return commandReport(args);
+    case 'xp':
+      return commandXp(args);
+    default:
+      console.error(chalk.red(`✗ Unknown command: ${args.command}\n`));
+      cliHelper.printUsage();
+      return cliHelper.EXIT_CODES.USAGE;
+  }
 }
 
 // Initialize the app
@@ -1313,10 +4097,11 @@ function initApp() {
     clearInterval(loadingAnimation);
     process.stdout.write('\r' + chalk.green('✓ Ready!') + ' '.repeat(20) + '\n');
     
-    loadData();
+    reportMovedFiles(console.log);
+    const loadStatus = loadData();
     
     // Check if user profile exists
-    setTimeout(() => {
+    const startMenu = () => {
       if (!userData.user.name) {
         console.clear();
         console.log(chalk.bold.magenta('===== Welcome to Ticket Hero =====\n'));
@@ -1325,13 +4110,25 @@ function initApp() {
       } else {
         showMainMenu();
       }
-    }, 500);
+    };
+    
+    if (loadStatus === 'unsupported') {
+      rl.close();
+    } else if (loadStatus === 'corrupted') {
+      setTimeout(() => recoverCorruptedData(() => resumeInterruptedSession(startMenu)), 500);
+    } else {
+      setTimeout(() => {
+        retryPendingJiraOperations().then(() => runScheduledJiraSync(() => resumeInterruptedSession(startMenu)));
+      }, 500);
+    }
   }, 1500);
 }
 
 // Make sure we handle exit properly
 process.on('exit', () => {
-  console.log(chalk.blue('Thank you for using Ticket Hero SDK!'));
+  if (!cliMode) {
+    console.log(chalk.blue('Thank you for using Ticket Hero SDK!'));
+  }
 });
 
 // Handle Ctrl+C gracefully
@@ -1340,8 +4137,21 @@ process.on('SIGINT', () => {
   process.exit(0);
 });
 
-// Start the app
-initApp();
+// Start the app, or run a single command when one is given
+if (cliHelper.isCommandRun(cliArgs)) {
+  cliMode = true;
+  runCommand(cliArgs)
+    .catch(error => {
+      console.error(chalk.red('Error:'), error.message);
+      return cliHelper.EXIT_CODES.FAILURE;
+    })
+    .then(exitCode => {
+      rl.close();
+      process.exit(exitCode);
+    });
+} else {
+  initApp();
+}
 
 // Export functions for testing
 if (typeof module !== 'undefined' && module.exports) {
@@ -1354,6 +4164,10 @@ if (typeof module !== 'undefined' && module.exports) {
     addNewTicket,
     userProfile,
     editTicket,
-    viewTickets
+    viewTickets,
+    createTicket,
+    findTicket,
+    finalizeTicket,
+    runCommand
   };
 }
\ No newline at end of file
@@ -1,17 +1,388 @@
 // jira-helper.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const JiraApi = require('jira-client');
 const keytar = require('keytar');
 const chalk = require('chalk');
+const worklogHelper = require('./worklog-helper');
 
 const SERVICE_NAME = 'ticket-hero-jira';
 
+// Connection used before there could be several. Its credentials keep the keychain service above,
+// other connections get a service of their own.
+const DEFAULT_CONNECTION_NAME = 'default';
+
+// Keychain account the Jira host is stored under, next to the account holding the credentials
+const HOST_ACCOUNT = 'host';
+
+// Keychain account personal access tokens are stored under when no username is given
+const TOKEN_ACCOUNT = 'token';
+
+// How Ticket Hero reaches Jira when nothing else is configured: Jira Cloud over HTTPS with an API token
+const DEFAULT_CONNECTION = {
+  deployment: 'cloud',
+  protocol: 'https',
+  port: null,
+  basePath: '',
+  auth: 'basic',
+  caFile: null,
+  proxy: null,
+  jql: null
+};
+
+// Ticket Hero events that can move a linked issue along its Jira workflow
+const LIFECYCLE_EVENTS = {
+  STARTED: 'started',
+  COMPLETED: 'completed'
+};
+
+// Transitions used for projects without a mapping
+const DEFAULT_TRANSITIONS = {
+  [LIFECYCLE_EVENTS.STARTED]: { transition: 'In Progress', fields: {} },
+  [LIFECYCLE_EVENTS.COMPLETED]: { transition: 'Done', fields: {} }
+};
+
+// Project key that holds the mapping for projects that don't have their own
+const ALL_PROJECTS = '*';
+
+// Resolutions picked, in this order, when a transition needs one and none is configured
+const DEFAULT_RESOLUTIONS = ['Done', 'Fixed'];
+
+// Network error codes from Node, reported as something the user can act on
+const NETWORK_ERRORS = {
+  ECONNREFUSED: 'Jira refused the connection. Check the port and that Jira is running.',
+  ENOTFOUND: 'Jira\'s host name could not be found. Check the host and your network connection.',
+  ETIMEDOUT: 'The connection to Jira timed out.',
+  ESOCKETTIMEDOUT: 'Jira took too long to respond.',
+  ECONNRESET: 'The connection to Jira was reset.',
+  SELF_SIGNED_CERT_IN_CHAIN: 'Jira\'s certificate is signed by a CA this computer doesn\'t trust. Set a CA bundle in the Jira setup.',
+  UNABLE_TO_VERIFY_LEAF_SIGNATURE: 'Jira\'s certificate could not be verified. Set a CA bundle in the Jira setup.',
+  UNABLE_TO_GET_ISSUER_CERT_LOCALLY: 'Jira\'s certificate could not be verified. Set a CA bundle in the Jira setup.',
+  DEPTH_ZERO_SELF_SIGNED_CERT: 'Jira uses a self-signed certificate. Set it as the CA bundle in the Jira setup.',
+  CERT_HAS_EXPIRED: 'Jira\'s certificate has expired.'
+};
+
+// Issue fields Ticket Hero always reads. The story points field is added to these.
+const ISSUE_FIELDS = ['summary', 'description', 'issuetype', 'priority', 'status', 'assignee',
+  'timeoriginalestimate', 'timeestimate'];
+
+// Story points field used when none is configured and none can be found. It's the usual one on Jira Cloud.
+const DEFAULT_STORY_POINTS_FIELD = 'customfield_10016';
+
+// Story points are kept in a number custom field, or in Jira Software's own story points field
+const STORY_POINTS_FIELD_TYPE = 'com.atlassian.jira.plugin.system.customfieldtypes:float';
+const JSW_STORY_POINTS_FIELD_TYPE = 'com.pyxis.greenhopper.jira:jsw-story-points';
+
+// Jira's own time estimates, in seconds, that allocated time can be taken from
+const ESTIMATE_FIELDS = [
+  { id: 'timeoriginalestimate', name: 'Original Estimate' },
+  { id: 'timeestimate', name: 'Remaining Estimate' }
+];
+
+// Matches issues that aren't finished yet
+const OPEN_ISSUES_JQL = 'status not in (Done, Closed)';
+
+// Jira Cloud returns at most 100 issues per search request
+const SEARCH_PAGE_SIZE = 100;
+
+// Used when no cap on search results is given
+const DEFAULT_MAX_RESULTS = 500;
+
+// How many issue keys to look up per search
+const KEY_BATCH_SIZE = 50;
+
+// How long to wait for Jira to answer a request, so a hung server can't stall the app
+const REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * Works out what went wrong with a Jira request. jira-client rejects with an Error when the
+ * request got no answer, and with the response body when Jira answered with an error.
+ * @param {*} error - What the request was rejected with
+ * @returns {Object} The error message, and whether trying again later could help
+ */
+function describeRequestError(error) {
+  let cause = error;
+  if (error instanceof Error) {
+    // jira-client passes the failure on as an Error whose message is the original failure as JSON
+    try {
+      cause = JSON.parse(error.message);
+    } catch (parseError) {
+      return { message: NETWORK_ERRORS[error.code] || error.message, retryable: true };
+    }
+  }
+
+  // Jira's own errors come back as JSON. Anything else is usually a proxy or gateway page.
+  if (cause && typeof cause === 'object') {
+    if (cause.code) {
+      return { message: NETWORK_ERRORS[cause.code] || `Could not reach Jira (${cause.code})`, retryable: true };
+    }
+    const messages = [...(cause.errorMessages || []), ...Object.values(cause.errors || {})];
+    return { message: messages.join(' ') || 'Jira rejected the request', retryable: false };
+  }
+  return { message: String(cause || 'No response from Jira').slice(0, 200), retryable: true };
+}
+
+/**
+ * Checks whether a string is an http or https URL
+ * @param {string} value - The string to check
+ * @returns {boolean} True if it is
+ */
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Splits a Jira address into the parts jira-client needs. Addresses without a protocol use https.
+ * @param {string} address - The address, such as mycompany.atlassian.net or https://jira.example.com:8443/jira
+ * @returns {Object|null} The protocol, host, port and base path, or null if it isn't an http or https address
+ */
+function parseJiraUrl(address) {
+  const withProtocol = /^[a-z][a-z0-9+.-]*:\/\//i.test(address) ? address : `https://${address}`;
+  if (!address || !isHttpUrl(withProtocol)) return null;
+
+  const url = new URL(withProtocol);
+  return {
+    protocol: url.protocol.slice(0, -1),
+    host: url.hostname,
+    port: url.port ? Number(url.port) : null,
+    basePath: url.pathname.replace(/\/+$/, '')
+  };
+}
+
+/**
+ * Gets the project key of an issue key, such as PROJ for PROJ-42
+ * @param {string} issueKey - The issue key
+ * @returns {string} The project key
+ */
+function getProjectKey(issueKey) {
+  return issueKey.slice(0, issueKey.lastIndexOf('-'));
+}
+
+/**
+ * Finds the transition with a name, or else the one leading to a status with that name. Both
+ * must match exactly, apart from case, so a similar name never picks the wrong transition.
+ * @param {Object[]} transitions - The transitions as Jira lists them
+ * @param {string} target - The transition or status name
+ * @returns {Object|null} The transition, or null if none matches
+ */
+function findTransition(transitions, target) {
+  const wanted = target.toLowerCase();
+  return transitions.find(transition => transition.name.toLowerCase() === wanted) ||
+    transitions.find(transition => transition.to && transition.to.name.toLowerCase() === wanted) ||
+    null;
+}
+
+/**
+ * Describes a transition and the status it leads to
+ * @param {Object} transition - The transition as Jira lists it
+ * @returns {string} The description
+ */
+function describeTransition(transition) {
+  return transition.to && transition.to.name !== transition.name
+    ? `${transition.name} (to ${transition.to.name})` : transition.name;
+}
+
+/**
+ * Gets the display name of one of a field's allowed values
+ * @param {Object} option - The allowed value
+ * @returns {string} Its name
+ */
+function getOptionName(option) {
+  return option.name || option.value || String(option.id);
+}
+
+/**
+ * Gets the fields a transition needs that Jira won't fill in itself
+ * @param {Object} transition - The transition as Jira lists it, with its fields expanded
+ * @returns {Object[]} The fields, as {id, name, options} where options are the allowed value names or null
+ */
+function getRequiredFields(transition) {
+  return Object.entries(transition.fields || {})
+    .filter(([, field]) => field.required && !field.hasDefaultValue)
+    .map(([id, field]) => ({
+      id,
+      name: field.name || id,
+      options: field.allowedValues ? field.allowedValues.map(getOptionName) : null
+    }));
+}
+
+/**
+ * Picks the resolution to use when a transition needs one and none was given
+ * @param {string[]} names - The resolutions the transition allows
+ * @returns {string|null} The resolution
+ */
+function pickResolution(names) {
+  return DEFAULT_RESOLUTIONS.map(wanted => names.find(name => name.toLowerCase() === wanted.toLowerCase()))
+    .find(Boolean) || names[0] || null;
+}
+
+/**
+ * Converts a value to what Jira expects for a field on a transition screen
+ * @param {Object} field - The field as Jira lists it on the transition
+ * @param {*} value - The value, or the name of one of its allowed values
+ * @returns {*} The value to send, or undefined if the field doesn't allow it
+ */
+function toFieldValue(field, value) {
+  const type = field.schema ? field.schema.type : null;
+  
+  if (field.allowedValues) {
+    const option = field.allowedValues.find(allowed => [allowed.id, allowed.name, allowed.value]
+      .some(candidate => candidate !== undefined && String(candidate).toLowerCase() === String(value).toLowerCase()));
+    if (!option) return undefined;
+    return type === 'array' ? [{ id: option.id }] : { id: option.id };
+  }
+  if (type === 'number') {
+    return isNaN(Number(value)) ? undefined : Number(value);
+  }
+  return type === 'array' ? [value] : value;
+}
+
+/**
+ * Works out the fields to send with a transition. Only fields on the transition's screen are
+ * sent, since Jira rejects any others.
+ * @param {Object} transition - The transition as Jira lists it, with its fields expanded
+ * @param {Object} given - Field values by field ID or name
+ * @returns {Object} The values to send by field ID, or an error saying what's missing or wrong
+ */
+function buildTransitionFields(transition, given) {
+  const values = {};
+  const missing = [];
+  
+  for (const [id, field] of Object.entries(transition.fields || {})) {
+    const name = field.name || id;
+    const givenKey = Object.keys(given).find(key => key === id || key.toLowerCase() === name.toLowerCase());
+    const required = field.required && !field.hasDefaultValue;
+    let value = givenKey !== undefined ? given[givenKey] : null;
+    
+    if (value === null && required && id === 'resolution' && field.allowedValues) {
+      value = pickResolution(field.allowedValues.map(getOptionName));
+    }
+    if (value === null || value === undefined) {
+      if (required) missing.push(name);
+      continue;
+    }
+    
+    const fieldValue = toFieldValue(field, value);
+    if (fieldValue === undefined) {
+      return { error: `doesn't allow "${value}" for ${name}` };
+    }
+    values[id] = fieldValue;
+  }
+  
+  if (missing.length > 0) {
+    return { error: `needs ${missing.join(', ')}. Choose the transition under Update Jira Ticket Status to fill ${
+      missing.length === 1 ? 'it' : 'them'} in.` };
+  }
+  return { values };
+}
+
 /**
  * Manages Jira integration and authentication
  */
 class JiraHelper {
-  constructor() {
+  /**
+   * @param {string} [connectionName] - The saved connection this helper talks to
+   */
+  constructor(connectionName = DEFAULT_CONNECTION_NAME) {
+    this.connectionName = connectionName;
     this.jira = null;
     this.isAuthenticated = false;
+    this.connectionError = null;
+    this.connectionOptions = { ...DEFAULT_CONNECTION };
+    this.fieldMapping = { storyPoints: null, allocatedTime: 'storyPoints' };
+    this.storyPointsField = DEFAULT_STORY_POINTS_FIELD;
+    this.transitionMapping = {};
+    this.connections = new Map();
+    // Helpers for the other saved connections, created when first needed
+    this.otherHelpers = new Map();
+  }
+
+  /**
+   * Set the saved connections, and which of them this helper talks to
+   * @param {Object[]} connections - The jira.connections config
+   * @param {string} activeName - The name of the connection to use
+   */
+  setConnections(connections, activeName) {
+    this.connections = new Map(connections.map(connection => [connection.name, connection]));
+    this.otherHelpers.clear();
+    
+    if (activeName !== this.connectionName) {
+      this.connectionName = activeName;
+      this.jira = null;
+      this.isAuthenticated = false;
+      this.connectionError = null;
+      this.storyPointsField = DEFAULT_STORY_POINTS_FIELD;
+    }
+    this.applyConnection(this.connections.get(activeName) || {});
+  }
+
+  /**
+   * Use a saved connection's options, field mapping and transition mapping
+   * @param {Object} connection - The connection from jira.connections
+   */
+  applyConnection(connection) {
+    this.setConnectionOptions(connection);
+    this.setFieldMapping(connection.fieldMapping || { storyPoints: null, allocatedTime: 'storyPoints' });
+    this.transitionMapping = connection.transitions || {};
+  }
+
+  /**
+   * Get the helper that talks to a saved connection
+   * @param {string} name - The connection name
+   * @returns {JiraHelper|null} The helper, or null if there's no connection with that name
+   */
+  forConnection(name) {
+    if (name === this.connectionName) return this;
+    if (!this.connections.has(name)) return null;
+    
+    if (!this.otherHelpers.has(name)) {
+      const helper = new JiraHelper(name);
+      helper.applyConnection(this.connections.get(name));
+      this.otherHelpers.set(name, helper);
+    }
+    return this.otherHelpers.get(name);
+  }
+
+  /**
+   * Get the keychain service this connection's host and credentials are stored under
+   */
+  getServiceName() {
+    return this.connectionName === DEFAULT_CONNECTION_NAME ? SERVICE_NAME : `${SERVICE_NAME}:${this.connectionName}`;
+  }
+
+  /**
+   * Set how to reach Jira. The host and credentials are kept in the system keychain instead.
+   * @param {Object} options - The jira.connection config
+   * @param {string} options.deployment - 'cloud' or 'server' for Jira Server and Data Center
+   * @param {string} options.protocol - 'https' or 'http'
+   * @param {number|null} options.port - The port, or null for the protocol's default
+   * @param {string} options.basePath - The context path Jira is served under, such as /jira
+   * @param {string} options.auth - 'basic' for a password or API token, 'bearer' for a personal access token
+   * @param {string|null} options.caFile - A PEM file with the CA certificates to trust
+   * @param {string|null} options.proxy - The HTTP(S) proxy URL
+   * @param {string|null} options.jql - The query for the user's tickets, or null for open issues assigned to them
+   */
+  setConnectionOptions(options) {
+    this.connectionOptions = Object.fromEntries(Object.entries(DEFAULT_CONNECTION)
+      .map(([key, defaultValue]) => [key, options[key] !== undefined ? options[key] : defaultValue]));
+  }
+
+  /**
+   * Set which Jira fields story points and allocated time come from
+   * @param {Object} mapping - The jira.fieldMapping config
+   * @param {string|null} mapping.storyPoints - The story points field ID, or null to find it automatically
+   * @param {string} mapping.allocatedTime - 'storyPoints', 'timeoriginalestimate' or 'timeestimate'
+   */
+  setFieldMapping(mapping) {
+    this.fieldMapping = { ...mapping };
+    if (mapping.storyPoints) {
+      this.storyPointsField = mapping.storyPoints;
+    }
   }
 
   /**
@@ -19,12 +390,13 @@ class JiraHelper {
    */
   async getStoredCredentials() {
     try {
-      const credentials = await keytar.findCredentials(SERVICE_NAME);
-      if (credentials && credentials.length > 0) {
+      const credentials = await keytar.findCredentials(this.getServiceName());
+      const login = credentials && credentials.find(credential => credential.account !== HOST_ACCOUNT);
+      if (login) {
         return {
-          host: await keytar.getPassword(SERVICE_NAME, 'host'),
-          username: credentials[0].account,
-          password: credentials[0].password
+          host: await keytar.getPassword(this.getServiceName(), HOST_ACCOUNT),
+          username: login.account,
+          password: login.password
         };
       }
     } catch (error) {
@@ -38,8 +410,15 @@ class JiraHelper {
    */
   async saveCredentials(host, username, password) {
     try {
-      await keytar.setPassword(SERVICE_NAME, username, password);
-      await keytar.setPassword(SERVICE_NAME, 'host', host);
+      // Only one login is kept, so remove the one being replaced
+      const credentials = await keytar.findCredentials(this.getServiceName());
+      for (const credential of credentials) {
+        if (credential.account !== HOST_ACCOUNT && credential.account !== username) {
+          await keytar.deletePassword(this.getServiceName(), credential.account);
+        }
+      }
+      await keytar.setPassword(this.getServiceName(), username, password);
+      await keytar.setPassword(this.getServiceName(), HOST_ACCOUNT, host);
       return true;
     } catch (error) {
       console.error('Error saving credentials:', error);
@@ -47,6 +426,22 @@ class JiraHelper {
     }
   }
 
+  /**
+   * Remove this connection's host and credentials from the keychain
+   */
+  async deleteCredentials() {
+    try {
+      const credentials = await keytar.findCredentials(this.getServiceName());
+      for (const credential of credentials) {
+        await keytar.deletePassword(this.getServiceName(), credential.account);
+      }
+      return true;
+    } catch (error) {
+      console.error('Error deleting credentials:', error);
+      return false;
+    }
+  }
+
   /**
    * Initialize Jira client
    */
@@ -61,6 +456,7 @@ class JiraHelper {
       );
     }
     
+    this.connectionError = `The Jira connection "${this.connectionName}" isn't set up`;
     return false;
   }
 
@@ -68,53 +464,54 @@ class JiraHelper {
    * Connect to Jira
    */
   async connect(host, username, password) {
+    const options = this.connectionOptions;
+    
     try {
+      // Personal access tokens on Jira Server and Data Center are sent as bearer tokens
+      const auth = options.auth === 'bearer' ? { bearer: password } : { username, password };
       this.jira = new JiraApi({
-        protocol: 'https',
+        protocol: options.protocol,
         host,
-        username,
-        password,
+        port: options.port,
+        base: options.basePath,
+        ...auth,
         apiVersion: '2',
-        strictSSL: true
+        strictSSL: true,
+        timeout: REQUEST_TIMEOUT_MS,
+        ca: options.caFile ? fs.readFileSync(options.caFile) : undefined
       });
+      if (options.proxy) {
+        // jira-client passes its base options on to every request
+        this.jira.baseOptions.proxy = options.proxy;
+      }
       
       // Test the connection
       await this.jira.getCurrentUser();
       this.isAuthenticated = true;
+      this.connectionError = null;
+      
+      if (!this.fieldMapping.storyPoints) {
+        await this.useDiscoveredStoryPointsField();
+      }
       return true;
     } catch (error) {
-      console.error(chalk.red('Error connecting to Jira:'), error.message);
       this.isAuthenticated = false;
+      this.connectionError = error.path === options.caFile
+        ? `Can't read the CA bundle ${options.caFile}: ${error.message}`
+        : describeRequestError(error).message;
+      console.error(chalk.red('Error connecting to Jira:'), this.connectionError);
       return false;
     }
   }
 
   /**
-   * Setup Jira connection with user input
+   * Read a password or token without showing it
+   * @param {string} prompt - What to ask for
+   * @returns {Promise<string>} What the user typed
    */
-  async setupJira(rl) {
-    console.clear();
-    console.log(chalk.bold.blue('===== Jira Integration Setup =====\n'));
-    
-    console.log(chalk.yellow('NOTE: For Jira Cloud, you need to use an API token as your password.'));
-    console.log(chalk.yellow('You can create an API token at: https://id.atlassian.com/manage-profile/security/api-tokens\n'));
-    
-    // Using readline interface for consistent UI
-    const host = await new Promise(resolve => {
-      rl.question(chalk.yellow('Jira Host (e.g., mycompany.atlassian.net): '), answer => {
-        resolve(answer.trim());
-      });
-    });
-    
-    const username = await new Promise(resolve => {
-      rl.question(chalk.yellow('Jira Email/Username: '), answer => {
-        resolve(answer.trim());
-      });
-    });
-    
-    // For password input
-    console.log(chalk.yellow('Jira API Token/Password: '));
-    let password = '';
+  async readSecret(prompt) {
+    console.log(chalk.yellow(prompt));
+    let secret = '';
     
     // Set up to handle keypress events for password input
     const stdin = process.stdin;
@@ -122,47 +519,146 @@ class JiraHelper {
     stdin.setRawMode && stdin.setRawMode(true);
     
     await new Promise(resolve => {
+      // Pasted text arrives in one chunk, so handle it a character at a time
       const keyListener = (buffer) => {
-        const key = buffer.toString();
-        
-        // Check for Enter key
-        if (key === '\r' || key === '\n') {
-          process.stdout.write('\n');
-          stdin.removeListener('data', keyListener);
-          stdin.setRawMode && stdin.setRawMode(previousRawMode);
-          resolve();
-          return;
-        }
-        
-        // Check for backspace
-        if (key === '\b' || key === '\x7f') {
-          if (password.length > 0) {
-            password = password.slice(0, -1);
-            process.stdout.write('\b \b');
+        for (const key of buffer.toString()) {
+          // Check for Enter key
+          if (key === '\r' || key === '\n') {
+            process.stdout.write('\n');
+            stdin.removeListener('data', keyListener);
+            stdin.setRawMode && stdin.setRawMode(previousRawMode);
+            resolve();
+            return;
           }
-          return;
-        }
-        
-        // Check for ctrl+c
-        if (key === '\u0003') {
-          console.log('\n');
-          process.exit();
+          
+          // Check for backspace
+          if (key === '\b' || key === '\x7f') {
+            if (secret.length > 0) {
+              secret = secret.slice(0, -1);
+              process.stdout.write('\b \b');
+            }
+            continue;
+          }
+          
+          // Check for ctrl+c
+          if (key === '\u0003') {
+            console.log('\n');
+            process.exit();
+          }
+          
+          // Regular character
+          secret += key;
+          process.stdout.write('*');
         }
-        
-        // Regular character
-        password += key;
-        process.stdout.write('*');
       };
       
       stdin.on('data', keyListener);
     });
     
+    return secret;
+  }
+
+  /**
+   * Setup Jira connection with user input. Once connected, the new connection options are in
+   * connectionOptions for the caller to save.
+   */
+  async setupJira(rl) {
+    console.clear();
+    console.log(chalk.bold.blue('===== Jira Integration Setup =====\n'));
+    console.log(chalk.blue(`Connection: ${this.connectionName}\n`));
+    
+    // Using readline interface for consistent UI
+    const ask = question => new Promise(resolve => {
+      rl.question(chalk.yellow(question), answer => resolve(answer.trim()));
+    });
+    const previousOptions = this.connectionOptions;
+    
+    console.log(chalk.bold.white('Where is your Jira?'));
+    console.log(chalk.white('1.'), chalk.green('Jira Cloud (atlassian.net)'));
+    console.log(chalk.white('2.'), chalk.green('Jira Server or Data Center'));
+    const deploymentAnswer = await ask(`Choose option (Enter for ${previousOptions.deployment === 'server' ? '2' : '1'}): `);
+    let deployment = previousOptions.deployment;
+    if (deploymentAnswer === '1') deployment = 'cloud';
+    if (deploymentAnswer === '2') deployment = 'server';
+    
+    const options = { ...DEFAULT_CONNECTION, deployment };
+    let address;
+    let username;
+    let password;
+    
+    if (deployment === 'cloud') {
+      console.log(chalk.yellow('\nNOTE: For Jira Cloud, you need to use an API token as your password.'));
+      console.log(chalk.yellow('You can create an API token at: https://id.atlassian.com/manage-profile/security/api-tokens\n'));
+      
+      address = parseJiraUrl(await ask('Jira Host (e.g., mycompany.atlassian.net): '));
+      if (!address) {
+        console.log(chalk.red('\n✗ That isn\'t a valid host name.'));
+        return false;
+      }
+      username = await ask('Jira Email: ');
+      password = await this.readSecret('Jira API Token: ');
+    } else {
+      console.log(chalk.yellow('\nInclude the port and context path if your Jira uses them.\n'));
+      
+      address = parseJiraUrl(await ask('Jira URL (e.g., https://jira.example.com:8443/jira): '));
+      if (!address) {
+        console.log(chalk.red('\n✗ That isn\'t a valid http or https URL.'));
+        return false;
+      }
+      options.protocol = address.protocol;
+      options.port = address.port;
+      options.basePath = address.basePath;
+      
+      console.log(chalk.bold.white('\nSign in with:'));
+      console.log(chalk.white('1.'), chalk.green('Username and password'));
+      console.log(chalk.white('2.'), chalk.green('Personal access token'));
+      const authAnswer = await ask(`Choose option (Enter for ${previousOptions.auth === 'bearer' ? '2' : '1'}): `);
+      options.auth = previousOptions.auth;
+      if (authAnswer === '1') options.auth = 'basic';
+      if (authAnswer === '2') options.auth = 'bearer';
+      
+      if (options.auth === 'bearer') {
+        console.log(chalk.yellow('You can create a personal access token from your Jira profile, under Personal Access Tokens.'));
+        username = TOKEN_ACCOUNT;
+        password = await this.readSecret('Personal Access Token: ');
+      } else {
+        username = await ask('Jira Username: ');
+        password = await this.readSecret('Jira Password: ');
+      }
+      
+      const caFile = await ask('CA bundle file, if Jira\'s certificate is signed by your own CA (Enter to skip): ');
+      if (caFile) {
+        options.caFile = path.resolve(caFile.replace(/^~(?=$|[\\/])/, os.homedir()));
+        if (!fs.existsSync(options.caFile)) {
+          console.log(chalk.red(`\n✗ ${options.caFile} doesn't exist.`));
+          return false;
+        }
+      }
+    }
+    
+    const proxy = await ask('HTTP(S) proxy URL, if you need one to reach Jira (Enter to skip): ');
+    if (proxy) {
+      if (!isHttpUrl(proxy)) {
+        console.log(chalk.red('\n✗ The proxy must be an http or https URL.'));
+        return false;
+      }
+      options.proxy = proxy;
+    }
+    
+    // Each connection can have its own idea of which tickets are the user's
+    console.log(chalk.yellow('\nTickets are imported and synced from your open issues unless you give your own JQL query.'));
+    const jql = await ask(previousOptions.jql
+      ? `JQL for your tickets (Enter to keep "${previousOptions.jql}", - for your open issues): `
+      : 'JQL for your tickets (Enter for your open issues): ');
+    options.jql = jql === '-' ? null : (jql || previousOptions.jql);
+    
     console.log(chalk.blue('\nConnecting to Jira...'));
-    const connected = await this.connect(host, username, password);
+    this.setConnectionOptions(options);
+    const connected = await this.connect(address.host, username, password);
     
     if (connected) {
       console.log(chalk.green('\n✓ Successfully connected to Jira!'));
-      await this.saveCredentials(host, username, password);
+      await this.saveCredentials(address.host, username, password);
       console.log(chalk.green('✓ Credentials saved securely'));
       
       // Test fetching tickets
@@ -174,201 +670,575 @@ class JiraHelper {
         console.log(chalk.yellow(`⚠️ Connected to Jira, but couldn't fetch tickets: ${ticketResult.message}`));
       }
     } else {
-      console.log(chalk.red('\n✗ Failed to connect to Jira. Please check your credentials.'));
+      // Keep using the saved connection
+      this.setConnectionOptions(previousOptions);
+      console.log(chalk.red(`\n✗ Failed to connect to Jira: ${this.connectionError}`));
+      console.log(chalk.red('Please check your settings and credentials.'));
     }
     
     return connected;
   }
 
   /**
-   * Get assigned tickets from Jira
+   * Get open tickets assigned to the current user, or the ones the connection's own query finds
+   * @param {Object} [options] - Search options, see findTickets
    */
-  async getMyTickets() {
+  async getMyTickets(options = {}) {
     if (!this.isAuthenticated) {
       await this.initialize();
     }
     
     if (!this.isAuthenticated) {
-      return { success: false, message: 'Not authenticated with Jira' };
+      return { success: false, message: this.connectionError || 'Not authenticated with Jira' };
     }
     
     try {
-      // Get current user to find username
       const myself = await this.jira.getCurrentUser();
-      console.log('Current Jira user:', myself.name, myself.displayName);
       
-      // Try multiple JQL queries to find tickets
-      let jql = `assignee = currentUser() AND status not in (Done, Closed) ORDER BY updated DESC`;
-      console.log('Using JQL query:', jql);
+      // A connection can name its own query for the user's tickets
+      if (this.connectionOptions.jql) {
+        return { success: true, ...await this.findTickets(this.connectionOptions.jql, myself, options) };
+      }
+      
+      // Some Jira setups don't resolve currentUser(), so also try the user's name and email
+      const assignees = ['currentUser()', myself.name, myself.emailAddress]
+        .filter(Boolean)
+        .map((assignee, index) => (index === 0 ? assignee : `"${assignee}"`));
+      
+      let result = { tickets: [], total: 0 };
+      for (const assignee of assignees) {
+        // Jira rejects queries naming an unknown user unless validation only warns
+        result = await this.findTickets(`assignee = ${assignee} AND ${OPEN_ISSUES_JQL} ORDER BY updated DESC`,
+          myself, { ...options, validateQuery: 'warn' });
+        if (result.tickets.length > 0) break;
+      }
       
-      let issues = await this.jira.searchJira(jql, {
-        fields: ['summary', 'description', 'issuetype', 'priority', 'status', 'customfield_10016'], // customfield_10016 is often story points
-        maxResults: 50
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Error fetching tickets:', error);
+      return { success: false, ...describeRequestError(error) };
+    }
+  }
+
+  /**
+   * Get the tickets matching a JQL query
+   * @param {string} jql - The query
+   * @param {Object} [options] - Search options, see findTickets
+   */
+  async searchTickets(jql, options = {}) {
+    if (!this.isAuthenticated) {
+      await this.initialize();
+    }
+    
+    if (!this.isAuthenticated) {
+      return { success: false, message: this.connectionError || 'Not authenticated with Jira' };
+    }
+    
+    try {
+      const myself = await this.jira.getCurrentUser();
+      return { success: true, ...await this.findTickets(jql, myself, options) };
+    } catch (error) {
+      console.error('Error searching Jira:', error);
+      return { success: false, ...describeRequestError(error) };
+    }
+  }
+
+  /**
+   * Get the name and JQL query of a saved Jira filter
+   * @param {string} filterId - The filter ID, as shown in the filter's URL
+   */
+  async getFilterQuery(filterId) {
+    if (!this.isAuthenticated) {
+      await this.initialize();
+    }
+    
+    if (!this.isAuthenticated) {
+      return { success: false, message: this.connectionError || 'Not authenticated with Jira' };
+    }
+    
+    try {
+      const filter = await this.jira.getFilter(filterId);
+      return { success: true, name: filter.name, jql: filter.jql };
+    } catch (error) {
+      console.error('Error fetching filter:', error);
+      return { success: false, ...describeRequestError(error) };
+    }
+  }
+
+  /**
+   * Run a search, a page at a time, and convert the issues it finds to tickets
+   * @param {string} jql - The query
+   * @param {Object} myself - The current Jira user
+   * @param {Object} [options] - Search options
+   * @param {number} [options.maxResults] - Stop after this many issues
+   * @param {Function} [options.onProgress] - Called with the number of issues fetched so far and the number expected
+   * @returns {Promise<Object>} The tickets, and the total number of matching issues in Jira
+   */
+  async findTickets(jql, myself, { maxResults = DEFAULT_MAX_RESULTS, onProgress = null, ...searchOptions } = {}) {
+    const issues = [];
+    let expected = maxResults;
+    let total = 0;
+    
+    while (issues.length < expected) {
+      const page = await this.jira.searchJira(jql, {
+        fields: this.getIssueFields(),
+        ...searchOptions,
+        startAt: issues.length,
+        maxResults: Math.min(SEARCH_PAGE_SIZE, expected - issues.length)
       });
       
-      console.log(`Found ${issues.issues.length} tickets with first query`);
+      issues.push(...page.issues);
+      total = Number.isInteger(page.total) ? page.total : issues.length;
+      expected = Math.min(total, maxResults);
+      if (onProgress) onProgress(issues.length, expected);
       
-      // If no tickets found with first query, try alternatives
-      if (issues.issues.length === 0) {
-        // Try with explicit username
-        jql = `assignee = "${myself.name}" ORDER BY updated DESC`;
-        console.log('Trying alternative query with explicit username:', jql);
-        
-        issues = await this.jira.searchJira(jql, {
-          fields: ['summary', 'description', 'issuetype', 'priority', 'status', 'customfield_10016'],
-          maxResults: 50
+      if (page.issues.length === 0) break;
+    }
+    
+    return {
+      tickets: issues.map(issue => this.mapIssue(issue, myself)),
+      total: Math.max(total, issues.length)
+    };
+  }
+
+  /**
+   * Look up issues by key, whoever they are assigned to and whatever their status.
+   * Keys Jira doesn't know, for example of deleted issues, are left out of the result.
+   * @param {string[]} keys - Issue keys
+   */
+  async getIssues(keys) {
+    if (!this.isAuthenticated) {
+      await this.initialize();
+    }
+    
+    if (!this.isAuthenticated) {
+      return { success: false, message: this.connectionError || 'Not authenticated with Jira' };
+    }
+    
+    try {
+      const myself = await this.jira.getCurrentUser();
+      const tickets = [];
+      
+      for (let i = 0; i < keys.length; i += KEY_BATCH_SIZE) {
+        const batch = keys.slice(i, i + KEY_BATCH_SIZE);
+        // validateQuery 'warn' stops unknown keys from failing the whole search
+        const result = await this.findTickets(`key in (${batch.join(', ')})`, myself, {
+          maxResults: batch.length,
+          validateQuery: 'warn'
         });
-        
-        console.log(`Found ${issues.issues.length} tickets with username query`);
-        
-        // If still no tickets, try with email
-        if (issues.issues.length === 0 && myself.emailAddress) {
-          jql = `assignee = "${myself.emailAddress}" ORDER BY updated DESC`;
-          console.log('Trying alternative query with email:', jql);
-          
-          issues = await this.jira.searchJira(jql, {
-            fields: ['summary', 'description', 'issuetype', 'priority', 'status', 'customfield_10016'],
-            maxResults: 50
-          });
-          
-          console.log(`Found ${issues.issues.length} tickets with email query`);
-        }
-        
-        // Last attempt - all tickets (limited to 20)
-        if (issues.issues.length === 0) {
-          jql = `ORDER BY updated DESC`;
-          console.log('Last attempt - fetching recent tickets:', jql);
-          
-          issues = await this.jira.searchJira(jql, {
-            fields: ['summary', 'description', 'issuetype', 'priority', 'status', 'assignee', 'customfield_10016'],
-            maxResults: 20
-          });
-          
-          console.log(`Found ${issues.issues.length} recent tickets`);
-          
-          // Filter by assignee if we found tickets
-          if (issues.issues.length > 0) {
-            console.log('Filtering to find tickets that might be assigned to you');
-            // Just log the first ticket's assignee structure to understand format
-            if (issues.issues[0]?.fields?.assignee) {
-              console.log('Example assignee structure:', 
-                        JSON.stringify(issues.issues[0].fields.assignee, null, 2));
-            }
-          }
-        }
+        tickets.push(...result.tickets);
       }
       
-      // If we still have no tickets
-      if (issues.issues.length === 0) {
-        return { 
-          success: false, 
-          message: 'No tickets found assigned to you. Please check your Jira assignments.'
-        };
-      }
+      return { success: true, tickets };
+    } catch (error) {
+      console.error('Error looking up issues:', error);
+      return { success: false, ...describeRequestError(error) };
+    }
+  }
+
+  /**
+   * Find the fields that can hold story points and time estimates, from Jira's field metadata
+   * @returns {Promise<Object>} The story points fields, most likely first, and the estimate fields
+   */
+  async discoverFields() {
+    if (!this.isAuthenticated) {
+      return { success: false, message: this.connectionError || 'Not authenticated with Jira' };
+    }
+    
+    try {
+      const fields = await this.jira.listFields();
+      
+      // Jira Software's own story points field first, then ones named like it
+      const rank = field => {
+        if (field.schema.custom === JSW_STORY_POINTS_FIELD_TYPE) return 0;
+        if (/^story points$/i.test(field.name)) return 1;
+        return 2;
+      };
+      const storyPointsFields = fields
+        .filter(field => field.custom && field.schema && field.schema.type === 'number' &&
+          (field.schema.custom === JSW_STORY_POINTS_FIELD_TYPE ||
+            (field.schema.custom === STORY_POINTS_FIELD_TYPE && /story ?points?/i.test(field.name))))
+        .sort((a, b) => rank(a) - rank(b))
+        .map(field => ({ id: field.id, name: field.name }));
+      const estimateFields = ESTIMATE_FIELDS.filter(estimate => fields.some(field => field.id === estimate.id));
       
+      return { success: true, storyPointsFields, estimateFields };
+    } catch (error) {
+      console.error('Error reading Jira fields:', error);
+      return { success: false, ...describeRequestError(error) };
+    }
+  }
+
+  /**
+   * Use the most likely story points field when none is configured, keeping the default if none is found
+   */
+  async useDiscoveredStoryPointsField() {
+    const result = await this.discoverFields();
+    if (result.success && result.storyPointsFields.length > 0) {
+      this.storyPointsField = result.storyPointsFields[0].id;
+    }
+  }
+
+  /**
+   * Ask the user to confirm or change which fields story points and allocated time come from
+   * @param {Object} rl - The readline interface
+   * @returns {Promise<Object|null>} The chosen jira.fieldMapping, or null if the fields couldn't be read
+   */
+  async setupFieldMapping(rl) {
+    const ask = question => new Promise(resolve => {
+      rl.question(chalk.yellow(question), answer => resolve(answer.trim()));
+    });
+    
+    console.log(chalk.blue('\nLooking for story points and estimate fields...'));
+    const result = await this.discoverFields();
+    if (!result.success) {
+      console.log(chalk.yellow(`⚠️ Couldn't read the Jira fields: ${result.message}`));
+      return null;
+    }
+    
+    // Story points
+    const current = this.fieldMapping.storyPoints || this.storyPointsField;
+    console.log(chalk.bold.white('\nStory points field:'));
+    result.storyPointsFields.forEach((field, index) => {
+      console.log(chalk.white(`${index + 1}.`), chalk.green(field.name), chalk.gray(`(${field.id})`),
+                  field.id === current ? chalk.blue('[current]') : '');
+    });
+    if (result.storyPointsFields.length === 0) {
+      console.log(chalk.yellow('No story points fields found.'));
+    }
+    
+    const suggested = result.storyPointsFields.find(field => field.id === current) || result.storyPointsFields[0];
+    const storyPointsAnswer = await ask(suggested
+      ? `Choose a field, or enter a field ID (Enter for ${suggested.name}): `
+      : `Enter the story points field ID (Enter for ${current}): `);
+    const chosenField = /^\d+$/.test(storyPointsAnswer) && result.storyPointsFields[parseInt(storyPointsAnswer, 10) - 1];
+    let storyPoints = suggested ? suggested.id : current;
+    if (chosenField) {
+      storyPoints = chosenField.id;
+    } else if (/^customfield_\d+$/.test(storyPointsAnswer)) {
+      storyPoints = storyPointsAnswer;
+    } else if (storyPointsAnswer) {
+      console.log(chalk.red(`Not a custom field ID: ${storyPointsAnswer}. Keeping ${storyPoints}.`));
+    }
+    
+    // Allocated time
+    const allocatedTimeSources = [
+      { id: 'storyPoints', name: 'Story points (suggested from your completed tickets)' },
+      ...result.estimateFields
+    ];
+    console.log(chalk.bold.white('\nTake allocated time from:'));
+    allocatedTimeSources.forEach((source, index) => {
+      console.log(chalk.white(`${index + 1}.`), chalk.green(source.name),
+                  source.id === this.fieldMapping.allocatedTime ? chalk.blue('[current]') : '');
+    });
+    
+    const allocatedTimeAnswer = await ask('Choose a source (Enter to keep the current one): ');
+    const allocatedTimeSource = allocatedTimeSources[parseInt(allocatedTimeAnswer, 10) - 1];
+    const allocatedTime = allocatedTimeSource ? allocatedTimeSource.id : this.fieldMapping.allocatedTime;
+    
+    const mapping = { storyPoints, allocatedTime };
+    this.setFieldMapping(mapping);
+    return mapping;
+  }
+
+  /**
+   * Get the fields to request for issues, including the story points field in use
+   */
+  getIssueFields() {
+    return [...ISSUE_FIELDS, this.storyPointsField];
+  }
+
+  /**
+   * Read an issue's story points from the story points field in use
+   * @param {Object} issue - The issue from a search
+   * @returns {number|null} The story points, or null if the issue has none
+   */
+  getStoryPoints(issue) {
+    const storyPoints = Number(issue.fields[this.storyPointsField]);
+    return storyPoints > 0 ? storyPoints : null;
+  }
+
+  /**
+   * Convert a Jira issue to the ticket fields Ticket Hero uses
+   * @param {Object} issue - The issue from a search
+   * @param {Object} myself - The current Jira user
+   */
+  mapIssue(issue, myself) {
+    const assignee = issue.fields.assignee;
+    // Jira Cloud identifies users by accountId, Jira Server by name
+    const assignedToMe = Boolean(assignee) && (assignee.accountId
+      ? assignee.accountId === myself.accountId
+      : assignee.name === myself.name);
+    const storyPoints = this.getStoryPoints(issue);
+    
+    return {
+      id: issue.key,
+      name: `${issue.key}: ${issue.fields.summary}`,
+      type: issue.fields.issuetype.name,
+      status: issue.fields.status.name,
+      statusCategory: issue.fields.status.statusCategory ? issue.fields.status.statusCategory.key : null,
+      assignee: assignee ? assignee.displayName : null,
+      assignedToMe,
+      storyPoints: storyPoints || 1,
+      hasStoryPoints: Boolean(storyPoints),
+      allocatedTime: this.getEstimateMinutes(issue),
+      jiraUrl: this.getIssueUrl(issue.key)
+    };
+  }
+
+  /**
+   * Get the address of an issue in Jira's web interface
+   * @param {string} key - The issue key
+   * @returns {string} The URL
+   */
+  getIssueUrl(key) {
+    const { protocol, port, basePath } = this.connectionOptions;
+    return `${protocol}://${this.jira.host}${port ? `:${port}` : ''}${basePath}/browse/${key}`;
+  }
+
+  /**
+   * Get allocated time from the Jira estimate field chosen in the field mapping
+   * @param {Object} issue - The issue from a search
+   * @returns {number|null} The estimate in minutes, or null if allocated time should be
+   *   suggested from story points and the user's history instead
+   */
+  getEstimateMinutes(issue) {
+    // Jira's time estimates are in seconds
+    const estimateField = this.fieldMapping.allocatedTime;
+    if (estimateField !== 'storyPoints' && issue.fields[estimateField] > 0) {
+      return Math.max(1, Math.round(issue.fields[estimateField] / 60));
+    }
+    return null;
+  }
+
+  /**
+   * Get the transitions an issue can take from its current status, with the fields each one asks for
+   * @param {string} ticketId - The issue key
+   * @returns {Promise<Object>} The transitions, as {id, name, to, done, requiredFields}
+   */
+  async getTransitions(ticketId) {
+    if (!this.isAuthenticated) {
+      await this.initialize();
+    }
+    
+    if (!this.isAuthenticated) {
+      return { success: false, message: this.connectionError || 'Not authenticated with Jira', retryable: true };
+    }
+    
+    try {
+      const { transitions } = await this.jira.listTransitions(ticketId);
       return {
         success: true,
-        tickets: issues.issues.map(issue => ({
-          id: issue.key,
-          name: `${issue.key}: ${issue.fields.summary}`,
-          type: issue.fields.issuetype.name,
-          status: issue.fields.status.name,
-          storyPoints: issue.fields.customfield_10016 || 1,
-          allocatedTime: this.estimateAllocatedTime(issue),
-          jiraUrl: `https://${this.jira.host}/browse/${issue.key}`
+        transitions: transitions.map(transition => ({
+          id: transition.id,
+          name: transition.name,
+          to: transition.to ? transition.to.name : transition.name,
+          done: Boolean(transition.to && transition.to.statusCategory &&
+            transition.to.statusCategory.key === 'done'),
+          requiredFields: getRequiredFields(transition)
         }))
       };
     } catch (error) {
-      console.error('Error fetching tickets:', error);
-      return { success: false, message: error.message };
+      return { success: false, ...describeRequestError(error) };
     }
   }
 
   /**
-   * Estimate allocated time based on story points or issue type
+   * Get the transition a Ticket Hero event should move an issue with, from the mapping for the
+   * issue's project, the mapping for all projects, or the defaults
+   * @param {string} ticketId - The issue key
+   * @param {string} event - One of LIFECYCLE_EVENTS
+   * @returns {Object|null} The outbox payload, {status, fields}, or null if the issue shouldn't move
+   */
+  getLifecycleTransition(ticketId, event) {
+    return this.getMappedTransition(getProjectKey(ticketId), event);
+  }
+
+  /**
+   * Get the transition a Ticket Hero event moves a project's issues with
+   * @param {string} projectKey - The project key, or ALL_PROJECTS for projects without a mapping
+   * @param {string} event - One of LIFECYCLE_EVENTS
+   * @returns {Object|null} The outbox payload, {status, fields}, or null if issues don't move
+   */
+  getMappedTransition(projectKey, event) {
+    const projectMapping = this.transitionMapping[projectKey] || {};
+    const allProjectsMapping = this.transitionMapping[ALL_PROJECTS] || {};
+    const mapped = event in projectMapping ? projectMapping[event]
+      : (event in allProjectsMapping ? allProjectsMapping[event] : DEFAULT_TRANSITIONS[event]);
+    
+    return mapped ? { status: mapped.transition, fields: { ...mapped.fields } } : null;
+  }
+
+  /**
+   * Ask the user for the fields a transition needs that Jira won't fill in itself
+   * @param {Object} rl - The readline interface
+   * @param {Object} transition - A transition from getTransitions
+   * @returns {Promise<Object|null>} The field values by field ID, or null if the user cancelled
    */
-  estimateAllocatedTime(issue) {
-    // If story points are available, use them (assuming 1 point = 25 minutes)
-    const storyPoints = issue.fields.customfield_10016;
-    if (storyPoints) {
-      return storyPoints * 25;
+  async askTransitionFields(rl, transition) {
+    const ask = question => new Promise(resolve => {
+      rl.question(chalk.yellow(question), answer => resolve(answer.trim()));
+    });
+    const fields = {};
+    
+    for (const field of transition.requiredFields) {
+      console.log(chalk.bold.white(`\n"${transition.name}" needs ${field.name}:`));
+      
+      if (field.options) {
+        field.options.forEach((option, index) => {
+          console.log(chalk.white(`${index + 1}.`), chalk.green(option));
+        });
+        const suggested = field.id === 'resolution' ? pickResolution(field.options) : null;
+        const answer = await ask(suggested
+          ? `Choose ${field.name} (Enter for ${suggested}, 0 to cancel): `
+          : `Choose ${field.name} (0 to cancel): `);
+        const option = answer ? field.options[parseInt(answer, 10) - 1] : suggested;
+        if (!option) return null;
+        fields[field.id] = option;
+      } else {
+        const answer = await ask(`${field.name} (Enter to cancel): `);
+        if (!answer) return null;
+        fields[field.id] = answer;
+      }
+    }
+    
+    return fields;
+  }
+
+  /**
+   * Let the user choose which transitions starting and completing tickets use for a project.
+   * Jira only lists the transitions an issue can take right now, so the choice is made by
+   * target status, or by typing a transition's name.
+   * @param {Object} rl - The readline interface
+   * @param {string} projectKey - The project key, or ALL_PROJECTS
+   * @returns {Promise<Object>} The project's mapping, {started, completed}
+   */
+  async setupTransitionMapping(rl, projectKey) {
+    const ask = question => new Promise(resolve => {
+      rl.question(chalk.yellow(question), answer => resolve(answer.trim()));
+    });
+    const statuses = await this.getStatusNames(projectKey);
+    if (!statuses.success) {
+      console.log(chalk.yellow(`⚠️ Couldn't read the project's statuses: ${statuses.message}`));
+    }
+    const statusNames = statuses.success ? statuses.statuses : [];
+    
+    const questions = [
+      [LIFECYCLE_EVENTS.STARTED, 'When you start the first Pomodoro on a ticket, move its issue to'],
+      [LIFECYCLE_EVENTS.COMPLETED, 'When you complete a ticket, move its issue to']
+    ];
+    const mapping = {};
+    
+    for (const [event, question] of questions) {
+      const current = this.getMappedTransition(projectKey, event);
+      console.log(chalk.bold.white(`\n${question}:`));
+      statusNames.forEach((status, index) => {
+        console.log(chalk.white(`${index + 1}.`), chalk.green(status),
+                    current && current.status.toLowerCase() === status.toLowerCase() ? chalk.blue('[current]') : '');
+      });
+      
+      const answer = await ask(`Choose a status or enter a transition name (Enter for ${
+        current ? `"${current.status}"` : 'no change'}, - for no change): `);
+      const status = /^\d+$/.test(answer) ? statusNames[parseInt(answer, 10) - 1] : answer;
+      if (answer === '-') {
+        mapping[event] = null;
+      } else if (status) {
+        mapping[event] = { transition: status, fields: {} };
+      } else {
+        mapping[event] = current ? { transition: current.status, fields: current.fields } : null;
+      }
     }
     
-    // Otherwise estimate by issue type
-    const type = issue.fields.issuetype.name.toLowerCase();
-    if (type.includes('bug')) {
-      return 45; // 45 minutes for bugs
-    } else if (type.includes('task')) {
-      return 30; // 30 minutes for tasks
-    } else if (type.includes('story')) {
-      return 60; // 60 minutes for stories
+    if (mapping[LIFECYCLE_EVENTS.COMPLETED]) {
+      const fields = mapping[LIFECYCLE_EVENTS.COMPLETED].fields;
+      const resolution = await ask(`Resolution to set when the transition asks for one (Enter for ${
+        fields.resolution || 'Done or Fixed'}): `);
+      if (resolution) fields.resolution = resolution;
     }
     
-    // Default
-    return 25;
+    return mapping;
   }
 
   /**
-   * Update Jira ticket status
+   * Get the names of the statuses issues can have, in a project or across Jira
+   * @param {string} projectKey - The project key, or ALL_PROJECTS
+   * @returns {Promise<Object>} The status names
    */
-  async updateTicketStatus(ticketId, targetStatus) {
+  async getStatusNames(projectKey) {
     if (!this.isAuthenticated) {
       await this.initialize();
     }
     
     if (!this.isAuthenticated) {
-      return { success: false, message: 'Not authenticated with Jira' };
+      return { success: false, message: this.connectionError || 'Not authenticated with Jira', retryable: true };
     }
     
     try {
-      // Get available transitions for the issue
-      const transitions = await this.jira.listTransitions(ticketId);
-      console.log('Available transitions:', transitions.transitions.map(t => t.name));
-      
-      // Find the transition that matches our target status
-      const transition = transitions.transitions.find(t => 
-        t.name.toLowerCase() === targetStatus.toLowerCase() ||
-        t.to.name.toLowerCase() === targetStatus.toLowerCase()
-      );
+      // A project lists its statuses per issue type
+      const statuses = projectKey === ALL_PROJECTS
+        ? await this.jira.listStatus()
+        : (await this.jira.genericGet(`project/${encodeURIComponent(projectKey)}/statuses`))
+          .flatMap(issueType => issueType.statuses);
+      return { success: true, statuses: [...new Set(statuses.map(status => status.name))] };
+    } catch (error) {
+      return { success: false, ...describeRequestError(error) };
+    }
+  }
+
+  /**
+   * Move an issue with one of the transitions it can take. The transition is picked by ID, or
+   * by its name or the name of the status it leads to. Fields the transition needs are taken
+   * from the given values, and a missing resolution defaults to Done or Fixed.
+   * @param {string} ticketId - The issue key
+   * @param {string} targetStatus - The transition or status name
+   * @param {Object} [options] - How to make the transition
+   * @param {string} [options.transitionId] - The transition the user picked
+   * @param {Object} [options.fields] - Field values by field ID or name, such as {resolution: 'Fixed'}
+   */
+  async updateTicketStatus(ticketId, targetStatus, { transitionId = null, fields = {} } = {}) {
+    if (!this.isAuthenticated) {
+      await this.initialize();
+    }
+    
+    if (!this.isAuthenticated) {
+      return { success: false, message: this.connectionError || 'Not authenticated with Jira', retryable: true };
+    }
+    
+    try {
+      const { transitions } = await this.jira.listTransitions(ticketId);
+      const transition = (transitionId && transitions.find(t => t.id === String(transitionId))) ||
+        findTransition(transitions, targetStatus);
       
       if (!transition) {
-        // Try to find a similar transition if exact match not found
-        const similarTransition = transitions.transitions.find(t => 
-          t.name.toLowerCase().includes(targetStatus.toLowerCase()) ||
-          (t.to && t.to.name.toLowerCase().includes(targetStatus.toLowerCase()))
-        );
-        
-        if (similarTransition) {
-          // Use the similar transition
-          const result = await this.jira.transitionIssue(ticketId, {
-            transition: {
-              id: similarTransition.id
-            }
-          });
-          
-          return { 
-            success: true, 
-            message: `Ticket status updated to ${similarTransition.name} (closest match to ${targetStatus})`
-          };
+        const issue = await this.jira.findIssue(ticketId, '', 'status');
+        if (issue.fields.status.name.toLowerCase() === targetStatus.toLowerCase()) {
+          return { success: true, message: `${ticketId} is already ${issue.fields.status.name}` };
         }
         
         return { 
           success: false, 
-          message: `Cannot transition to "${targetStatus}". Available transitions: ${transitions.transitions.map(t => t.name).join(', ')}`
+          message: `Cannot transition ${ticketId} from ${issue.fields.status.name} to "${targetStatus}". ` +
+            `Available transitions: ${transitions.map(describeTransition).join(', ') || 'none'}`,
+          retryable: false
         };
       }
       
-      // Execute the transition
+      const transitionFields = buildTransitionFields(transition, fields);
+      if (transitionFields.error) {
+        return { success: false, message: `"${transition.name}" ${transitionFields.error}`, retryable: false };
+      }
+      
       await this.jira.transitionIssue(ticketId, {
         transition: {
           id: transition.id
-        }
+        },
+        ...(Object.keys(transitionFields.values).length > 0 ? { fields: transitionFields.values } : {})
       });
       
-      return { success: true, message: `Ticket status updated to ${transition.name}` };
+      return { success: true, message: `Ticket status updated to ${transition.to ? transition.to.name : transition.name}` };
     } catch (error) {
       console.error('Error updating ticket status:', error);
-      return { success: false, message: error.message };
+      return { success: false, ...describeRequestError(error) };
     }
   }
   
@@ -381,7 +1251,7 @@ class JiraHelper {
     }
     
     if (!this.isAuthenticated) {
-      return { success: false, message: 'Not authenticated with Jira' };
+      return { success: false, message: this.connectionError || 'Not authenticated with Jira', retryable: true };
     }
     
     try {
@@ -389,48 +1259,50 @@ class JiraHelper {
       return { success: true, message: 'Comment added successfully' };
     } catch (error) {
       console.error('Error adding comment:', error);
-      return { success: false, message: error.message };
+      return { success: false, ...describeRequestError(error) };
     }
   }
   
   /**
    * Log work on a Jira ticket
+   * @param {string} ticketId - The issue key
+   * @param {number} timeSpentMinutes - Whole minutes worked
+   * @param {string} [comment] - Worklog comment
+   * @param {Date} [started] - When the work started. Jira uses the current time if omitted.
    */
-  async logWork(ticketId, timeSpentMinutes, comment = 'Logged from Ticket Hero') {
+  async logWork(ticketId, timeSpentMinutes, comment = 'Logged from Ticket Hero', started = null) {
     if (!this.isAuthenticated) {
       await this.initialize();
     }
     
     if (!this.isAuthenticated) {
-      return { success: false, message: 'Not authenticated with Jira' };
+      return { success: false, message: this.connectionError || 'Not authenticated with Jira', retryable: true };
     }
     
     try {
       // Convert minutes to Jira format (e.g., "3h 30m")
-      const hours = Math.floor(timeSpentMinutes / 60);
-      const minutes = timeSpentMinutes % 60;
-      let timeSpent = '';
-      
-      if (hours > 0) {
-        timeSpent += `${hours}h `;
-      }
-      
-      if (minutes > 0 || timeSpent === '') {
-        timeSpent += `${minutes}m`;
-      }
+      const timeSpent = worklogHelper.formatJiraDuration(timeSpentMinutes);
       
       // Log the work
-      await this.jira.addWorklog(ticketId, {
-        timeSpent: timeSpent.trim(),
+      const worklog = {
+        timeSpent,
         comment: comment
-      });
+      };
+      if (started) {
+        worklog.started = worklogHelper.formatJiraTimestamp(started);
+      }
+      await this.jira.addWorklog(ticketId, worklog);
       
       return { success: true, message: `Logged ${timeSpent} of work to ${ticketId}` };
     } catch (error) {
       console.error('Error logging work:', error);
-      return { success: false, message: error.message };
+      return { success: false, ...describeRequestError(error) };
     }
   }
 }
 
-module.exports = new JiraHelper();
\ No newline at end of file
+module.exports = new JiraHelper();
+
+// Keys of the transition mappings, for code that reads or edits them
+module.exports.LIFECYCLE_EVENTS = LIFECYCLE_EVENTS;
+module.exports.ALL_PROJECTS = ALL_PROJECTS;
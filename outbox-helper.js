@@ -0,0 +1,219 @@
+// outbox-helper.js
+const worklogHelper = require('./worklog-helper');
+
+// Kinds of Jira changes that can wait in the outbox
+const OPERATION_TYPES = {
+  WORKLOG: 'worklog',
+  TRANSITION: 'transition',
+  COMMENT: 'comment'
+};
+
+// Retries wait 30 seconds after the first failure, doubling each time up to an hour
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 60 * 60;
+
+// Comments sent later than this after they were written get a note saying when they were written
+const LATE_COMMENT_SECONDS = 5 * 60;
+
+let lastIdTime = 0;
+
+/**
+ * Generates a unique, time-ordered ID for outbox operations
+ * @returns {string} The ID
+ */
+function generateId() {
+  lastIdTime = Math.max(Date.now(), lastIdTime + 1);
+  return `op-${lastIdTime.toString(36)}`;
+}
+
+/**
+ * Creates an operation for the outbox
+ * @param {Object} details - Operation details
+ * @param {string} details.type - One of OPERATION_TYPES
+ * @param {string} details.connection - The name of the Jira connection the issue belongs to
+ * @param {string} details.jiraId - The issue key
+ * @param {string} [details.ticketId] - The local ticket the operation belongs to
+ * @param {Object} details.payload - What to send: {minutes, comment, started} for worklogs,
+ *   {status} for transitions and {body} for comments
+ * @param {Date} [now] - When the user asked for the change
+ * @returns {Object} The operation
+ */
+function createOperation({ type, connection, jiraId, ticketId = null, payload }, now = new Date()) {
+  return {
+    id: generateId(),
+    type,
+    connection,
+    jiraId,
+    ticketId,
+    payload,
+    createdAt: now.toISOString(),
+    attempts: 0,
+    nextAttemptAt: now.toISOString(),
+    lastAttemptAt: null,
+    lastError: null,
+    held: false
+  };
+}
+
+/**
+ * Adds an operation to the outbox. A transition replaces any transition still waiting for
+ * the same issue, since only the last status the user picked matters.
+ * @param {Object[]} outbox - The outbox, changed in place
+ * @param {Object} operation - The operation from createOperation
+ * @returns {Object} The operation as it is queued, which is the waiting one if it asked for the same status
+ */
+function enqueueOperation(outbox, operation) {
+  if (operation.type === OPERATION_TYPES.TRANSITION) {
+    const index = outbox.findIndex(queued => queued.type === OPERATION_TYPES.TRANSITION &&
+      queued.connection === operation.connection && queued.jiraId === operation.jiraId);
+
+    if (index !== -1) {
+      const queued = outbox[index];
+      if (queued.payload.status.toLowerCase() === operation.payload.status.toLowerCase() && !queued.held) {
+        return queued;
+      }
+      // Move to the end so the transition still runs after anything queued before it
+      outbox.splice(index, 1);
+    }
+  }
+
+  outbox.push(operation);
+  return operation;
+}
+
+/**
+ * Gets how long to wait before retrying an operation
+ * @param {number} attempts - Failed attempts so far
+ * @returns {number} The delay in seconds
+ */
+function getRetryDelaySeconds(attempts) {
+  return Math.min(RETRY_MAX_SECONDS, RETRY_BASE_SECONDS * 2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * Checks whether an operation should be tried again on the next automatic sync
+ * @param {Object} operation - The operation
+ * @param {Date} [now] - The current time
+ * @returns {boolean} True if it is due
+ */
+function isDue(operation, now = new Date()) {
+  return !operation.held && new Date(operation.nextAttemptAt) <= now;
+}
+
+/**
+ * Records a failed attempt and schedules the next one. Failures Jira reports as not worth
+ * retrying, such as a transition the workflow doesn't allow, hold the operation until the
+ * user retries or drops it.
+ * @param {Object} operation - The operation, changed in place
+ * @param {Object} response - The failed response from jira-helper
+ * @param {Date} [now] - When the attempt was made
+ */
+function recordFailure(operation, response, now = new Date()) {
+  operation.attempts++;
+  operation.lastAttemptAt = now.toISOString();
+  operation.lastError = response.message || 'Unknown error';
+  operation.held = response.retryable === false;
+  operation.nextAttemptAt = new Date(now.getTime() + getRetryDelaySeconds(operation.attempts) * 1000).toISOString();
+}
+
+/**
+ * Gets the text to send for a queued comment. Jira dates comments when it receives them,
+ * so a comment that waited in the outbox says when it was actually written.
+ * @param {Object} operation - A comment operation
+ * @param {Date} [now] - When the comment is being sent
+ * @returns {string} The comment body
+ */
+function getCommentBody(operation, now = new Date()) {
+  const createdAt = new Date(operation.createdAt);
+  if ((now - createdAt) / 1000 < LATE_COMMENT_SECONDS) return operation.payload.body;
+  return `${operation.payload.body}\n\n(Written ${createdAt.toLocaleString()}, sent later by Ticket Hero)`;
+}
+
+/**
+ * Describes what an operation will change in Jira
+ * @param {Object} operation - The operation
+ * @returns {string} A short description
+ */
+function describeOperation(operation) {
+  switch (operation.type) {
+    case OPERATION_TYPES.WORKLOG:
+      return `Log ${worklogHelper.formatJiraDuration(operation.payload.minutes)} of work`;
+    case OPERATION_TYPES.TRANSITION:
+      return `Move to "${operation.payload.status}"`;
+    case OPERATION_TYPES.COMMENT: {
+      const body = operation.payload.body.replace(/\s+/g, ' ');
+      return `Comment "${body.length > 40 ? `${body.slice(0, 39)}…` : body}"`;
+    }
+    default:
+      return operation.type;
+  }
+}
+
+/**
+ * Describes when an operation will be tried next
+ * @param {Object} operation - The operation
+ * @param {Date} [now] - The current time
+ * @returns {string} The retry status
+ */
+function describeRetry(operation, now = new Date()) {
+  if (operation.held) return 'held until you retry it';
+  if (isDue(operation, now)) return 'due now';
+
+  const seconds = Math.ceil((new Date(operation.nextAttemptAt) - now) / 1000);
+  return seconds < 60 ? `retry in ${seconds}s` : `retry in ${Math.ceil(seconds / 60)}m`;
+}
+
+/**
+ * Sends outbox operations, oldest first. Sent operations are removed and failed ones are
+ * rescheduled. Once an operation on an issue fails, later ones on the same issue wait so
+ * changes reach Jira in the order they were made. A response with offline set skips the rest
+ * of that connection's operations, since they would fail the same way.
+ * @param {Object[]} outbox - The outbox, changed in place
+ * @param {Function} execute - Async function that sends one operation and returns {success, message, retryable, offline}
+ * @param {Object} [options] - Which operations to send
+ * @param {boolean} [options.ignoreBackoff] - Send operations even if their retry isn't due yet
+ * @param {boolean} [options.includeHeld] - Also send held operations
+ * @param {string[]} [options.operationIds] - Only send these operations
+ * @returns {Promise<Object>} The sent and failed operations with Jira's messages
+ */
+async function processOutbox(outbox, execute, { ignoreBackoff = false, includeHeld = false, operationIds = null } = {}) {
+  const result = { sent: [], failed: [], lastError: null };
+  const blockedIssues = new Set();
+  const offlineConnections = new Set();
+
+  for (const operation of [...outbox]) {
+    const issue = `${operation.connection}/${operation.jiraId}`;
+    if (operationIds && !operationIds.includes(operation.id)) continue;
+    if (operation.held && !includeHeld) continue;
+    if (!operation.held && !ignoreBackoff && !isDue(operation)) continue;
+    if (blockedIssues.has(issue) || offlineConnections.has(operation.connection)) continue;
+
+    const response = await execute(operation);
+
+    if (response.success) {
+      outbox.splice(outbox.indexOf(operation), 1);
+      result.sent.push({ operation, message: response.message });
+      continue;
+    }
+
+    recordFailure(operation, response);
+    blockedIssues.add(issue);
+    result.failed.push({ operation, message: operation.lastError });
+    result.lastError = operation.lastError;
+    if (response.offline) offlineConnections.add(operation.connection);
+  }
+
+  return result;
+}
+
+module.exports = {
+  OPERATION_TYPES,
+  createOperation,
+  enqueueOperation,
+  getRetryDelaySeconds,
+  isDue,
+  getCommentBody,
+  describeOperation,
+  describeRetry,
+  processOutbox
+};
@@ -0,0 +1,183 @@
+// paths-helper.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dataHelper = require('./data-helper');
+const sessionHelper = require('./session-helper');
+
+const APP_DIR_NAME = 'ticket-hero';
+const CONFIG_FILE_NAME = 'config.json';
+const DEFAULT_DATA_FILE_NAME = 'ticket-hero-data.json';
+
+// Where older versions kept config.json, next to the installed package
+const INSTALL_DIR = __dirname;
+
+/**
+ * Gets the directory that holds the user's config file.
+ * Uses TICKET_HERO_CONFIG_DIR, then XDG_CONFIG_HOME, then the platform default.
+ * @returns {string} The config directory
+ */
+function getConfigDir() {
+  if (process.env.TICKET_HERO_CONFIG_DIR) {
+    return path.resolve(process.env.TICKET_HERO_CONFIG_DIR);
+  }
+  if (process.env.XDG_CONFIG_HOME) {
+    return path.join(process.env.XDG_CONFIG_HOME, APP_DIR_NAME);
+  }
+  if (process.platform === 'win32' && process.env.APPDATA) {
+    return path.join(process.env.APPDATA, APP_DIR_NAME);
+  }
+  return path.join(os.homedir(), '.config', APP_DIR_NAME);
+}
+
+/**
+ * Gets the directory that holds the user's data file, backups and session state.
+ * Uses TICKET_HERO_DATA_DIR, then XDG_DATA_HOME, then the platform default.
+ * @returns {string} The data directory
+ */
+function getDataDir() {
+  if (process.env.TICKET_HERO_DATA_DIR) {
+    return path.resolve(process.env.TICKET_HERO_DATA_DIR);
+  }
+  if (process.env.XDG_DATA_HOME) {
+    return path.join(process.env.XDG_DATA_HOME, APP_DIR_NAME);
+  }
+  if (process.platform === 'win32' && process.env.LOCALAPPDATA) {
+    return path.join(process.env.LOCALAPPDATA, APP_DIR_NAME);
+  }
+  return path.join(os.homedir(), '.local', 'share', APP_DIR_NAME);
+}
+
+/**
+ * Resolves the data file named in the config. Relative paths are taken from the data directory.
+ * @param {string} dataFile - The configured data file
+ * @returns {string} The absolute path of the data file
+ */
+function resolveDataFile(dataFile) {
+  return path.resolve(getDataDir(), dataFile);
+}
+
+/**
+ * Works out which config file to use and whether the data file is overridden.
+ * Command-line flags win over environment variables, which win over the defaults.
+ * @param {Object} overrides - Paths given on the command line
+ * @param {string} [overrides.config] - Value of --config
+ * @param {string} [overrides.data] - Value of --data
+ * @returns {Object} The config file path and the data file override, or null if there is none
+ */
+function resolvePaths({ config, data } = {}) {
+  const configOverride = typeof config === 'string' ? config : process.env.TICKET_HERO_CONFIG;
+  const dataOverride = typeof data === 'string' ? data : process.env.TICKET_HERO_DATA;
+
+  return {
+    configFile: configOverride ? path.resolve(configOverride) : path.join(getConfigDir(), CONFIG_FILE_NAME),
+    configOverridden: Boolean(configOverride),
+    dataFileOverride: dataOverride ? path.resolve(dataOverride) : null
+  };
+}
+
+/**
+ * Moves a file, copying it when the target is on another device
+ * @param {string} sourcePath - The file to move
+ * @param {string} targetPath - Where to move it
+ */
+function moveFile(sourcePath, targetPath) {
+  fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+  try {
+    fs.renameSync(sourcePath, targetPath);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    fs.copyFileSync(sourcePath, targetPath);
+    fs.unlinkSync(sourcePath);
+  }
+}
+
+/**
+ * Moves a data file together with its last good copy, session state and backups. Backups are
+ * renamed after the target file so they are still found when its name is different.
+ * Files that already exist at the target are left where they are.
+ * @param {string} sourceFile - The data file to move
+ * @param {string} targetFile - Where to move it
+ */
+function moveDataFile(sourceFile, targetFile) {
+  const companions = [
+    [sourceFile, targetFile],
+    [`${sourceFile}.bak`, `${targetFile}.bak`],
+    [sessionHelper.getActiveSessionPath(sourceFile), sessionHelper.getActiveSessionPath(targetFile)]
+  ];
+
+  const sourceBackupDir = dataHelper.getBackupDir(sourceFile);
+  if (fs.existsSync(sourceBackupDir)) {
+    const baseName = path.basename(sourceFile, path.extname(sourceFile));
+    const targetBaseName = path.basename(targetFile, path.extname(targetFile));
+    const targetBackupDir = dataHelper.getBackupDir(targetFile);
+    const patterns = [dataHelper.getBackupNamePattern(sourceFile), dataHelper.getMigrationBackupNamePattern(sourceFile)];
+    fs.readdirSync(sourceBackupDir)
+      .filter(fileName => patterns.some(pattern => pattern.test(fileName)))
+      .forEach(fileName => {
+        const targetName = `${targetBaseName}${fileName.slice(baseName.length)}`;
+        companions.push([path.join(sourceBackupDir, fileName), path.join(targetBackupDir, targetName)]);
+      });
+  }
+
+  companions
+    .filter(([sourcePath, targetPath]) => fs.existsSync(sourcePath) && !fs.existsSync(targetPath))
+    .forEach(([sourcePath, targetPath]) => moveFile(sourcePath, targetPath));
+
+  // Remove the old backup directory if nothing else is left in it
+  try {
+    fs.rmdirSync(sourceBackupDir);
+  } catch (error) {
+    // Missing, or still holds other files
+  }
+}
+
+/**
+ * Moves config and data files left by older versions, which kept config.json next to the
+ * installed package and the data file in whatever directory the app was started from.
+ * Only runs for files that don't exist at their new location yet, so it happens once.
+ * @param {Object} paths - Paths from resolvePaths
+ * @returns {string[]} Descriptions of the files that were moved
+ */
+function migrateLegacyFiles({ configFile, configOverridden, dataFileOverride }) {
+  const moved = [];
+
+  const legacyConfigFile = path.join(INSTALL_DIR, CONFIG_FILE_NAME);
+  if (!configOverridden && fs.existsSync(legacyConfigFile) && !fs.existsSync(configFile)) {
+    moveFile(legacyConfigFile, configFile);
+    moved.push(`${legacyConfigFile} -> ${configFile}`);
+  }
+
+  if (dataFileOverride) return moved;
+
+  // The data file name may have been customized in the config
+  let dataFileName = DEFAULT_DATA_FILE_NAME;
+  const configResult = dataHelper.readDataFile(configFile);
+  if (configResult.status === 'ok' && configResult.data.app && typeof configResult.data.app.dataFile === 'string') {
+    dataFileName = configResult.data.app.dataFile;
+  }
+  if (path.isAbsolute(dataFileName)) return moved;
+
+  const dataFile = resolveDataFile(dataFileName);
+  if (fs.existsSync(dataFile)) return moved;
+
+  const legacyDataFile = [process.cwd(), INSTALL_DIR]
+    .map(dir => path.resolve(dir, dataFileName))
+    .find(candidate => candidate !== dataFile && fs.existsSync(candidate));
+
+  if (legacyDataFile) {
+    moveDataFile(legacyDataFile, dataFile);
+    moved.push(`${legacyDataFile} -> ${dataFile}`);
+  }
+
+  return moved;
+}
+
+module.exports = {
+  getConfigDir,
+  getDataDir,
+  resolveDataFile,
+  resolvePaths,
+  moveDataFile,
+  migrateLegacyFiles
+};
@@ -0,0 +1,370 @@
+// report-helper.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sessionHelper = require('./session-helper');
+
+// Time ranges a report can cover, besides a custom range of days
+const RANGES = {
+  today: 'Today',
+  week: 'This week',
+  sprint: 'This sprint'
+};
+
+// What report rows can be grouped by
+const GROUP_BY = ['ticket', 'project', 'day'];
+
+// Export formats by file extension
+const FORMATS = {
+  csv: 'CSV',
+  json: 'JSON',
+  md: 'Markdown'
+};
+
+// Row label for tickets that aren't linked to a Jira project
+const NO_PROJECT = '(no project)';
+
+// Figures in every report row, in the order they are exported
+const COLUMNS = [
+  { key: 'minutes', title: 'Minutes' },
+  { key: 'pomodoros', title: 'Pomodoros' },
+  { key: 'ticketsCreated', title: 'Tickets Created' },
+  { key: 'ticketsCompleted', title: 'Tickets Completed' },
+  { key: 'storyPoints', title: 'Story Points' },
+  { key: 'overtimeMinutes', title: 'Overtime Minutes' }
+];
+
+/**
+ * Gets the start of the day a date falls on, in local time
+ * @param {Date} date - The date
+ * @returns {Date} Midnight at the start of that day
+ */
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Moves a date by whole days, keeping the local time of day across daylight saving changes
+ * @param {Date} date - The date
+ * @param {number} days - Days to add, or subtract if negative
+ * @returns {Date} The new date
+ */
+function addDays(date, days) {
+  const moved = new Date(date);
+  moved.setDate(moved.getDate() + days);
+  return moved;
+}
+
+/**
+ * Formats a date as its local day, e.g. 2024-01-31
+ * @param {Date} date - The date
+ * @returns {string} The day
+ */
+function formatDay(date) {
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map((part, index) => String(part).padStart(index === 0 ? 4 : 2, '0'))
+    .join('-');
+}
+
+/**
+ * Reads a day written as YYYY-MM-DD
+ * @param {string} value - The day
+ * @returns {Date|null} Local midnight at the start of the day, or null if it isn't a valid day
+ */
+function parseDay(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const day = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return formatDay(day) === match.slice(1).join('-') ? day : null;
+}
+
+/**
+ * Works out the days a named range covers. Weeks start on Monday. Sprints follow on from
+ * sprintStartDate every sprintLengthInDays days, or are the last sprintLengthInDays days
+ * when no sprint start is set.
+ * @param {string} name - One of the RANGES keys
+ * @param {Object} [options] - Sprint settings and the current time
+ * @param {number} [options.sprintLengthInDays] - How long a sprint is
+ * @param {string|null} [options.sprintStartDate] - The first day of any sprint, as YYYY-MM-DD
+ * @param {Date} [options.now] - The current time
+ * @returns {Object} The range, from the start of its first day up to the start of the day after its last
+ */
+function getRange(name, { sprintLengthInDays = 14, sprintStartDate = null, now = new Date() } = {}) {
+  const today = startOfDay(now);
+  let from = today;
+  let days = 1;
+
+  if (name === 'week') {
+    from = addDays(today, -((today.getDay() + 6) % 7));
+    days = 7;
+  } else if (name === 'sprint') {
+    const sprintStart = sprintStartDate ? parseDay(sprintStartDate) : null;
+    days = sprintLengthInDays;
+    if (sprintStart) {
+      // Count whole days rather than milliseconds, since daylight saving changes make some days shorter
+      const daysSinceStart = Math.round((today - sprintStart) / (24 * 60 * 60 * 1000));
+      from = addDays(sprintStart, Math.floor(daysSinceStart / days) * days);
+    } else {
+      from = addDays(today, 1 - days);
+    }
+  }
+
+  return { name, label: RANGES[name], from, to: addDays(from, days) };
+}
+
+/**
+ * Creates a range covering the days from one day to another, both included
+ * @param {string} fromDay - The first day, as YYYY-MM-DD
+ * @param {string} toDay - The last day, as YYYY-MM-DD
+ * @returns {Object|null} The range, or null if a day isn't valid or the days are the wrong way round
+ */
+function createCustomRange(fromDay, toDay) {
+  const from = parseDay(fromDay);
+  const last = parseDay(toDay);
+  if (!from || !last || last < from) return null;
+
+  return { name: 'custom', label: 'Custom range', from, to: addDays(last, 1) };
+}
+
+/**
+ * Describes the days a report covers
+ * @param {Object} reportRange - The range of a report from buildReport
+ * @returns {string} The first and last day
+ */
+function describeDays(reportRange) {
+  return reportRange.from === reportRange.to ? reportRange.from : `${reportRange.from} to ${reportRange.to}`;
+}
+
+/**
+ * Builds a report of the work done in a range. Work time and Pomodoros come from the work
+ * periods that started in the range. Tickets count as created and completed by their
+ * createdAt and completedAt, and completed tickets bring their story points and overtime.
+ * Tickets worked on before the session log existed have no periods, so their time counts
+ * on the day they were completed.
+ * @param {Object} options - What to report on
+ * @param {Object[]} options.tickets - All tickets
+ * @param {Object[]} options.intervals - The session log
+ * @param {Object} options.range - The range, from getRange or createCustomRange
+ * @param {string} [options.groupBy] - One of GROUP_BY
+ * @returns {Object} The report, with a row per group and the totals
+ */
+function buildReport({ tickets, intervals, range, groupBy = 'ticket' }) {
+  const ticketsById = new Map(tickets.map(ticket => [ticket.id, ticket]));
+  const rows = new Map();
+  const inRange = timestamp => Boolean(timestamp) && new Date(timestamp) >= range.from && new Date(timestamp) < range.to;
+
+  // The row a ticket's activity at a given time belongs to
+  const getRow = (ticketId, timestamp) => {
+    const ticket = ticketsById.get(ticketId);
+    let key;
+    let label;
+    if (groupBy === 'day') {
+      key = formatDay(new Date(timestamp));
+      label = key;
+    } else if (groupBy === 'project') {
+      key = ticket && ticket.jiraId ? ticket.jiraId.slice(0, ticket.jiraId.lastIndexOf('-')) : NO_PROJECT;
+      label = key;
+    } else {
+      key = ticketId;
+      label = ticket ? ticket.name : `Deleted ticket ${ticketId}`;
+    }
+
+    if (!rows.has(key)) {
+      rows.set(key, {
+        key, label, seconds: 0, pomodoros: 0, ticketsCreated: 0, ticketsCompleted: 0, storyPoints: 0, overtimeMinutes: 0, allocatedMinutes: 0
+      });
+    }
+    return rows.get(key);
+  };
+
+  const workPeriods = intervals.filter(interval => interval.type === 'period' && interval.mode === 'work');
+  const loggedTickets = new Set(workPeriods.map(interval => interval.ticketId));
+
+  workPeriods.filter(interval => inRange(interval.startedAt)).forEach(interval => {
+    const row = getRow(interval.ticketId, interval.startedAt);
+    row.seconds += interval.durationSeconds;
+    if (interval.outcome === sessionHelper.OUTCOMES.COMPLETED) row.pomodoros++;
+  });
+
+  tickets.forEach(ticket => {
+    if (inRange(ticket.createdAt)) {
+      getRow(ticket.id, ticket.createdAt).ticketsCreated++;
+    }
+    if (ticket.completed && inRange(ticket.completedAt)) {
+      const row = getRow(ticket.id, ticket.completedAt);
+      row.ticketsCompleted++;
+      row.storyPoints += ticket.storyPoints;
+      row.allocatedMinutes += ticket.allocatedTime;
+      row.overtimeMinutes += Math.max(0, ticket.timeSpentSeconds / 60 - ticket.allocatedTime);
+      if (!loggedTickets.has(ticket.id)) row.seconds += ticket.timeSpentSeconds;
+    }
+  });
+
+  const sorted = [...rows.values()].sort((a, b) =>
+    (groupBy === 'day' ? a.key.localeCompare(b.key) : b.seconds - a.seconds || a.label.localeCompare(b.label)));
+  const reportRows = sorted.map(row => ({
+    ...row,
+    minutes: Math.round(row.seconds / 6) / 10,
+    overtimeMinutes: Math.round(row.overtimeMinutes * 10) / 10
+  }));
+
+  const totals = { label: 'Total', seconds: 0 };
+  COLUMNS.forEach(column => { totals[column.key] = 0; });
+  reportRows.forEach(row => {
+    totals.seconds += row.seconds;
+    COLUMNS.forEach(column => { totals[column.key] += row[column.key]; });
+  });
+  totals.minutes = Math.round(totals.seconds / 6) / 10;
+  totals.overtimeMinutes = Math.round(totals.overtimeMinutes * 10) / 10;
+
+  return {
+    range: { name: range.name, label: range.label, from: formatDay(range.from), to: formatDay(addDays(range.to, -1)) },
+    groupBy,
+    rows: reportRows,
+    totals
+  };
+}
+
+/**
+ * Builds the daily and weekly figures behind the dashboard's trend charts, for whole weeks
+ * from Monday up to the end of the current week
+ * @param {Object} options - What to chart
+ * @param {Object[]} options.tickets - All tickets
+ * @param {Object[]} options.intervals - The session log
+ * @param {number} options.weeks - How many weeks to cover, including the current one
+ * @param {Date} [options.now] - The current time
+ * @returns {Object} The days, as {date, day, future, minutes, pomodoros}, and the weeks, as
+ *   {from, minutes, storyPoints, ticketsCompleted, overtimeRatio}, where overtimeRatio is the
+ *   overtime of the tickets completed that week over their allocated time, or null if none were
+ */
+function buildTrends({ tickets, intervals, weeks, now = new Date() }) {
+  const thisWeek = getRange('week', { now });
+  const range = { name: 'trends', from: addDays(thisWeek.from, -7 * (weeks - 1)), to: thisWeek.to };
+  const report = buildReport({ tickets, intervals, range, groupBy: 'day' });
+  const rowsByDay = new Map(report.rows.map(row => [row.key, row]));
+  const today = formatDay(now);
+
+  const days = [];
+  for (let date = range.from; date < range.to; date = addDays(date, 1)) {
+    const day = formatDay(date);
+    const row = rowsByDay.get(day) || { minutes: 0, pomodoros: 0, storyPoints: 0, ticketsCompleted: 0, overtimeMinutes: 0, allocatedMinutes: 0 };
+    days.push({ ...row, date, day, future: day > today });
+  }
+
+  const weekTotals = [];
+  for (let i = 0; i < days.length; i += 7) {
+    const week = days.slice(i, i + 7);
+    const sum = key => week.reduce((total, day) => total + day[key], 0);
+    const allocatedMinutes = sum('allocatedMinutes');
+    weekTotals.push({
+      from: week[0].day,
+      minutes: Math.round(sum('minutes')),
+      storyPoints: sum('storyPoints'),
+      ticketsCompleted: sum('ticketsCompleted'),
+      overtimeRatio: allocatedMinutes > 0 ? sum('overtimeMinutes') / allocatedMinutes : null
+    });
+  }
+
+  return {
+    days: days.map(({ date, day, future, minutes, pomodoros }) => ({ date, day, future, minutes, pomodoros })),
+    weeks: weekTotals
+  };
+}
+
+/**
+ * Quotes a CSV field when it needs it
+ * @param {*} value - The field value
+ * @returns {string} The field
+ */
+function toCsvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escapes text for a Markdown table cell
+ * @param {*} value - The cell value
+ * @returns {string} The cell
+ */
+function toMarkdownCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Writes a report out in an export format
+ * @param {Object} report - The report from buildReport
+ * @param {string} format - One of the FORMATS keys
+ * @returns {string} The exported report
+ */
+function formatReport(report, format) {
+  const groupTitle = report.groupBy.charAt(0).toUpperCase() + report.groupBy.slice(1);
+  const toCells = row => [row.label, ...COLUMNS.map(column => row[column.key])];
+
+  if (format === 'json') {
+    const toObject = row => Object.fromEntries([['label', row.label], ...COLUMNS.map(column => [column.key, row[column.key]])]);
+    return `${JSON.stringify({ ...report, rows: report.rows.map(toObject), totals: toObject(report.totals) }, null, 2)}\n`;
+  }
+
+  if (format === 'md') {
+    const header = [groupTitle, ...COLUMNS.map(column => column.title)];
+    const lines = [
+      `# ${report.range.label} (${describeDays(report.range)})`,
+      '',
+      `| ${header.join(' | ')} |`,
+      `| ${header.map((title, index) => (index === 0 ? '---' : '---:')).join(' | ')} |`,
+      ...report.rows.map(row => `| ${toCells(row).map(toMarkdownCell).join(' | ')} |`),
+      `| ${toCells(report.totals).map((cell, index) => `**${toMarkdownCell(index === 0 ? 'Total' : cell)}**`).join(' | ')} |`
+    ];
+    return `${lines.join('\n')}\n`;
+  }
+
+  const lines = [
+    [groupTitle, ...COLUMNS.map(column => column.title)],
+    ...report.rows.map(toCells),
+    toCells(report.totals)
+  ];
+  return `${lines.map(cells => cells.map(toCsvField).join(',')).join('\n')}\n`;
+}
+
+/**
+ * Suggests a file name for an exported report, such as ticket-hero-report-week-2024-01-29.csv
+ * @param {Object} report - The report from buildReport
+ * @param {string} format - One of the FORMATS keys
+ * @returns {string} The file name
+ */
+function getExportFileName(report, format) {
+  return `ticket-hero-report-${report.range.name}-${report.range.from}.${format}`;
+}
+
+/**
+ * Exports a report to a file. A relative path is taken from the current directory.
+ * @param {Object} report - The report from buildReport
+ * @param {string} format - One of the FORMATS keys
+ * @param {string} filePath - Where to save it
+ * @returns {string} The full path of the saved file
+ */
+function writeReport(report, format, filePath) {
+  const fullPath = path.resolve(filePath.replace(/^~(?=$|[\\/])/, os.homedir()));
+  fs.writeFileSync(fullPath, formatReport(report, format));
+  return fullPath;
+}
+
+module.exports = {
+  RANGES,
+  GROUP_BY,
+  FORMATS,
+  COLUMNS,
+  formatDay,
+  parseDay,
+  getRange,
+  createCustomRange,
+  describeDays,
+  buildReport,
+  buildTrends,
+  formatReport,
+  getExportFileName,
+  writeReport
+};
@@ -0,0 +1,427 @@
+// schema-helper.js
+
+// Files written before versioning was introduced have no schemaVersion and count as version 0
+const CURRENT_SCHEMA_VERSION = 9;
+
+/**
+ * Converts a value to a finite number
+ * @param {*} value - The value to convert
+ * @param {number} defaultValue - The value to use if it isn't a number
+ * @returns {number} The number
+ */
+function toNumber(value, defaultValue) {
+  const num = Number(value);
+  return (value !== null && value !== '' && Number.isFinite(num)) ? num : defaultValue;
+}
+
+/**
+ * Converts a value to an ISO date string
+ * @param {*} value - The value to convert
+ * @param {string|null} defaultValue - The value to use if it isn't a date
+ * @returns {string|null} The ISO date string
+ */
+function toIsoDate(value, defaultValue) {
+  if (typeof value !== 'string' && typeof value !== 'number') return defaultValue;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? defaultValue : date.toISOString();
+}
+
+/**
+ * Ordered list of migrations. Each one upgrades data from version - 1 to version.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Fill in fields that were added before the data file was versioned',
+    migrate(data) {
+      const user = data.user && typeof data.user === 'object' ? data.user : {};
+      data.user = {
+        ...user,
+        name: typeof user.name === 'string' ? user.name : '',
+        xp: toNumber(user.xp, 0),
+        level: Math.max(1, Math.floor(toNumber(user.level, 1)))
+      };
+
+      data.tickets = (Array.isArray(data.tickets) ? data.tickets : [])
+        .filter(ticket => ticket && typeof ticket === 'object')
+        .map((ticket, index) => {
+          // Ticket IDs have always been Date.now() strings, so they date tickets without createdAt
+          const idDate = /^\d{13}$/.test(String(ticket.id)) ? Number(ticket.id) : null;
+          const createdAt = toIsoDate(ticket.createdAt, toIsoDate(idDate, new Date().toISOString()));
+          const completed = ticket.completed === true;
+
+          return {
+            ...ticket,
+            id: ticket.id !== undefined ? String(ticket.id) : `${Date.now()}${index}`,
+            name: typeof ticket.name === 'string' ? ticket.name : String(ticket.name || 'Untitled'),
+            storyPoints: toNumber(ticket.storyPoints, 1),
+            allocatedTime: toNumber(ticket.allocatedTime, 25),
+            timeSpent: toNumber(ticket.timeSpent, 0),
+            completed,
+            createdAt,
+            completedAt: completed ? toIsoDate(ticket.completedAt, createdAt) : null
+          };
+        });
+
+      const completedTickets = data.tickets.filter(ticket => ticket.completed);
+      const pendingTickets = data.tickets.filter(ticket => !ticket.completed);
+      const stats = data.stats && typeof data.stats === 'object' ? data.stats : {};
+      data.stats = {
+        ...stats,
+        totalTicketsSolved: toNumber(stats.totalTicketsSolved, completedTickets.length),
+        totalTimeTaken: toNumber(stats.totalTimeTaken,
+          completedTickets.reduce((sum, ticket) => sum + ticket.timeSpent, 0)),
+        totalOvertime: toNumber(stats.totalOvertime,
+          completedTickets.reduce((sum, ticket) => sum + Math.max(0, ticket.timeSpent - ticket.allocatedTime), 0)),
+        totalStoryPoints: toNumber(stats.totalStoryPoints,
+          completedTickets.reduce((sum, ticket) => sum + ticket.storyPoints, 0)),
+        totalTicketsPending: pendingTickets.length,
+        totalStoryPointsPending: pendingTickets.reduce((sum, ticket) => sum + ticket.storyPoints, 0)
+      };
+
+      return data;
+    }
+  },
+  {
+    version: 2,
+    description: 'Add the Pomodoro session log',
+    migrate(data) {
+      data.sessions = Array.isArray(data.sessions) ? data.sessions : [];
+      return data;
+    }
+  },
+  {
+    version: 3,
+    description: 'Track time spent on tickets in exact seconds',
+    migrate(data) {
+      data.tickets.forEach(ticket => {
+        ticket.timeSpentSeconds = Math.round(ticket.timeSpent * 60);
+      });
+      return data;
+    }
+  },
+  {
+    version: 4,
+    description: 'Add the queue of worklogs waiting to be sent to Jira',
+    migrate(data) {
+      data.worklogQueue = Array.isArray(data.worklogQueue) ? data.worklogQueue : [];
+      return data;
+    }
+  },
+  {
+    version: 5,
+    description: 'Turn the worklog queue into an outbox for every kind of Jira change',
+    migrate(data) {
+      data.jiraOutbox = data.worklogQueue.map(entry => ({
+        id: entry.id,
+        type: 'worklog',
+        jiraId: entry.jiraId,
+        ticketId: entry.ticketId,
+        payload: {
+          sessionId: entry.sessionId,
+          started: entry.started,
+          minutes: entry.minutes,
+          comment: entry.comment
+        },
+        createdAt: entry.queuedAt,
+        attempts: entry.attempts,
+        nextAttemptAt: entry.queuedAt,
+        lastAttemptAt: null,
+        lastError: entry.lastError || null,
+        held: false
+      }));
+      delete data.worklogQueue;
+      return data;
+    }
+  },
+  {
+    version: 6,
+    description: 'Record when tickets were last synced with Jira',
+    migrate(data) {
+      data.jiraLastSyncAt = null;
+      return data;
+    }
+  },
+  {
+    version: 7,
+    description: 'Record which Jira connection each linked ticket and outbox change belongs to',
+    migrate(data) {
+      // Everything so far came from the single connection, which is now the one named "default"
+      data.tickets.forEach(ticket => {
+        if (ticket.jiraId) ticket.jiraConnection = 'default';
+      });
+      data.jiraOutbox.forEach(operation => {
+        operation.connection = 'default';
+      });
+      return data;
+    }
+  },
+  {
+    version: 8,
+    description: 'Add the XP log that total XP and levels are worked out from',
+    migrate(data) {
+      // XP earned so far wasn't itemized, so it carries over as a single opening entry
+      data.xpLog = data.user.xp > 0 ? [{
+        id: 'xp-opening',
+        ticketId: null,
+        xp: data.user.xp,
+        reason: 'XP earned before the XP log',
+        createdAt: new Date().toISOString()
+      }] : [];
+      return data;
+    }
+  },
+  {
+    version: 9,
+    description: 'Itemize the XP log so awards can be replayed under new XP rules',
+    migrate(data) {
+      // What earlier awards were worked out from wasn't recorded, so they keep their XP and
+      // get no basis, which leaves them out of replays
+      data.xpLog.forEach(entry => {
+        entry.awardId = entry.id;
+        if (entry.id === 'xp-opening') {
+          entry.type = 'opening';
+          return;
+        }
+        entry.type = entry.ticketId ? 'award' : 'adjustment';
+      });
+      return data;
+    }
+  }
+];
+
+/**
+ * Schema the data must match before the app uses it. Unknown properties are allowed.
+ */
+const DATA_SCHEMA = {
+  type: 'object',
+  required: ['schemaVersion', 'user', 'tickets', 'stats', 'sessions', 'jiraOutbox', 'jiraLastSyncAt', 'xpLog'],
+  properties: {
+    schemaVersion: { type: 'integer' },
+    user: {
+      type: 'object',
+      required: ['name', 'xp', 'level'],
+      properties: {
+        name: { type: 'string' },
+        xp: { type: 'number' },
+        level: { type: 'integer' }
+      }
+    },
+    tickets: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'name', 'storyPoints', 'allocatedTime', 'timeSpent', 'timeSpentSeconds', 'completed', 'createdAt'],
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          storyPoints: { type: 'number' },
+          allocatedTime: { type: 'number' },
+          timeSpent: { type: 'number' },
+          timeSpentSeconds: { type: 'integer' },
+          completed: { type: 'boolean' },
+          createdAt: { type: 'string', format: 'date-time' },
+          completedAt: { type: 'string', format: 'date-time', nullable: true },
+          jiraId: { type: 'string' },
+          jiraUrl: { type: 'string' },
+          jiraConnection: { type: 'string' },
+          issueType: { type: 'string' },
+          closedInJira: { type: 'boolean' },
+          jiraSync: {
+            type: 'object',
+            required: ['name', 'storyPoints', 'status', 'completed', 'syncedAt'],
+            properties: {
+              name: { type: 'string' },
+              storyPoints: { type: 'number' },
+              status: { type: 'string' },
+              completed: { type: 'boolean' },
+              syncedAt: { type: 'string', format: 'date-time' }
+            }
+          }
+        }
+      }
+    },
+    stats: {
+      type: 'object',
+      required: [
+        'totalTicketsSolved',
+        'totalTimeTaken',
+        'totalOvertime',
+        'totalStoryPoints',
+        'totalTicketsPending',
+        'totalStoryPointsPending'
+      ],
+      properties: {
+        totalTicketsSolved: { type: 'number' },
+        totalTimeTaken: { type: 'number' },
+        totalOvertime: { type: 'number' },
+        totalStoryPoints: { type: 'number' },
+        totalTicketsPending: { type: 'number' },
+        totalStoryPointsPending: { type: 'number' }
+      }
+    },
+    sessions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'sessionId', 'ticketId', 'type', 'mode', 'startedAt', 'endedAt', 'durationSeconds', 'outcome'],
+        properties: {
+          id: { type: 'string' },
+          sessionId: { type: 'string' },
+          ticketId: { type: 'string' },
+          type: { type: 'string' },
+          mode: { type: 'string' },
+          startedAt: { type: 'string', format: 'date-time' },
+          endedAt: { type: 'string', format: 'date-time' },
+          plannedSeconds: { type: 'number', nullable: true },
+          durationSeconds: { type: 'number' },
+          outcome: { type: 'string' }
+        }
+      }
+    },
+    jiraLastSyncAt: { type: 'string', format: 'date-time', nullable: true },
+    xpLog: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'awardId', 'type', 'xp', 'reason', 'createdAt'],
+        properties: {
+          id: { type: 'string' },
+          awardId: { type: 'string' },
+          type: { type: 'string' },
+          ticketId: { type: 'string', nullable: true },
+          xp: { type: 'number' },
+          reason: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' },
+          basis: {
+            type: 'object',
+            required: ['storyPoints', 'allocatedTime', 'minutesSpent', 'streakDays'],
+            properties: {
+              storyPoints: { type: 'number' },
+              allocatedTime: { type: 'number' },
+              minutesSpent: { type: 'number' },
+              streakDays: { type: 'integer' },
+              claimedFromJira: { type: 'boolean' }
+            }
+          }
+        }
+      }
+    },
+    jiraOutbox: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'type', 'connection', 'jiraId', 'payload', 'createdAt', 'attempts', 'nextAttemptAt', 'held'],
+        properties: {
+          id: { type: 'string' },
+          type: { type: 'string' },
+          connection: { type: 'string' },
+          jiraId: { type: 'string' },
+          ticketId: { type: 'string', nullable: true },
+          payload: { type: 'object' },
+          createdAt: { type: 'string', format: 'date-time' },
+          attempts: { type: 'integer' },
+          nextAttemptAt: { type: 'string', format: 'date-time' },
+          lastAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+          lastError: { type: 'string', nullable: true },
+          held: { type: 'boolean' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Gets the schema version of loaded data
+ * @param {Object} data - The loaded data
+ * @returns {number} The schema version, 0 for unversioned files
+ */
+function getSchemaVersion(data) {
+  return Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+}
+
+/**
+ * Upgrades data to the current schema version, one migration at a time
+ * @param {Object} data - The loaded data
+ * @returns {Object} The migrated data and the versions it was migrated between
+ */
+function migrateData(data) {
+  const fromVersion = getSchemaVersion(data);
+
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    const error = new Error(`The data file uses schema version ${fromVersion}, ` +
+      `but this version of Ticket Hero only supports up to ${CURRENT_SCHEMA_VERSION}. Please update Ticket Hero.`);
+    error.code = 'SCHEMA_TOO_NEW';
+    throw error;
+  }
+
+  let migrated = JSON.parse(JSON.stringify(data));
+  MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .forEach(migration => {
+      migrated = migration.migrate(migrated);
+      migrated.schemaVersion = migration.version;
+    });
+
+  return { data: migrated, fromVersion, toVersion: CURRENT_SCHEMA_VERSION };
+}
+
+/**
+ * Checks a value against a schema node
+ * @param {*} value - The value to check
+ * @param {Object} schema - The schema node
+ * @param {string} location - Where the value is, for error messages
+ * @param {string[]} errors - Collected error messages
+ */
+function checkValue(value, schema, location, errors) {
+  if (value === null && schema.nullable) return;
+
+  const typeChecks = {
+    object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+    array: v => Array.isArray(v),
+    string: v => typeof v === 'string',
+    number: v => typeof v === 'number' && Number.isFinite(v),
+    integer: v => Number.isInteger(v),
+    boolean: v => typeof v === 'boolean'
+  };
+
+  if (!typeChecks[schema.type](value)) {
+    errors.push(`${location} must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}`);
+    return;
+  }
+
+  if (schema.format === 'date-time' && isNaN(new Date(value).getTime())) {
+    errors.push(`${location} must be a valid date`);
+  }
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${location}.${key} is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) checkValue(value[key], propertySchema, `${location}.${key}`, errors);
+    });
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => checkValue(item, schema.items, `${location}[${index}]`, errors));
+  }
+}
+
+/**
+ * Validates data against the current schema
+ * @param {Object} data - The data to validate
+ * @returns {string[]} Validation errors, empty if the data is valid
+ */
+function validateData(data) {
+  const errors = [];
+  checkValue(data, DATA_SCHEMA, 'data', errors);
+  return errors;
+}
+
+module.exports = {
+  CURRENT_SCHEMA_VERSION,
+  getSchemaVersion,
+  migrateData,
+  validateData
+};
@@ -0,0 +1,196 @@
+// session-helper.js
+const fs = require('fs');
+const path = require('path');
+const dataHelper = require('./data-helper');
+
+// How an interval ended
+const OUTCOMES = {
+  COMPLETED: 'completed',
+  SKIPPED: 'skipped',
+  QUIT: 'quit',
+  TICKET_COMPLETED: 'ticketCompleted',
+  RESUMED: 'resumed',
+  INTERRUPTED: 'interrupted'
+};
+
+// How often a running timer saves its state, so a crash loses at most this much work
+const HEARTBEAT_INTERVAL_SECONDS = 5;
+
+// A longer gap between timer ticks means the process was suspended, e.g. by system sleep
+const SLEEP_GAP_SECONDS = 30;
+
+let lastIdTime = 0;
+
+/**
+ * Generates a unique, time-ordered ID for sessions and intervals
+ * @returns {string} The ID
+ */
+function generateId() {
+  lastIdTime = Math.max(Date.now(), lastIdTime + 1);
+  return lastIdTime.toString(36);
+}
+
+/**
+ * Opens a new interval record
+ * @param {Object} options - Interval details
+ * @param {string} options.sessionId - The Pomodoro session the interval belongs to
+ * @param {string} options.ticketId - The ticket being worked on
+ * @param {string} options.type - 'period' for work and breaks, 'pause' for pauses
+ * @param {string} options.mode - The timer mode: 'work', 'shortBreak' or 'longBreak'
+ * @param {number} [options.plannedSeconds] - Planned length of a period
+ * @returns {Object} The open interval
+ */
+function startInterval({ sessionId, ticketId, type, mode, plannedSeconds = null }) {
+  return {
+    id: generateId(),
+    sessionId,
+    ticketId,
+    type,
+    mode,
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    plannedSeconds,
+    durationSeconds: 0,
+    outcome: null
+  };
+}
+
+/**
+ * Closes an interval record
+ * @param {Object} interval - The open interval
+ * @param {string} outcome - How the interval ended, one of OUTCOMES
+ * @param {number} [activeSeconds] - Time the interval actually ran, excluding pauses.
+ *   Defaults to the wall-clock time since it started.
+ * @param {Date} [endedAt] - When the interval ended. Defaults to now.
+ * @returns {Object} The closed interval
+ */
+function endInterval(interval, outcome, activeSeconds, endedAt = new Date()) {
+  interval.endedAt = endedAt.toISOString();
+  interval.outcome = outcome;
+  interval.durationSeconds = activeSeconds !== undefined
+    ? Math.max(0, Math.round(activeSeconds))
+    : Math.max(0, Math.round((endedAt - new Date(interval.startedAt)) / 1000));
+  return interval;
+}
+
+/**
+ * Creates a pause record for time the timer wasn't running, such as system sleep
+ * or the time between a crash and the next launch
+ * @param {Object} options - Gap details
+ * @param {string} options.sessionId - The Pomodoro session the gap interrupted
+ * @param {string} options.ticketId - The ticket being worked on
+ * @param {string} options.mode - The timer mode when the gap began
+ * @param {Date} options.startedAt - When the gap began
+ * @param {Date} options.endedAt - When the gap ended
+ * @returns {Object} The closed pause interval
+ */
+function createGapInterval({ sessionId, ticketId, mode, startedAt, endedAt }) {
+  const interval = startInterval({ sessionId, ticketId, type: 'pause', mode });
+  interval.startedAt = startedAt.toISOString();
+  return endInterval(interval, OUTCOMES.INTERRUPTED, undefined, endedAt);
+}
+
+/**
+ * Gets the path of the file that holds the state of a running Pomodoro
+ * @param {string} dataFile - Path to the data file
+ * @returns {string} Path of the active session file
+ */
+function getActiveSessionPath(dataFile) {
+  const baseName = path.basename(dataFile, path.extname(dataFile));
+  return path.join(path.dirname(path.resolve(dataFile)), `${baseName}.session.json`);
+}
+
+/**
+ * Saves the state of a running Pomodoro so it can be resumed after a crash
+ * @param {string} dataFile - Path to the data file
+ * @param {Object} state - Timer state: session and ticket IDs, mode, Pomodoro count,
+ *   timer state ('running', 'paused' or 'waiting'), elapsed seconds and the open intervals
+ */
+function saveActiveSession(dataFile, state) {
+  const contents = JSON.stringify({ ...state, heartbeatAt: new Date().toISOString() }, null, 2);
+  dataHelper.writeFileAtomic(getActiveSessionPath(dataFile), contents, { keepLastGood: false });
+}
+
+/**
+ * Loads the state of a Pomodoro that was interrupted
+ * @param {string} dataFile - Path to the data file
+ * @returns {Object|null} The saved state, or null if there is none or it can't be read
+ */
+function loadActiveSession(dataFile) {
+  const result = dataHelper.readDataFile(getActiveSessionPath(dataFile));
+  if (result.status !== 'ok') return null;
+
+  const state = result.data;
+  const heartbeatAt = new Date(state.heartbeatAt);
+  // Only a session waiting to start its next period has no open period
+  const hasPeriod = state.timerState === 'waiting' || (state.currentPeriod && typeof state.currentPeriod === 'object');
+  if (!state.sessionId || !state.ticketId || !hasPeriod || isNaN(heartbeatAt.getTime())) {
+    return null;
+  }
+  return state;
+}
+
+/**
+ * Removes the saved state once a Pomodoro has ended
+ * @param {string} dataFile - Path to the data file
+ */
+function clearActiveSession(dataFile) {
+  const sessionPath = getActiveSessionPath(dataFile);
+  if (fs.existsSync(sessionPath)) fs.unlinkSync(sessionPath);
+}
+
+/**
+ * Aggregates interval records into totals
+ * @param {Object[]} intervals - Closed interval records
+ * @returns {Object} Focus, break and pause time, Pomodoro counts and per-ticket work time
+ */
+function summarizeSessions(intervals) {
+  const summary = {
+    sessions: new Set(),
+    focusSeconds: 0,
+    breakSeconds: 0,
+    pauseSeconds: 0,
+    pomodorosCompleted: 0,
+    workPeriodsCutShort: 0,
+    outcomes: {},
+    ticketSeconds: {}
+  };
+
+  intervals.forEach(interval => {
+    summary.sessions.add(interval.sessionId);
+    summary.outcomes[interval.outcome] = (summary.outcomes[interval.outcome] || 0) + 1;
+
+    if (interval.type === 'pause') {
+      summary.pauseSeconds += interval.durationSeconds;
+    } else if (interval.mode === 'work') {
+      summary.focusSeconds += interval.durationSeconds;
+      summary.ticketSeconds[interval.ticketId] = (summary.ticketSeconds[interval.ticketId] || 0) +
+        interval.durationSeconds;
+      if (interval.outcome === OUTCOMES.COMPLETED) {
+        summary.pomodorosCompleted++;
+      } else {
+        summary.workPeriodsCutShort++;
+      }
+    } else {
+      summary.breakSeconds += interval.durationSeconds;
+    }
+  });
+
+  summary.sessions = summary.sessions.size;
+  return summary;
+}
+
+module.exports = {
+  OUTCOMES,
+  HEARTBEAT_INTERVAL_SECONDS,
+  SLEEP_GAP_SECONDS,
+  generateId,
+  startInterval,
+  endInterval,
+  createGapInterval,
+  getActiveSessionPath,
+  saveActiveSession,
+  loadActiveSession,
+  clearActiveSession,
+  summarizeSessions
+};
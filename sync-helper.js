@@ -0,0 +1,111 @@
+// sync-helper.js
+
+// Ticket fields that follow their Jira issue
+const SYNCED_FIELDS = ['name', 'storyPoints'];
+
+// Jira's status category for finished issues
+const DONE_CATEGORY = 'done';
+
+/**
+ * Records what a ticket and its Jira issue looked like after a sync, so the next sync can
+ * tell which side changed
+ * @param {Object} ticket - The local ticket
+ * @param {Object} remote - The issue as returned by jira-helper
+ * @param {Date} [now] - When the sync happened
+ * @returns {Object} The snapshot to store as ticket.jiraSync
+ */
+function createSnapshot(ticket, remote, now = new Date()) {
+  return {
+    name: remote.name,
+    storyPoints: remote.storyPoints,
+    status: remote.status,
+    completed: ticket.completed,
+    syncedAt: now.toISOString()
+  };
+}
+
+/**
+ * Checks whether an issue is finished in Jira
+ * @param {Object} remote - The issue as returned by jira-helper
+ * @returns {boolean} True if the issue's status is in the done category
+ */
+function isDoneRemotely(remote) {
+  return remote.statusCategory === DONE_CATEGORY;
+}
+
+/**
+ * Works out what a sync should do with a ticket linked to Jira. A field that changed only in
+ * Jira is pulled, one that changed only locally is kept, and one that changed on both sides
+ * is a conflict that keeps the local value. Tickets synced before snapshots existed count as
+ * unchanged locally.
+ * @param {Object} ticket - The local ticket
+ * @param {Object|null} remote - The issue as returned by jira-helper, or null if Jira doesn't have it
+ * @returns {Object} The sync plan for the ticket
+ */
+function planTicketSync(ticket, remote) {
+  const plan = {
+    ticket,
+    remote,
+    updates: [],
+    conflicts: [],
+    pushCompletion: false,
+    closedRemotely: false,
+    reassigned: false,
+    missing: false
+  };
+
+  if (!remote) {
+    plan.missing = true;
+    return plan;
+  }
+
+  const base = ticket.jiraSync || {
+    name: ticket.name,
+    storyPoints: ticket.storyPoints,
+    status: remote.status,
+    completed: ticket.completed
+  };
+
+  SYNCED_FIELDS.forEach(field => {
+    if (remote[field] === base[field] || remote[field] === ticket[field]) return;
+
+    if (ticket[field] === base[field]) {
+      plan.updates.push({ field, from: ticket[field], to: remote[field] });
+    } else {
+      plan.conflicts.push({ field, local: ticket[field], remote: remote[field] });
+    }
+  });
+
+  const completedLocally = ticket.completed && !base.completed;
+  if (!ticket.completed && isDoneRemotely(remote)) {
+    plan.closedRemotely = true;
+  } else if (completedLocally && !isDoneRemotely(remote)) {
+    if (remote.status !== base.status) {
+      plan.conflicts.push({ field: 'status', local: 'Completed', remote: remote.status });
+    } else {
+      plan.pushCompletion = true;
+    }
+  }
+
+  plan.reassigned = !ticket.completed && !remote.assignedToMe && !isDoneRemotely(remote);
+  return plan;
+}
+
+/**
+ * Checks whether a scheduled sync is due
+ * @param {string|null} lastSyncAt - When the last sync finished
+ * @param {number} frequencyInHours - How often to sync
+ * @param {Date} [now] - The current time
+ * @returns {boolean} True if it is time to sync again
+ */
+function isSyncDue(lastSyncAt, frequencyInHours, now = new Date()) {
+  if (!lastSyncAt) return true;
+  return now - new Date(lastSyncAt) >= frequencyInHours * 60 * 60 * 1000;
+}
+
+module.exports = {
+  createSnapshot,
+  isDoneRemotely,
+  planTicketSync,
+  isSyncDue
+};
@@ -0,0 +1,77 @@
+// test/cli-helper.test.js
+const { assert } = require('chai');
+const cliHelper = require('../cli-helper');
+
+describe('cli-helper', () => {
+  it('parses a command with positionals and flags', () => {
+    assert.deepEqual(cliHelper.parseArgs(['start', '3', '--json']), {
+      command: 'start',
+      subcommand: null,
+      positionals: ['3'],
+      flags: { json: true }
+    });
+  });
+
+  it('parses subcommands of command groups', () => {
+    const parsed = cliHelper.parseArgs(['jira', 'Import', '--dry-run']);
+
+    assert.strictEqual(parsed.command, 'jira');
+    assert.strictEqual(parsed.subcommand, 'import');
+    assert.deepEqual(parsed.positionals, []);
+  });
+
+  it('does not take a subcommand for other commands', () => {
+    const parsed = cliHelper.parseArgs(['complete', 'PROJ-1']);
+
+    assert.strictEqual(parsed.subcommand, null);
+    assert.deepEqual(parsed.positionals, ['PROJ-1']);
+  });
+
+  it('reads flag values given after the flag or with =', () => {
+    const parsed = cliHelper.parseArgs(['add', '--name', 'Fix login', '--points=3', '--jql=status = "To Do"']);
+
+    assert.deepEqual(parsed.flags, { name: 'Fix login', points: '3', jql: 'status = "To Do"' });
+  });
+
+  it('never takes a value for boolean flags', () => {
+    const parsed = cliHelper.parseArgs(['list', '--pending', 'extra']);
+
+    assert.deepEqual(parsed.flags, { pending: true });
+    assert.deepEqual(parsed.positionals, ['extra']);
+  });
+
+  it('does not take the next flag as a value', () => {
+    const parsed = cliHelper.parseArgs(['add', '--name', '--points', '2']);
+
+    assert.deepEqual(parsed.flags, { name: true, points: '2' });
+  });
+
+  it('expands single letter aliases', () => {
+    const parsed = cliHelper.parseArgs(['add', '-n', 'Fix login', '-p', '2', '-t', '30', '-h']);
+
+    assert.deepEqual(parsed.flags, { name: 'Fix login', points: '2', time: '30', help: true });
+  });
+
+  it('treats everything after -- as positionals', () => {
+    const parsed = cliHelper.parseArgs(['add', '--', '--not-a-flag', '-']);
+
+    assert.deepEqual(parsed.positionals, ['--not-a-flag', '-']);
+    assert.deepEqual(parsed.flags, {});
+  });
+
+  it('runs the interactive menu without a command or with only global flags', () => {
+    assert.strictEqual(cliHelper.isCommandRun(cliHelper.parseArgs([])), false);
+    assert.strictEqual(cliHelper.isCommandRun(cliHelper.parseArgs(['--data', 'work.json', '--config', 'c.json'])), false);
+    assert.strictEqual(cliHelper.isCommandRun(cliHelper.parseArgs(['--version'])), true);
+    assert.strictEqual(cliHelper.isCommandRun(cliHelper.parseArgs(['stats'])), true);
+  });
+
+  it('reads positive integers and rejects anything else', () => {
+    assert.strictEqual(cliHelper.parsePositiveInt(undefined, 5), 5);
+    assert.strictEqual(cliHelper.parsePositiveInt('12', 5), 12);
+    assert.strictEqual(cliHelper.parsePositiveInt(' 12 ', 5), 12);
+    assert.strictEqual(cliHelper.parsePositiveInt('0', 5), null);
+    assert.strictEqual(cliHelper.parsePositiveInt('12abc', 5), null);
+    assert.strictEqual(cliHelper.parsePositiveInt(true, 5), null);
+  });
+});
@@ -0,0 +1,124 @@
+// test/data-helper.test.js
+const { assert } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const dataHelper = require('../data-helper');
+
+describe('data-helper', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ticket-hero-test-'));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Creates a data file in the test's temporary directory
+   * @param {string} [fileName] - The data file name
+   * @returns {string} Path to the data file
+   */
+  function createDataFile(fileName = 'data.json') {
+    const dataFile = path.join(dir, fileName);
+    fs.writeFileSync(dataFile, JSON.stringify({ user: { xp: 0 }, tickets: [] }));
+    return dataFile;
+  }
+
+  it('replaces a file, keeping the previous version as the last good copy', () => {
+    const dataFile = createDataFile();
+
+    dataHelper.writeFileAtomic(dataFile, '{"version":2}');
+
+    assert.strictEqual(fs.readFileSync(dataFile, 'utf8'), '{"version":2}');
+    assert.strictEqual(fs.readFileSync(`${dataFile}.bak`, 'utf8'), JSON.stringify({ user: { xp: 0 }, tickets: [] }));
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['data.json', 'data.json.bak']);
+  });
+
+  it('leaves the file untouched and no temporary file behind when the rename fails', () => {
+    const dataFile = createDataFile();
+    const original = fs.readFileSync(dataFile, 'utf8');
+    sinon.stub(fs, 'renameSync').throws(Object.assign(new Error('EACCES: permission denied'), { code: 'EACCES' }));
+
+    assert.throws(() => dataHelper.writeFileAtomic(dataFile, '{"version":2}'), /permission denied/);
+    assert.strictEqual(fs.readFileSync(dataFile, 'utf8'), original);
+    assert.deepEqual(fs.readdirSync(dir).filter(fileName => fileName.endsWith('.tmp')), []);
+  });
+
+  it('tells missing, readable and corrupted data files apart', () => {
+    const dataFile = path.join(dir, 'data.json');
+    assert.strictEqual(dataHelper.readDataFile(dataFile).status, 'missing');
+
+    ['', '{"tickets": [', '[]', 'null'].forEach(contents => {
+      fs.writeFileSync(dataFile, contents);
+      assert.strictEqual(dataHelper.readDataFile(dataFile).status, 'corrupted', `for ${JSON.stringify(contents)}`);
+    });
+
+    fs.writeFileSync(dataFile, '{"tickets":[]}');
+    assert.deepEqual(dataHelper.readDataFile(dataFile), { status: 'ok', data: { tickets: [] } });
+  });
+
+  it('recovers a corrupted data file from its last good copy, keeping the corrupted one aside', () => {
+    const dataFile = createDataFile();
+    dataHelper.writeFileAtomic(dataFile, JSON.stringify({ user: { xp: 40 }, tickets: [{}, {}] }));
+    fs.writeFileSync(dataFile, '{"user": {"xp"');
+
+    const [candidate] = dataHelper.listRecoveryCandidates(dataFile);
+    assert.strictEqual(candidate.label, 'Last good copy');
+    assert.strictEqual(candidate.path, `${dataFile}.bak`);
+
+    const { data, corruptPath } = dataHelper.recoverDataFile(dataFile, candidate.path);
+
+    assert.deepEqual(data, { user: { xp: 0 }, tickets: [] });
+    assert.deepEqual(dataHelper.readDataFile(dataFile), { status: 'ok', data });
+    assert.strictEqual(fs.readFileSync(corruptPath, 'utf8'), '{"user": {"xp"');
+    assert.deepEqual(fs.readdirSync(dir).filter(fileName => fileName.endsWith('.tmp')), []);
+  });
+
+  it('gives every backup its own file, even several in the same millisecond', () => {
+    const dataFile = createDataFile();
+
+    const backupPaths = [];
+    for (let i = 0; i < 5; i++) {
+      fs.writeFileSync(dataFile, JSON.stringify({ user: { xp: i }, tickets: [] }));
+      backupPaths.push(dataHelper.createBackup(dataFile));
+    }
+
+    assert.strictEqual(new Set(backupPaths).size, 5);
+    assert.deepEqual(dataHelper.listBackups(dataFile).map(backup => backup.xp), [4, 3, 2, 1, 0]);
+  });
+
+  it('keeps the newest backups when rotating', () => {
+    const dataFile = createDataFile();
+    for (let i = 0; i < 4; i++) {
+      fs.writeFileSync(dataFile, JSON.stringify({ user: { xp: i }, tickets: [] }));
+      dataHelper.createBackup(dataFile);
+    }
+
+    assert.strictEqual(dataHelper.rotateBackups(dataFile, 2), 2);
+    assert.deepEqual(dataHelper.listBackups(dataFile).map(backup => backup.xp), [3, 2]);
+  });
+
+  it('leaves out the backups of a data file whose name starts with the same text', () => {
+    const dataFile = createDataFile('ticket-hero-data.json');
+    const workFile = createDataFile('ticket-hero-data-work.json');
+    dataHelper.createBackup(dataFile);
+    const workBackups = [dataHelper.createBackup(workFile), dataHelper.createBackup(workFile)];
+
+    assert.strictEqual(dataHelper.listBackups(dataFile).length, 1);
+    assert.strictEqual(dataHelper.rotateBackups(dataFile, 0), 1);
+    assert.deepEqual(dataHelper.listBackups(workFile).map(backup => backup.path).sort(), [...workBackups].sort());
+  });
+
+  it('has no backup to make before the data file exists', () => {
+    const dataFile = createDataFile();
+    fs.unlinkSync(dataFile);
+
+    assert.strictEqual(dataHelper.createBackup(dataFile), null);
+    assert.deepEqual(dataHelper.listBackups(dataFile), []);
+  });
+});
@@ -0,0 +1,80 @@
+// test/estimate-helper.test.js
+const { assert } = require('chai');
+const estimateHelper = require('../estimate-helper');
+
+/**
+ * Creates a completed ticket
+ * @param {number} storyPoints - Its story points
+ * @param {number} allocatedTime - Minutes it was given
+ * @param {number} minutesSpent - Minutes it took
+ * @param {string|null} [issueType] - Its Jira issue type
+ * @returns {Object} The ticket
+ */
+function createTicket(storyPoints, allocatedTime, minutesSpent, issueType = null) {
+  return { completed: true, storyPoints, allocatedTime, timeSpentSeconds: minutesSpent * 60, issueType };
+}
+
+describe('estimate-helper', () => {
+  it('uses the defaults until enough tickets are completed', () => {
+    const tickets = [createTicket(2, 50, 80), createTicket(2, 50, 90)];
+
+    assert.deepEqual(estimateHelper.suggestAllocatedTime(tickets, { storyPoints: 2 }), {
+      minutes: 2 * estimateHelper.DEFAULT_MINUTES.perStoryPoint,
+      basis: 'default, until more tickets are completed',
+      samples: 0
+    });
+    assert.strictEqual(estimateHelper.suggestAllocatedTime([], { issueType: 'Bug' }).minutes, estimateHelper.DEFAULT_MINUTES.bug);
+    assert.strictEqual(estimateHelper.suggestAllocatedTime([], {}).minutes, estimateHelper.DEFAULT_MINUTES.other);
+  });
+
+  it('prefers tickets with the same story points and issue type', () => {
+    const tickets = [
+      createTicket(2, 50, 40, 'Bug'), createTicket(2, 50, 44, 'bug'), createTicket(2, 50, 52, 'Bug'),
+      createTicket(2, 50, 100, 'Story')
+    ];
+
+    const suggestion = estimateHelper.suggestAllocatedTime(tickets, { storyPoints: 2, issueType: 'BUG' });
+
+    assert.deepEqual(suggestion, { minutes: 45, basis: 'median of 3 completed 2-point Bug tickets', samples: 3 });
+  });
+
+  it('falls back to the same story points, then to the time per story point', () => {
+    const tickets = [createTicket(1, 25, 30), createTicket(2, 50, 60), createTicket(2, 50, 58), createTicket(2, 50, 70)];
+
+    assert.deepEqual(estimateHelper.suggestAllocatedTime(tickets, { storyPoints: 2, issueType: 'Bug' }), {
+      minutes: 60, basis: 'median of 3 completed 2-point tickets', samples: 3
+    });
+    assert.deepEqual(estimateHelper.suggestAllocatedTime(tickets, { storyPoints: 5 }), {
+      minutes: 150, basis: '30 min per story point over 4 completed tickets', samples: 4
+    });
+  });
+
+  it('leaves out tickets that are open or have no time logged', () => {
+    const tickets = [
+      createTicket(1, 25, 60), createTicket(1, 25, 60),
+      { ...createTicket(1, 25, 60), completed: false },
+      createTicket(1, 25, 0)
+    ];
+
+    assert.strictEqual(estimateHelper.suggestAllocatedTime(tickets, { storyPoints: 1 }).samples, 0);
+    assert.strictEqual(estimateHelper.getAccuracy(tickets).overall.count, 2);
+  });
+
+  it('flags groups that keep running over, but not tickets without an issue type', () => {
+    const tickets = [
+      createTicket(3, 60, 90, 'Story'), createTicket(3, 60, 80, 'Story'), createTicket(3, 60, 75, 'Story'),
+      createTicket(1, 20, 30), createTicket(1, 20, 30), createTicket(1, 20, 30)
+    ];
+
+    const accuracy = estimateHelper.getAccuracy(tickets);
+
+    assert.deepEqual(accuracy.byStoryPoints.map(group => [group.label, group.count, group.chronic]), [['1 SP', 3, true], ['3 SP', 3, true]]);
+    assert.deepEqual(accuracy.byIssueType.map(group => [group.label, group.chronic]), [['(no type)', true], ['Story', true]]);
+    assert.deepEqual(accuracy.chronic.map(group => group.label), ['1 SP', '3 SP', 'Story']);
+    assert.strictEqual(accuracy.byStoryPoints[1].medianActual, 80);
+  });
+
+  it('has no overall summary without completed tickets', () => {
+    assert.deepEqual(estimateHelper.getAccuracy([]), { overall: null, byStoryPoints: [], byIssueType: [], chronic: [] });
+  });
+});
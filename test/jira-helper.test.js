@@ -0,0 +1,142 @@
+// test/jira-helper.test.js
+const { assert } = require('chai');
+const rewire = require('rewire');
+
+// The helpers under test are private to the module
+const jiraHelper = rewire('../jira-helper');
+
+describe('jira-helper', () => {
+  describe('Jira addresses', () => {
+    const parseJiraUrl = jiraHelper.__get__('parseJiraUrl');
+    const isHttpUrl = jiraHelper.__get__('isHttpUrl');
+
+    it('reaches a bare Cloud host over https', () => {
+      assert.deepEqual(parseJiraUrl('mycompany.atlassian.net'), {
+        protocol: 'https', host: 'mycompany.atlassian.net', port: null, basePath: ''
+      });
+    });
+
+    it('keeps the protocol, port and context path of a Server address', () => {
+      assert.deepEqual(parseJiraUrl('http://jira.example.com:8080/jira/'), {
+        protocol: 'http', host: 'jira.example.com', port: 8080, basePath: '/jira'
+      });
+      assert.deepEqual(parseJiraUrl('HTTPS://Jira.Example.com/tools/jira'), {
+        protocol: 'https', host: 'jira.example.com', port: null, basePath: '/tools/jira'
+      });
+    });
+
+    it('rejects addresses that aren\'t http or https', () => {
+      assert.isNull(parseJiraUrl('ftp://jira.example.com'));
+      assert.isNull(parseJiraUrl('file:///etc/jira'));
+      assert.isNull(parseJiraUrl(''));
+      assert.isFalse(isHttpUrl('javascript:alert(1)'));
+      assert.isFalse(isHttpUrl('jira.example.com'));
+      assert.isTrue(isHttpUrl('https://jira.example.com'));
+    });
+  });
+
+  describe('request errors', () => {
+    const describeRequestError = jiraHelper.__get__('describeRequestError');
+
+    it('explains network failures, which are worth retrying', () => {
+      const refused = Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:8080'), { code: 'ECONNREFUSED' });
+      const unknown = Object.assign(new Error('socket hang up'), { code: 'EPIPE' });
+
+      assert.deepEqual(describeRequestError(refused), {
+        message: 'Jira refused the connection. Check the port and that Jira is running.', retryable: true
+      });
+      assert.deepEqual(describeRequestError(unknown), { message: 'socket hang up', retryable: true });
+    });
+
+    it('unwraps failures that jira-client passes on as JSON', () => {
+      const timedOut = new Error(JSON.stringify({ code: 'ESOCKETTIMEDOUT' }));
+      const other = new Error(JSON.stringify({ code: 'EHOSTUNREACH' }));
+
+      assert.deepEqual(describeRequestError(timedOut), { message: 'Jira took too long to respond.', retryable: true });
+      assert.deepEqual(describeRequestError(other), { message: 'Could not reach Jira (EHOSTUNREACH)', retryable: true });
+    });
+
+    it('passes on what Jira said when it rejected the request, which retrying won\'t fix', () => {
+      const rejected = { errorMessages: ['Issue does not exist.'], errors: { timeSpent: 'Invalid time duration entered.' } };
+
+      assert.deepEqual(describeRequestError(rejected), {
+        message: 'Issue does not exist. Invalid time duration entered.', retryable: false
+      });
+      assert.deepEqual(describeRequestError({}), { message: 'Jira rejected the request', retryable: false });
+    });
+
+    it('shortens pages from proxies and gateways', () => {
+      const page = `<html>${'Bad gateway '.repeat(40)}</html>`;
+
+      assert.deepEqual(describeRequestError(page), { message: page.slice(0, 200), retryable: true });
+      assert.deepEqual(describeRequestError(undefined), { message: 'No response from Jira', retryable: true });
+    });
+  });
+
+  describe('transitions', () => {
+    const findTransition = jiraHelper.__get__('findTransition');
+    const buildTransitionFields = jiraHelper.__get__('buildTransitionFields');
+
+    const TRANSITIONS = [
+      { id: '11', name: 'Start Progress', to: { name: 'In Progress' } },
+      { id: '21', name: 'Resolve', to: { name: 'Done' } },
+      { id: '31', name: 'Done', to: { name: 'Closed' } }
+    ];
+
+    const RESOLUTION_FIELD = {
+      name: 'Resolution',
+      required: true,
+      hasDefaultValue: false,
+      schema: { type: 'resolution' },
+      allowedValues: [{ id: '1', name: 'Won\'t Do' }, { id: '2', name: 'Fixed' }]
+    };
+
+    it('picks a transition by its name before the status it leads to, ignoring case', () => {
+      assert.strictEqual(findTransition(TRANSITIONS, 'start progress').id, '11');
+      assert.strictEqual(findTransition(TRANSITIONS, 'In Progress').id, '11');
+      assert.strictEqual(findTransition(TRANSITIONS, 'Done').id, '31');
+      assert.strictEqual(findTransition(TRANSITIONS, 'closed').id, '31');
+    });
+
+    it('never picks a transition whose name only looks similar', () => {
+      assert.isNull(findTransition(TRANSITIONS, 'Progress'));
+      assert.isNull(findTransition([{ id: '41', name: 'Reopen' }], 'Open'));
+    });
+
+    it('fills in a required resolution, preferring Done or Fixed', () => {
+      const transition = { fields: { resolution: RESOLUTION_FIELD } };
+
+      assert.deepEqual(buildTransitionFields(transition, {}), { values: { resolution: { id: '2' } } });
+      assert.deepEqual(buildTransitionFields(transition, { Resolution: 'won\'t do' }), { values: { resolution: { id: '1' } } });
+    });
+
+    it('sends only fields on the transition screen, converted to what Jira expects', () => {
+      const transition = {
+        fields: {
+          customfield_10020: { name: 'Hours', required: false, schema: { type: 'number' } },
+          labels: { name: 'Labels', required: false, schema: { type: 'array' } }
+        }
+      };
+
+      assert.deepEqual(buildTransitionFields(transition, { hours: '2.5', Labels: 'done-today', priority: 'High' }), {
+        values: { customfield_10020: 2.5, labels: ['done-today'] }
+      });
+    });
+
+    it('says which required fields are missing or given a value they don\'t allow', () => {
+      const transition = {
+        fields: {
+          customfield_10030: { name: 'Root Cause', required: true, hasDefaultValue: false },
+          assignee: { name: 'Assignee', required: true, hasDefaultValue: true }
+        }
+      };
+
+      assert.deepEqual(buildTransitionFields(transition, {}), {
+        error: 'needs Root Cause. Choose the transition under Update Jira Ticket Status to fill it in.'
+      });
+      assert.deepEqual(buildTransitionFields({ fields: { resolution: RESOLUTION_FIELD } }, { resolution: 'Duplicate' }), {
+        error: 'doesn\'t allow "Duplicate" for Resolution'
+      });
+    });
+  });
+});
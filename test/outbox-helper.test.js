@@ -0,0 +1,174 @@
+// test/outbox-helper.test.js
+const { assert } = require('chai');
+const outboxHelper = require('../outbox-helper');
+
+const NOW = new Date('2024-01-01T12:00:00Z');
+
+/**
+ * Creates an outbox operation on the default connection
+ * @param {Object} [details] - Operation details to replace
+ * @returns {Object} The operation
+ */
+function createOperation(details = {}) {
+  return outboxHelper.createOperation({
+    type: outboxHelper.OPERATION_TYPES.TRANSITION,
+    connection: 'default',
+    jiraId: 'PROJ-1',
+    payload: { status: 'In Progress' },
+    ...details
+  }, NOW);
+}
+
+describe('outbox-helper', () => {
+  it('creates operations that are due straight away', () => {
+    const operation = createOperation();
+
+    assert.strictEqual(operation.attempts, 0);
+    assert.strictEqual(operation.held, false);
+    assert.strictEqual(operation.nextAttemptAt, NOW.toISOString());
+    assert.strictEqual(outboxHelper.isDue(operation, NOW), true);
+  });
+
+  it('doubles the retry delay after each failure, up to an hour', () => {
+    assert.deepEqual([0, 1, 2, 3, 7, 8, 20].map(outboxHelper.getRetryDelaySeconds), [30, 30, 60, 120, 1920, 3600, 3600]);
+  });
+
+  it('replaces a waiting transition for the same issue with the newest one', () => {
+    const outbox = [];
+    outboxHelper.enqueueOperation(outbox, createOperation());
+    const comment = outboxHelper.enqueueOperation(outbox, createOperation({
+      type: outboxHelper.OPERATION_TYPES.COMMENT,
+      payload: { body: 'Started' }
+    }));
+    const done = outboxHelper.enqueueOperation(outbox, createOperation({ payload: { status: 'Done' } }));
+
+    assert.deepEqual(outbox, [comment, done]);
+  });
+
+  it('keeps the waiting transition when the same status is asked for again', () => {
+    const outbox = [];
+    const queued = outboxHelper.enqueueOperation(outbox, createOperation());
+
+    const result = outboxHelper.enqueueOperation(outbox, createOperation({ payload: { status: 'in progress' } }));
+
+    assert.strictEqual(result, queued);
+    assert.deepEqual(outbox, [queued]);
+  });
+
+  it('keeps transitions for other issues and connections apart', () => {
+    const outbox = [];
+    outboxHelper.enqueueOperation(outbox, createOperation());
+    outboxHelper.enqueueOperation(outbox, createOperation({ jiraId: 'PROJ-2' }));
+    outboxHelper.enqueueOperation(outbox, createOperation({ connection: 'work' }));
+
+    assert.strictEqual(outbox.length, 3);
+  });
+
+  it('never merges worklogs', () => {
+    const outbox = [];
+    const worklog = { type: outboxHelper.OPERATION_TYPES.WORKLOG, payload: { minutes: 25 } };
+    outboxHelper.enqueueOperation(outbox, createOperation(worklog));
+    outboxHelper.enqueueOperation(outbox, createOperation(worklog));
+
+    assert.strictEqual(outbox.length, 2);
+  });
+
+  it('notes when a comment was written if it is sent much later', () => {
+    const operation = createOperation({ type: outboxHelper.OPERATION_TYPES.COMMENT, payload: { body: 'Done!' } });
+
+    assert.strictEqual(outboxHelper.getCommentBody(operation, new Date(NOW.getTime() + 60 * 1000)), 'Done!');
+    assert.match(outboxHelper.getCommentBody(operation, new Date(NOW.getTime() + 60 * 60 * 1000)),
+      /^Done!\n\n\(Written .+, sent later by Ticket Hero\)$/);
+  });
+
+  it('sends due operations and removes them from the outbox', async () => {
+    const outbox = [createOperation(), createOperation({ jiraId: 'PROJ-2' })];
+    const sent = [];
+
+    const result = await outboxHelper.processOutbox(outbox, async operation => {
+      sent.push(operation.jiraId);
+      return { success: true, message: `Moved ${operation.jiraId}` };
+    });
+
+    assert.deepEqual(sent, ['PROJ-1', 'PROJ-2']);
+    assert.deepEqual(result.sent.map(entry => entry.message), ['Moved PROJ-1', 'Moved PROJ-2']);
+    assert.deepEqual(outbox, []);
+  });
+
+  it('schedules a retry after a failure and holds operations Jira will never accept', async () => {
+    const retryable = createOperation();
+    const rejected = createOperation({ jiraId: 'PROJ-2' });
+    const outbox = [retryable, rejected];
+
+    const result = await outboxHelper.processOutbox(outbox, async operation => (operation === retryable
+      ? { success: false, message: 'Jira took too long to respond.', retryable: true }
+      : { success: false, message: 'Transition not allowed', retryable: false }));
+
+    assert.strictEqual(result.failed.length, 2);
+    assert.strictEqual(result.lastError, 'Transition not allowed');
+    assert.strictEqual(retryable.attempts, 1);
+    assert.strictEqual(retryable.held, false);
+    assert.strictEqual(outboxHelper.isDue(retryable), false);
+    assert.strictEqual(rejected.held, true);
+    assert.deepEqual(outbox, [retryable, rejected]);
+  });
+
+  it('keeps later changes to an issue waiting once one fails, so they stay in order', async () => {
+    const outbox = [
+      createOperation(),
+      createOperation({ type: outboxHelper.OPERATION_TYPES.COMMENT, payload: { body: 'Started' } }),
+      createOperation({ jiraId: 'PROJ-2' })
+    ];
+    const tried = [];
+
+    await outboxHelper.processOutbox(outbox, async operation => {
+      tried.push(`${operation.jiraId} ${operation.type}`);
+      return operation.jiraId === 'PROJ-1' ? { success: false, message: 'Conflict', retryable: true } : { success: true };
+    });
+
+    assert.deepEqual(tried, ['PROJ-1 transition', 'PROJ-2 transition']);
+    assert.strictEqual(outbox.length, 2);
+  });
+
+  it('skips the rest of a connection once it is offline', async () => {
+    const outbox = [
+      createOperation(),
+      createOperation({ jiraId: 'PROJ-2' }),
+      createOperation({ connection: 'work' })
+    ];
+    const tried = [];
+
+    await outboxHelper.processOutbox(outbox, async operation => {
+      tried.push(`${operation.connection}/${operation.jiraId}`);
+      return operation.connection === 'default'
+        ? { success: false, message: 'Jira refused the connection.', retryable: true, offline: true }
+        : { success: true };
+    });
+
+    assert.deepEqual(tried, ['default/PROJ-1', 'work/PROJ-1']);
+  });
+
+  it('waits for backoff and held operations unless asked not to', async () => {
+    const waiting = createOperation();
+    waiting.nextAttemptAt = new Date(Date.now() + 60 * 1000).toISOString();
+    const held = createOperation({ jiraId: 'PROJ-2' });
+    held.held = true;
+    const outbox = [waiting, held];
+    const execute = async () => ({ success: true });
+
+    assert.strictEqual((await outboxHelper.processOutbox(outbox, execute)).sent.length, 0);
+    assert.strictEqual((await outboxHelper.processOutbox(outbox, execute, { ignoreBackoff: true })).sent.length, 1);
+    assert.strictEqual((await outboxHelper.processOutbox(outbox, execute, { includeHeld: true })).sent.length, 1);
+    assert.deepEqual(outbox, []);
+  });
+
+  it('sends only the operations asked for', async () => {
+    const first = createOperation();
+    const second = createOperation({ jiraId: 'PROJ-2' });
+    const outbox = [first, second];
+
+    await outboxHelper.processOutbox(outbox, async () => ({ success: true }), { operationIds: [second.id] });
+
+    assert.deepEqual(outbox, [first]);
+  });
+});
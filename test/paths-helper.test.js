@@ -0,0 +1,180 @@
+// test/paths-helper.test.js
+const { assert } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dataHelper = require('../data-helper');
+const pathsHelper = require('../paths-helper');
+
+describe('paths-helper', () => {
+  let dir;
+
+  beforeEach(() => {
+    // The real path, so it matches process.cwd() where the temporary directory is a symlink
+    dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'ticket-hero-test-')));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Writes a file in the test's temporary directory, creating its directories
+   * @param {string} relativePath - Where to write it, from the temporary directory
+   * @param {string} [contents] - The contents
+   * @returns {string} The full path
+   */
+  function writeFile(relativePath, contents = '{}') {
+    const filePath = path.join(dir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, contents);
+    return filePath;
+  }
+
+  /**
+   * Lists the files in a directory under the test's temporary directory
+   * @param {string} relativePath - The directory, from the temporary directory
+   * @returns {string[]} The file names, sorted
+   */
+  function listFiles(relativePath) {
+    const fullPath = path.join(dir, relativePath);
+    return fs.existsSync(fullPath) ? fs.readdirSync(fullPath).sort() : [];
+  }
+
+  it('moves a data file with its backups, renaming them after the new file', () => {
+    const dataFile = writeFile('old/data.json');
+    writeFile('old/data.json.bak');
+    writeFile('old/backups/data-20240101-000000-000.json');
+    writeFile('old/backups/data-20240101-000000-000-1.json');
+    writeFile('old/backups/data.schema-v3.json');
+
+    pathsHelper.moveDataFile(dataFile, path.join(dir, 'new', 'work.json'));
+
+    assert.deepEqual(listFiles('new'), ['backups', 'work.json', 'work.json.bak']);
+    assert.deepEqual(listFiles('new/backups'), [
+      'work-20240101-000000-000-1.json',
+      'work-20240101-000000-000.json',
+      'work.schema-v3.json'
+    ]);
+    assert.deepEqual(listFiles('old'), []);
+  });
+
+  it('leaves the backups of a data file whose name starts with the same text', () => {
+    const dataFile = writeFile('old/data.json');
+    writeFile('old/data-work.json');
+    writeFile('old/backups/data-20240101-000000-000.json');
+    writeFile('old/backups/data-work-20240101-000000-000.json');
+    writeFile('old/backups/data-work.schema-v3.json');
+
+    pathsHelper.moveDataFile(dataFile, path.join(dir, 'new', 'data.json'));
+
+    assert.deepEqual(listFiles('new/backups'), ['data-20240101-000000-000.json']);
+    assert.deepEqual(listFiles('old/backups'), ['data-work-20240101-000000-000.json', 'data-work.schema-v3.json']);
+    assert.strictEqual(dataHelper.listBackups(path.join(dir, 'old', 'data-work.json')).length, 1);
+  });
+
+  it('leaves files that already exist at the target where they are', () => {
+    const dataFile = writeFile('old/data.json', '{"old":true}');
+    writeFile('new/data.json', '{"new":true}');
+
+    pathsHelper.moveDataFile(dataFile, path.join(dir, 'new', 'data.json'));
+
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'new', 'data.json'), 'utf8'), '{"new":true}');
+    assert.deepEqual(listFiles('old'), ['data.json']);
+  });
+
+  describe('finding and migrating files', () => {
+    const ENV_NAMES = ['TICKET_HERO_CONFIG_DIR', 'TICKET_HERO_DATA_DIR', 'TICKET_HERO_CONFIG', 'TICKET_HERO_DATA'];
+    let savedEnv;
+    let savedCwd;
+
+    beforeEach(() => {
+      savedEnv = ENV_NAMES.map(name => [name, process.env[name]]);
+      savedCwd = process.cwd();
+      ENV_NAMES.forEach(name => { delete process.env[name]; });
+      process.env.TICKET_HERO_CONFIG_DIR = path.join(dir, 'config');
+      process.env.TICKET_HERO_DATA_DIR = path.join(dir, 'data');
+
+      // Older versions kept the data file in the directory the app was started from
+      fs.mkdirSync(path.join(dir, 'project'));
+      process.chdir(path.join(dir, 'project'));
+    });
+
+    afterEach(() => {
+      process.chdir(savedCwd);
+      savedEnv.forEach(([name, value]) => {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      });
+    });
+
+    it('uses the config and data directories from the environment', () => {
+      assert.deepEqual(pathsHelper.resolvePaths(), {
+        configFile: path.join(dir, 'config', 'config.json'),
+        configOverridden: false,
+        dataFileOverride: null
+      });
+      assert.strictEqual(pathsHelper.resolveDataFile('work.json'), path.join(dir, 'data', 'work.json'));
+    });
+
+    it('lets command-line paths win over environment variables', () => {
+      process.env.TICKET_HERO_CONFIG = path.join(dir, 'env-config.json');
+      process.env.TICKET_HERO_DATA = path.join(dir, 'env-data.json');
+
+      assert.deepEqual(pathsHelper.resolvePaths(), {
+        configFile: path.join(dir, 'env-config.json'),
+        configOverridden: true,
+        dataFileOverride: path.join(dir, 'env-data.json')
+      });
+      assert.deepEqual(pathsHelper.resolvePaths({ config: 'my-config.json', data: 'my-data.json' }), {
+        configFile: path.join(dir, 'project', 'my-config.json'),
+        configOverridden: true,
+        dataFileOverride: path.join(dir, 'project', 'my-data.json')
+      });
+    });
+
+    it('moves nothing when there is nothing to migrate', () => {
+      assert.deepEqual(pathsHelper.migrateLegacyFiles(pathsHelper.resolvePaths()), []);
+      assert.deepEqual(listFiles('.'), ['project']);
+    });
+
+    it('moves a data file left in the working directory, with its backups and session', () => {
+      writeFile('project/ticket-hero-data.json', '{"tickets":[]}');
+      writeFile('project/ticket-hero-data.json.bak');
+      writeFile('project/ticket-hero-data.session.json');
+      writeFile('project/backups/ticket-hero-data-20240101-000000-000.json');
+
+      const moved = pathsHelper.migrateLegacyFiles(pathsHelper.resolvePaths());
+
+      assert.deepEqual(moved, [`${path.join(dir, 'project', 'ticket-hero-data.json')} -> ${path.join(dir, 'data', 'ticket-hero-data.json')}`]);
+      assert.deepEqual(listFiles('data'), ['backups', 'ticket-hero-data.json', 'ticket-hero-data.json.bak', 'ticket-hero-data.session.json']);
+      assert.deepEqual(listFiles('data/backups'), ['ticket-hero-data-20240101-000000-000.json']);
+      assert.deepEqual(listFiles('project'), []);
+    });
+
+    it('uses the data file name from the config', () => {
+      writeFile('config/config.json', JSON.stringify({ app: { dataFile: 'work.json' } }));
+      writeFile('project/work.json');
+
+      pathsHelper.migrateLegacyFiles(pathsHelper.resolvePaths());
+
+      assert.deepEqual(listFiles('data'), ['work.json']);
+    });
+
+    it('leaves the old data file alone when the new one already exists', () => {
+      writeFile('project/ticket-hero-data.json', '{"old":true}');
+      writeFile('data/ticket-hero-data.json', '{"new":true}');
+
+      assert.deepEqual(pathsHelper.migrateLegacyFiles(pathsHelper.resolvePaths()), []);
+      assert.strictEqual(fs.readFileSync(path.join(dir, 'project', 'ticket-hero-data.json'), 'utf8'), '{"old":true}');
+      assert.strictEqual(fs.readFileSync(path.join(dir, 'data', 'ticket-hero-data.json'), 'utf8'), '{"new":true}');
+    });
+
+    it('moves no data file when one is given on the command line', () => {
+      writeFile('project/ticket-hero-data.json');
+
+      assert.deepEqual(pathsHelper.migrateLegacyFiles(pathsHelper.resolvePaths({ data: 'other.json' })), []);
+      assert.deepEqual(listFiles('project'), ['ticket-hero-data.json']);
+    });
+  });
+});
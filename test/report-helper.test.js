@@ -0,0 +1,127 @@
+// test/report-helper.test.js
+const { assert } = require('chai');
+const reportHelper = require('../report-helper');
+
+const RANGE = reportHelper.createCustomRange('2024-01-29', '2024-02-04');
+
+/**
+ * Creates a completed ticket, finished during RANGE
+ * @param {Object} [details] - Ticket fields to replace
+ * @returns {Object} The ticket
+ */
+function createTicket(details = {}) {
+  return {
+    id: 'ticket-1',
+    name: 'Fix login',
+    jiraId: null,
+    storyPoints: 3,
+    allocatedTime: 30,
+    timeSpentSeconds: 45 * 60,
+    completed: true,
+    createdAt: new Date(2024, 0, 29, 9).toISOString(),
+    completedAt: new Date(2024, 0, 30, 17).toISOString(),
+    ...details
+  };
+}
+
+/**
+ * Creates a finished work period
+ * @param {Object} [details] - Interval fields to replace
+ * @returns {Object} The interval
+ */
+function createPeriod(details = {}) {
+  return {
+    type: 'period',
+    mode: 'work',
+    ticketId: 'ticket-1',
+    startedAt: new Date(2024, 0, 30, 10).toISOString(),
+    durationSeconds: 25 * 60,
+    outcome: 'completed',
+    ...details
+  };
+}
+
+describe('report-helper', () => {
+  it('reads only real days', () => {
+    assert.strictEqual(reportHelper.formatDay(reportHelper.parseDay('2024-02-29')), '2024-02-29');
+    assert.strictEqual(reportHelper.parseDay('2023-02-29'), null);
+    assert.strictEqual(reportHelper.parseDay('2024-1-5'), null);
+    assert.strictEqual(reportHelper.createCustomRange('2024-02-04', '2024-01-29'), null);
+  });
+
+  it('starts weeks on Monday and lines sprints up with the sprint start', () => {
+    const now = new Date(2024, 0, 31, 12);
+
+    const week = reportHelper.getRange('week', { now });
+    assert.strictEqual(reportHelper.formatDay(week.from), '2024-01-29');
+    assert.strictEqual(reportHelper.formatDay(week.to), '2024-02-05');
+
+    const sprint = reportHelper.getRange('sprint', { now, sprintLengthInDays: 14, sprintStartDate: '2024-01-01' });
+    assert.strictEqual(reportHelper.formatDay(sprint.from), '2024-01-29');
+  });
+
+  it('counts logged time once, leaving ticket time for tickets without a log', () => {
+    const tickets = [
+      createTicket(),
+      createTicket({ id: 'ticket-2', name: 'Old work', timeSpentSeconds: 20 * 60 })
+    ];
+    const intervals = [
+      createPeriod(),
+      createPeriod({ durationSeconds: 20 * 60, outcome: 'skipped' }),
+      createPeriod({ startedAt: new Date(2024, 0, 20, 10).toISOString() })
+    ];
+
+    const report = reportHelper.buildReport({ tickets, intervals, range: RANGE });
+
+    assert.deepEqual(report.range, { name: 'custom', label: 'Custom range', from: '2024-01-29', to: '2024-02-04' });
+    assert.deepEqual(report.rows.map(row => [row.label, row.minutes, row.pomodoros]), [['Fix login', 45, 1], ['Old work', 20, 0]]);
+    assert.strictEqual(report.rows[0].overtimeMinutes, 15);
+    assert.strictEqual(report.totals.minutes, 65);
+    assert.strictEqual(report.totals.storyPoints, 6);
+    assert.strictEqual(report.totals.ticketsCompleted, 2);
+  });
+
+  it('groups tickets by Jira project', () => {
+    const tickets = [
+      createTicket({ jiraId: 'WEB-12' }),
+      createTicket({ id: 'ticket-2', jiraId: 'WEB-13' }),
+      createTicket({ id: 'ticket-3' })
+    ];
+
+    const report = reportHelper.buildReport({ tickets, intervals: [], range: RANGE, groupBy: 'project' });
+
+    assert.deepEqual(report.rows.map(row => [row.label, row.ticketsCompleted]), [['WEB', 2], ['(no project)', 1]]);
+  });
+
+  it('quotes CSV fields holding commas, quotes or line breaks', () => {
+    const tickets = [createTicket({ name: 'Fix "login", then\nlogout' })];
+    const report = reportHelper.buildReport({ tickets, intervals: [], range: RANGE });
+
+    const lines = reportHelper.formatReport(report, 'csv').split('\n');
+
+    assert.strictEqual(lines[0], 'Ticket,Minutes,Pomodoros,Tickets Created,Tickets Completed,Story Points,Overtime Minutes');
+    assert.strictEqual(`${lines[1]}\n${lines[2]}`, '"Fix ""login"", then\nlogout",45,0,1,1,3,15');
+    assert.strictEqual(lines[3], 'Total,45,0,1,1,3,15');
+  });
+
+  it('escapes pipes and line breaks in Markdown cells', () => {
+    const tickets = [createTicket({ name: 'A | B\nC' })];
+    const report = reportHelper.buildReport({ tickets, intervals: [], range: RANGE });
+
+    const lines = reportHelper.formatReport(report, 'md').split('\n');
+
+    assert.strictEqual(lines[0], '# Custom range (2024-01-29 to 2024-02-04)');
+    assert.strictEqual(lines[4], '| A \\| B C | 45 | 0 | 1 | 1 | 3 | 15 |');
+  });
+
+  it('exports JSON rows with only the report columns', () => {
+    const report = reportHelper.buildReport({ tickets: [createTicket()], intervals: [], range: RANGE });
+
+    const exported = JSON.parse(reportHelper.formatReport(report, 'json'));
+
+    assert.deepEqual(exported.rows, [{
+      label: 'Fix login', minutes: 45, pomodoros: 0, ticketsCreated: 1, ticketsCompleted: 1, storyPoints: 3, overtimeMinutes: 15
+    }]);
+    assert.strictEqual(reportHelper.getExportFileName(report, 'json'), 'ticket-hero-report-custom-2024-01-29.json');
+  });
+});
@@ -0,0 +1,229 @@
+// test/schema-helper.test.js
+const { assert } = require('chai');
+const schemaHelper = require('../schema-helper');
+
+/**
+ * Builds a data file as written before the data file was versioned
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} The data
+ */
+function createLegacyData(overrides = {}) {
+  return {
+    user: { name: 'Ada', xp: 130, level: 2 },
+    tickets: [
+      { id: 1704067200000, name: 'Done ticket', storyPoints: 3, allocatedTime: 60, timeSpent: 75, completed: true },
+      { id: 1704153600000, name: 'Open ticket', storyPoints: '2', allocatedTime: 30, timeSpent: 10, completed: false }
+    ],
+    stats: {},
+    ...overrides
+  };
+}
+
+/**
+ * Builds data at an older schema version, from version 4 on. Only the XP log is taken back to
+ * that version; tests remove any other fields their version didn't have yet.
+ * @param {number} version - The schema version
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} The data
+ */
+function createVersionedData(version, overrides = {}) {
+  const { data } = schemaHelper.migrateData(createLegacyData());
+  const downgraded = { ...data, schemaVersion: version, ...overrides };
+  if (version < 9) {
+    downgraded.xpLog = downgraded.xpLog.map(({ awardId, type, ...entry }) => entry);
+  }
+  if (version < 8) delete downgraded.xpLog;
+  return downgraded;
+}
+
+describe('schema-helper', () => {
+  it('migrates an unversioned file to the current schema', () => {
+    const { data, fromVersion, toVersion } = schemaHelper.migrateData(createLegacyData());
+
+    assert.strictEqual(fromVersion, 0);
+    assert.strictEqual(toVersion, schemaHelper.CURRENT_SCHEMA_VERSION);
+    assert.strictEqual(data.schemaVersion, schemaHelper.CURRENT_SCHEMA_VERSION);
+    assert.deepEqual(schemaHelper.validateData(data), []);
+  });
+
+  it('fills in ticket fields and dates tickets by their IDs', () => {
+    const { data } = schemaHelper.migrateData(createLegacyData());
+    const [done, open] = data.tickets;
+
+    assert.strictEqual(done.id, '1704067200000');
+    assert.strictEqual(done.createdAt, '2024-01-01T00:00:00.000Z');
+    assert.strictEqual(done.completedAt, done.createdAt);
+    assert.strictEqual(done.timeSpentSeconds, 4500);
+    assert.strictEqual(open.storyPoints, 2);
+    assert.strictEqual(open.completedAt, null);
+  });
+
+  it('works out missing stats from the tickets', () => {
+    const { data } = schemaHelper.migrateData(createLegacyData());
+
+    assert.deepEqual(data.stats, {
+      totalTicketsSolved: 1,
+      totalTimeTaken: 75,
+      totalOvertime: 15,
+      totalStoryPoints: 3,
+      totalTicketsPending: 1,
+      totalStoryPointsPending: 2
+    });
+  });
+
+  it('keeps stats that were already recorded', () => {
+    const { data } = schemaHelper.migrateData(createLegacyData({ stats: { totalTicketsSolved: 7 } }));
+
+    assert.strictEqual(data.stats.totalTicketsSolved, 7);
+  });
+
+  it('repairs a user with missing or invalid fields', () => {
+    const { data } = schemaHelper.migrateData(createLegacyData({ user: { xp: 'lots', level: 0 } }));
+
+    assert.deepEqual(data.user, { name: '', xp: 0, level: 1 });
+  });
+
+  it('drops tickets that are not objects', () => {
+    const legacy = createLegacyData();
+    legacy.tickets.push(null, 'ticket');
+    const { data } = schemaHelper.migrateData(legacy);
+
+    assert.strictEqual(data.tickets.length, 2);
+  });
+
+  it('does not change the data it was given', () => {
+    const legacy = createLegacyData();
+    const copy = JSON.parse(JSON.stringify(legacy));
+    schemaHelper.migrateData(legacy);
+
+    assert.deepEqual(legacy, copy);
+  });
+
+  it('adds an empty session log, outbox and sync time', () => {
+    const { data } = schemaHelper.migrateData(createLegacyData());
+
+    assert.deepEqual(data.sessions, []);
+    assert.deepEqual(data.jiraOutbox, []);
+    assert.strictEqual(data.jiraLastSyncAt, null);
+    assert.strictEqual(data.worklogQueue, undefined);
+  });
+
+  it('turns queued worklogs into outbox operations on the default connection', () => {
+    const legacy = createVersionedData(4, {
+      worklogQueue: [{
+        id: 'wl-1',
+        jiraId: 'PROJ-1',
+        ticketId: '1704067200000',
+        sessionId: 'session-1',
+        started: '2024-01-01T09:00:00.000Z',
+        minutes: 25,
+        comment: 'Worked on it',
+        queuedAt: '2024-01-01T09:25:00.000Z',
+        attempts: 2,
+        lastError: 'Jira refused the connection'
+      }]
+    });
+    delete legacy.jiraOutbox;
+    delete legacy.jiraLastSyncAt;
+
+    const { data } = schemaHelper.migrateData(legacy);
+
+    assert.deepEqual(data.jiraOutbox, [{
+      id: 'wl-1',
+      type: 'worklog',
+      jiraId: 'PROJ-1',
+      ticketId: '1704067200000',
+      payload: {
+        sessionId: 'session-1',
+        started: '2024-01-01T09:00:00.000Z',
+        minutes: 25,
+        comment: 'Worked on it'
+      },
+      createdAt: '2024-01-01T09:25:00.000Z',
+      attempts: 2,
+      nextAttemptAt: '2024-01-01T09:25:00.000Z',
+      lastAttemptAt: null,
+      lastError: 'Jira refused the connection',
+      held: false,
+      connection: 'default'
+    }]);
+    assert.deepEqual(schemaHelper.validateData(data), []);
+  });
+
+  it('links Jira tickets to the default connection', () => {
+    const legacy = createVersionedData(6);
+    legacy.tickets[0].jiraId = 'PROJ-1';
+    delete legacy.tickets[0].jiraConnection;
+
+    const { data } = schemaHelper.migrateData(legacy);
+
+    assert.strictEqual(data.tickets[0].jiraConnection, 'default');
+    assert.strictEqual(data.tickets[1].jiraConnection, undefined);
+  });
+
+  it('carries XP earned before the XP log over as an opening balance', () => {
+    const { data } = schemaHelper.migrateData(createVersionedData(7));
+
+    assert.strictEqual(data.xpLog.length, 1);
+    assert.strictEqual(data.xpLog[0].id, 'xp-opening');
+    assert.strictEqual(data.xpLog[0].type, 'opening');
+    assert.strictEqual(data.xpLog[0].xp, 130);
+  });
+
+  it('starts an empty XP log when no XP was earned', () => {
+    const legacy = createVersionedData(7);
+    legacy.user.xp = 0;
+
+    const { data } = schemaHelper.migrateData(legacy);
+
+    assert.deepEqual(data.xpLog, []);
+  });
+
+  it('keeps XP log entries from before itemizing as recorded, without a basis to replay', () => {
+    const legacy = createVersionedData(8, {
+      xpLog: [
+        { id: 'xp-opening', ticketId: null, xp: 100, reason: 'XP earned before the XP log', createdAt: '2024-01-01T00:00:00.000Z' },
+        { id: 'xp-1', ticketId: '1704067200000', xp: 30, reason: 'Completed ticket', createdAt: '2024-01-02T00:00:00.000Z' },
+        { id: 'xp-2', ticketId: null, xp: -5, reason: 'Correction', createdAt: '2024-01-03T00:00:00.000Z' }
+      ]
+    });
+
+    const { data } = schemaHelper.migrateData(legacy);
+
+    assert.deepEqual(data.xpLog.map(entry => [entry.type, entry.awardId, entry.xp]), [
+      ['opening', 'xp-opening', 100],
+      ['award', 'xp-1', 30],
+      ['adjustment', 'xp-2', -5]
+    ]);
+    assert.ok(data.xpLog.every(entry => entry.basis === undefined));
+    assert.deepEqual(schemaHelper.validateData(data), []);
+  });
+
+  it('leaves data at the current version unchanged', () => {
+    const { data: current } = schemaHelper.migrateData(createLegacyData());
+    const { data, fromVersion } = schemaHelper.migrateData(current);
+
+    assert.strictEqual(fromVersion, schemaHelper.CURRENT_SCHEMA_VERSION);
+    assert.deepEqual(data, current);
+  });
+
+  it('refuses data written by a newer version', () => {
+    const newer = { schemaVersion: schemaHelper.CURRENT_SCHEMA_VERSION + 1 };
+
+    const error = assert.throws(() => schemaHelper.migrateData(newer), /Please update Ticket Hero/);
+    assert.strictEqual(error.code, 'SCHEMA_TOO_NEW');
+  });
+
+  it('reports missing and invalid fields', () => {
+    const { data } = schemaHelper.migrateData(createLegacyData());
+    delete data.stats;
+    data.tickets[0].completed = 'yes';
+    data.tickets[1].createdAt = 'not a date';
+
+    assert.deepEqual(schemaHelper.validateData(data), [
+      'data.stats is required',
+      'data.tickets[0].completed must be a boolean',
+      'data.tickets[1].createdAt must be a valid date'
+    ]);
+  });
+});
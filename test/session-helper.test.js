@@ -0,0 +1,203 @@
+// test/session-helper.test.js
+const { assert } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sessionHelper = require('../session-helper');
+
+const START = new Date('2024-01-01T09:00:00Z');
+
+/**
+ * Gets the time a number of minutes after START
+ * @param {number} minutes - Minutes after START
+ * @returns {Date} The time
+ */
+function minutesIn(minutes) {
+  return new Date(START.getTime() + minutes * 60 * 1000);
+}
+
+/**
+ * Opens an interval that started at a given time
+ * @param {Object} details - Interval details, as for startInterval
+ * @param {Date} startedAt - When it started
+ * @returns {Object} The open interval
+ */
+function startIntervalAt(details, startedAt) {
+  const interval = sessionHelper.startInterval({ sessionId: 'session-1', ticketId: 'ticket-1', ...details });
+  interval.startedAt = startedAt.toISOString();
+  return interval;
+}
+
+describe('session-helper', () => {
+  it('gives intervals unique IDs in the order they were created', () => {
+    const ids = [1, 2, 3].map(() => sessionHelper.generateId());
+
+    assert.strictEqual(new Set(ids).size, 3);
+    assert.deepEqual([...ids].sort((a, b) => parseInt(a, 36) - parseInt(b, 36)), ids);
+  });
+
+  it('opens intervals with nothing recorded yet', () => {
+    const interval = sessionHelper.startInterval({ sessionId: 'session-1', ticketId: 'ticket-1', type: 'period', mode: 'work', plannedSeconds: 1500 });
+
+    assert.include(interval, { type: 'period', mode: 'work', plannedSeconds: 1500, endedAt: null, durationSeconds: 0, outcome: null });
+  });
+
+  it('counts only the time a period ran when it was paused and resumed', () => {
+    const period = startIntervalAt({ type: 'period', mode: 'work', plannedSeconds: 1500 }, START);
+    const pause = startIntervalAt({ type: 'pause', mode: 'work' }, minutesIn(10));
+
+    sessionHelper.endInterval(pause, sessionHelper.OUTCOMES.RESUMED, undefined, minutesIn(15));
+    sessionHelper.endInterval(period, sessionHelper.OUTCOMES.COMPLETED, 25 * 60, minutesIn(30));
+
+    assert.strictEqual(pause.durationSeconds, 5 * 60);
+    assert.strictEqual(pause.outcome, 'resumed');
+    assert.strictEqual(period.durationSeconds, 25 * 60);
+    assert.strictEqual(period.endedAt, minutesIn(30).toISOString());
+  });
+
+  it('rounds the time an interval ran and never makes it negative', () => {
+    const period = startIntervalAt({ type: 'period', mode: 'work' }, START);
+
+    assert.strictEqual(sessionHelper.endInterval(period, sessionHelper.OUTCOMES.SKIPPED, 61.6, minutesIn(2)).durationSeconds, 62);
+    assert.strictEqual(sessionHelper.endInterval(period, sessionHelper.OUTCOMES.SKIPPED, undefined, minutesIn(-1)).durationSeconds, 0);
+  });
+
+  it('records the time the timer wasn\'t running as an interrupted pause', () => {
+    const gap = sessionHelper.createGapInterval({
+      sessionId: 'session-1', ticketId: 'ticket-1', mode: 'work', startedAt: minutesIn(5), endedAt: minutesIn(65)
+    });
+
+    assert.include(gap, {
+      type: 'pause',
+      mode: 'work',
+      outcome: 'interrupted',
+      startedAt: minutesIn(5).toISOString(),
+      endedAt: minutesIn(65).toISOString(),
+      durationSeconds: 60 * 60
+    });
+  });
+
+  it('adds up focus, break and pause time across sessions', () => {
+    const interval = (sessionId, ticketId, type, mode, durationSeconds, outcome) =>
+      ({ sessionId, ticketId, type, mode, durationSeconds, outcome });
+    const intervals = [
+      interval('s1', 't1', 'period', 'work', 1500, 'completed'),
+      interval('s1', 't1', 'pause', 'work', 120, 'resumed'),
+      interval('s1', 't1', 'period', 'shortBreak', 300, 'completed'),
+      interval('s1', 't1', 'period', 'work', 600, 'skipped'),
+      interval('s2', 't2', 'period', 'work', 1500, 'completed'),
+      interval('s2', 't2', 'period', 'longBreak', 900, 'quit')
+    ];
+
+    assert.deepEqual(sessionHelper.summarizeSessions(intervals), {
+      sessions: 2,
+      focusSeconds: 3600,
+      breakSeconds: 1200,
+      pauseSeconds: 120,
+      pomodorosCompleted: 2,
+      workPeriodsCutShort: 1,
+      outcomes: { completed: 3, resumed: 1, skipped: 1, quit: 1 },
+      ticketSeconds: { t1: 2100, t2: 1500 }
+    });
+  });
+
+  it('sums up an empty log', () => {
+    assert.include(sessionHelper.summarizeSessions([]), { sessions: 0, focusSeconds: 0, pomodorosCompleted: 0 });
+  });
+
+  describe('interrupted sessions', () => {
+    let dir;
+    let dataFile;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ticket-hero-test-'));
+      dataFile = path.join(dir, 'data.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    /**
+     * Builds the state of a running work period
+     * @param {Object} [details] - State fields to replace
+     * @returns {Object} The state
+     */
+    function createState(details = {}) {
+      return {
+        sessionId: 'session-1',
+        ticketId: 'ticket-1',
+        mode: 'work',
+        pomodoroCount: 1,
+        timerState: 'running',
+        elapsedSeconds: 600,
+        currentPeriod: startIntervalAt({ type: 'period', mode: 'work', plannedSeconds: 1500 }, START),
+        currentPause: null,
+        ...details
+      };
+    }
+
+    it('saves the running Pomodoro beside the data file and loads it back', () => {
+      const state = createState();
+      sessionHelper.saveActiveSession(dataFile, state);
+
+      const loaded = sessionHelper.loadActiveSession(dataFile);
+
+      assert.strictEqual(sessionHelper.getActiveSessionPath(dataFile), path.join(dir, 'data.session.json'));
+      assert.deepEqual({ ...loaded, heartbeatAt: undefined }, { ...state, heartbeatAt: undefined });
+      assert.isFalse(isNaN(new Date(loaded.heartbeatAt).getTime()));
+      assert.deepEqual(fs.readdirSync(dir), ['data.session.json']);
+    });
+
+    it('still offers a stale session, so the time since its last heartbeat can be recorded as a gap', () => {
+      const heartbeatAt = minutesIn(10).toISOString();
+      fs.writeFileSync(sessionHelper.getActiveSessionPath(dataFile), JSON.stringify({ ...createState(), heartbeatAt }));
+
+      const loaded = sessionHelper.loadActiveSession(dataFile);
+      const gap = sessionHelper.createGapInterval({
+        sessionId: loaded.sessionId,
+        ticketId: loaded.ticketId,
+        mode: loaded.mode,
+        startedAt: new Date(loaded.heartbeatAt),
+        endedAt: minutesIn(8 * 60 + 10)
+      });
+
+      assert.strictEqual(loaded.elapsedSeconds, 600);
+      assert.strictEqual(gap.durationSeconds, 8 * 60 * 60);
+    });
+
+    it('loads a session waiting to start its next period without an open period', () => {
+      sessionHelper.saveActiveSession(dataFile, createState({ timerState: 'waiting', currentPeriod: null }));
+
+      assert.strictEqual(sessionHelper.loadActiveSession(dataFile).timerState, 'waiting');
+    });
+
+    it('ignores session files that are missing, unreadable or incomplete', () => {
+      const sessionPath = sessionHelper.getActiveSessionPath(dataFile);
+      assert.isNull(sessionHelper.loadActiveSession(dataFile));
+
+      fs.writeFileSync(sessionPath, '{"sessionId": "session-1", "tick');
+      assert.isNull(sessionHelper.loadActiveSession(dataFile));
+
+      const heartbeatAt = START.toISOString();
+      [
+        { ...createState(), heartbeatAt: 'not a date' },
+        { ...createState({ sessionId: null }), heartbeatAt },
+        { ...createState({ currentPeriod: null }), heartbeatAt }
+      ].forEach(state => {
+        fs.writeFileSync(sessionPath, JSON.stringify(state));
+        assert.isNull(sessionHelper.loadActiveSession(dataFile));
+      });
+    });
+
+    it('removes the saved session once the Pomodoro has ended', () => {
+      sessionHelper.saveActiveSession(dataFile, createState());
+
+      sessionHelper.clearActiveSession(dataFile);
+      sessionHelper.clearActiveSession(dataFile);
+
+      assert.isNull(sessionHelper.loadActiveSession(dataFile));
+      assert.deepEqual(fs.readdirSync(dir), []);
+    });
+  });
+});
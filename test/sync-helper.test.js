@@ -0,0 +1,169 @@
+// test/sync-helper.test.js
+const { assert } = require('chai');
+const syncHelper = require('../sync-helper');
+
+/**
+ * Builds an issue as returned by jira-helper
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} The issue
+ */
+function createRemote(overrides = {}) {
+  return {
+    id: 'PROJ-1',
+    name: 'PROJ-1: Fix login',
+    storyPoints: 3,
+    status: 'In Progress',
+    statusCategory: 'indeterminate',
+    assignedToMe: true,
+    ...overrides
+  };
+}
+
+/**
+ * Builds a ticket linked to an issue and synced with it as it is in createRemote
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} The ticket
+ */
+function createTicket(overrides = {}) {
+  const ticket = {
+    id: '1',
+    name: 'PROJ-1: Fix login',
+    storyPoints: 3,
+    completed: false,
+    jiraId: 'PROJ-1',
+    ...overrides
+  };
+  ticket.jiraSync = syncHelper.createSnapshot(ticket, createRemote(), new Date('2024-01-01T00:00:00Z'));
+  return ticket;
+}
+
+describe('sync-helper', () => {
+  it('plans nothing when neither side changed', () => {
+    const plan = syncHelper.planTicketSync(createTicket(), createRemote());
+
+    assert.deepEqual(plan.updates, []);
+    assert.deepEqual(plan.conflicts, []);
+    assert.strictEqual(plan.pushCompletion, false);
+    assert.strictEqual(plan.closedRemotely, false);
+    assert.strictEqual(plan.reassigned, false);
+    assert.strictEqual(plan.missing, false);
+  });
+
+  it('pulls fields that changed only in Jira', () => {
+    const plan = syncHelper.planTicketSync(createTicket(), createRemote({ name: 'PROJ-1: Fix sign-in', storyPoints: 5 }));
+
+    assert.deepEqual(plan.updates, [
+      { field: 'name', from: 'PROJ-1: Fix login', to: 'PROJ-1: Fix sign-in' },
+      { field: 'storyPoints', from: 3, to: 5 }
+    ]);
+    assert.deepEqual(plan.conflicts, []);
+  });
+
+  it('keeps fields that changed only locally', () => {
+    const ticket = createTicket();
+    ticket.storyPoints = 8;
+
+    const plan = syncHelper.planTicketSync(ticket, createRemote());
+
+    assert.deepEqual(plan.updates, []);
+    assert.deepEqual(plan.conflicts, []);
+  });
+
+  it('reports fields that changed on both sides as conflicts', () => {
+    const ticket = createTicket();
+    ticket.storyPoints = 8;
+
+    const plan = syncHelper.planTicketSync(ticket, createRemote({ storyPoints: 5 }));
+
+    assert.deepEqual(plan.updates, []);
+    assert.deepEqual(plan.conflicts, [{ field: 'storyPoints', local: 8, remote: 5 }]);
+  });
+
+  it('does not count both sides making the same change as a conflict', () => {
+    const ticket = createTicket();
+    ticket.storyPoints = 5;
+
+    const plan = syncHelper.planTicketSync(ticket, createRemote({ storyPoints: 5 }));
+
+    assert.deepEqual(plan.updates, []);
+    assert.deepEqual(plan.conflicts, []);
+  });
+
+  it('treats tickets synced before snapshots existed as unchanged locally', () => {
+    const ticket = createTicket();
+    delete ticket.jiraSync;
+
+    const plan = syncHelper.planTicketSync(ticket, createRemote({ storyPoints: 5 }));
+
+    assert.deepEqual(plan.updates, [{ field: 'storyPoints', from: 3, to: 5 }]);
+  });
+
+  it('notices issues closed in Jira', () => {
+    const plan = syncHelper.planTicketSync(createTicket(), createRemote({ status: 'Done', statusCategory: 'done' }));
+
+    assert.strictEqual(plan.closedRemotely, true);
+    assert.strictEqual(plan.reassigned, false);
+  });
+
+  it('pushes a local completion when the issue has not moved in Jira', () => {
+    const ticket = createTicket();
+    ticket.completed = true;
+
+    const plan = syncHelper.planTicketSync(ticket, createRemote());
+
+    assert.strictEqual(plan.pushCompletion, true);
+    assert.deepEqual(plan.conflicts, []);
+  });
+
+  it('reports a local completion as a conflict when the issue moved in Jira', () => {
+    const ticket = createTicket();
+    ticket.completed = true;
+
+    const plan = syncHelper.planTicketSync(ticket, createRemote({ status: 'In Review' }));
+
+    assert.strictEqual(plan.pushCompletion, false);
+    assert.deepEqual(plan.conflicts, [{ field: 'status', local: 'Completed', remote: 'In Review' }]);
+  });
+
+  it('does not push a completion that was already pushed', () => {
+    const ticket = createTicket({ completed: true });
+
+    const plan = syncHelper.planTicketSync(ticket, createRemote());
+
+    assert.strictEqual(plan.pushCompletion, false);
+  });
+
+  it('notices open issues reassigned to someone else', () => {
+    const plan = syncHelper.planTicketSync(createTicket(), createRemote({ assignedToMe: false }));
+
+    assert.strictEqual(plan.reassigned, true);
+  });
+
+  it('marks tickets whose issue Jira does not have as missing', () => {
+    const plan = syncHelper.planTicketSync(createTicket(), null);
+
+    assert.strictEqual(plan.missing, true);
+    assert.deepEqual(plan.updates, []);
+  });
+
+  it('records both sides in the snapshot', () => {
+    const now = new Date('2024-02-01T12:00:00Z');
+    const snapshot = syncHelper.createSnapshot({ completed: true }, createRemote(), now);
+
+    assert.deepEqual(snapshot, {
+      name: 'PROJ-1: Fix login',
+      storyPoints: 3,
+      status: 'In Progress',
+      completed: true,
+      syncedAt: '2024-02-01T12:00:00.000Z'
+    });
+  });
+
+  it('is due to sync when it never synced or the last sync is old enough', () => {
+    const now = new Date('2024-01-02T00:00:00Z');
+
+    assert.strictEqual(syncHelper.isSyncDue(null, 24, now), true);
+    assert.strictEqual(syncHelper.isSyncDue('2024-01-01T00:00:00Z', 24, now), true);
+    assert.strictEqual(syncHelper.isSyncDue('2024-01-01T12:00:00Z', 24, now), false);
+  });
+});
@@ -0,0 +1,194 @@
+// test/xp-helper.test.js
+const { assert } = require('chai');
+const xpHelper = require('../xp-helper');
+
+const XP_CONFIG = {
+  baseXpPerStoryPoint: 10,
+  earlyCompletionBonusPercent: 20,
+  streakBonusPercent: 0,
+  xpLevelThresholdMultiplier: 100,
+  levelCurve: 'linear',
+  levelGrowthPercent: 50
+};
+
+/**
+ * Builds what a ticket's XP is worked out from
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} The basis
+ */
+function createBasis(overrides = {}) {
+  return { storyPoints: 3, allocatedTime: 60, minutesSpent: 45, streakDays: 1, ...overrides };
+}
+
+describe('xp-helper', () => {
+  it('charges the same for every level on the linear curve', () => {
+    assert.deepEqual([1, 2, 10].map(level => xpHelper.getLevelCost(level, XP_CONFIG)), [100, 100, 100]);
+    assert.strictEqual(xpHelper.getXpForLevel(4, XP_CONFIG), 300);
+  });
+
+  it('charges the level times the base on the quadratic curve', () => {
+    const xpConfig = { ...XP_CONFIG, levelCurve: 'quadratic' };
+
+    assert.deepEqual([1, 2, 3].map(level => xpHelper.getLevelCost(level, xpConfig)), [100, 200, 300]);
+    assert.strictEqual(xpHelper.getXpForLevel(4, xpConfig), 600);
+  });
+
+  it('grows each level by levelGrowthPercent on the exponential curve', () => {
+    const xpConfig = { ...XP_CONFIG, levelCurve: 'exponential' };
+
+    assert.deepEqual([1, 2, 3].map(level => xpHelper.getLevelCost(level, xpConfig)), [100, 150, 225]);
+  });
+
+  it('needs no XP for level 1', () => {
+    assert.strictEqual(xpHelper.getXpForLevel(1, XP_CONFIG), 0);
+    assert.strictEqual(xpHelper.getLevel(0, XP_CONFIG), 1);
+  });
+
+  it('crosses several levels at once', () => {
+    assert.strictEqual(xpHelper.getLevel(99, XP_CONFIG), 1);
+    assert.strictEqual(xpHelper.getLevel(100, XP_CONFIG), 2);
+    assert.strictEqual(xpHelper.getLevel(450, XP_CONFIG), 5);
+  });
+
+  it('stops at the highest level with extreme settings', () => {
+    const xpConfig = { ...XP_CONFIG, xpLevelThresholdMultiplier: 1 };
+
+    assert.strictEqual(xpHelper.getLevel(Number.MAX_SAFE_INTEGER, xpConfig), 1000);
+  });
+
+  it('works out progress through the current level', () => {
+    const xpConfig = { ...XP_CONFIG, levelCurve: 'quadratic' };
+
+    assert.deepEqual(xpHelper.getProgress(350, xpConfig), { level: 3, levelXp: 50, levelCost: 300, toNextLevel: 250 });
+  });
+
+  it('adds up the XP log and never goes below 0', () => {
+    assert.strictEqual(xpHelper.getTotalXp([]), 0);
+    assert.strictEqual(xpHelper.getTotalXp([{ xp: 50 }, { xp: -20 }]), 30);
+    assert.strictEqual(xpHelper.getTotalXp([{ xp: 10 }, { xp: -20 }]), 0);
+  });
+
+  it('itemizes base XP and an early bonus for finishing within the allocated time', () => {
+    const items = xpHelper.calculateTicketXp(createBasis(), XP_CONFIG);
+
+    assert.deepEqual(items.map(item => [item.type, item.xp]), [['base', 30], ['earlyBonus', 6]]);
+  });
+
+  it('gives the early bonus to a local ticket completed without time logged', () => {
+    const items = xpHelper.calculateTicketXp(createBasis({ minutesSpent: 0 }), XP_CONFIG);
+
+    assert.deepEqual(items.map(item => [item.type, item.xp]), [['base', 30], ['earlyBonus', 6]]);
+  });
+
+  it('gives no early bonus to a ticket claimed from Jira when no time was logged', () => {
+    const items = xpHelper.calculateTicketXp(createBasis({ minutesSpent: 0, claimedFromJira: true }), XP_CONFIG);
+    const worked = xpHelper.calculateTicketXp(createBasis({ claimedFromJira: true }), XP_CONFIG);
+
+    assert.deepEqual(items.map(item => [item.type, item.xp]), [['base', 30]]);
+    assert.deepEqual(worked.map(item => [item.type, item.xp]), [['base', 30], ['earlyBonus', 6]]);
+  });
+
+  it('takes off the overtime percentage, up to all of the base XP', () => {
+    const half = xpHelper.calculateTicketXp(createBasis({ minutesSpent: 90 }), XP_CONFIG);
+    const all = xpHelper.calculateTicketXp(createBasis({ minutesSpent: 300 }), XP_CONFIG);
+
+    assert.deepEqual(half.map(item => [item.type, item.xp]), [['base', 30], ['overtimePenalty', -15]]);
+    assert.deepEqual(all.map(item => [item.type, item.xp]), [['base', 30], ['overtimePenalty', -30]]);
+  });
+
+  it('gives no streak bonus unless it is turned on', () => {
+    const items = xpHelper.calculateTicketXp(createBasis({ streakDays: 5 }), XP_CONFIG);
+
+    assert.ok(items.every(item => item.type !== 'streakBonus'));
+  });
+
+  it('grows the streak bonus for each day after the first, up to a week', () => {
+    const xpConfig = { ...XP_CONFIG, streakBonusPercent: 10 };
+    const streakXp = streakDays => xpHelper.calculateTicketXp(createBasis({ streakDays }), xpConfig)
+      .filter(item => item.type === 'streakBonus')
+      .map(item => item.xp);
+
+    assert.deepEqual(streakXp(1), []);
+    assert.deepEqual(streakXp(3), [6]);
+    assert.deepEqual(streakXp(30), [18]);
+  });
+
+  it('counts days in a row with completed tickets, leaving out unclaimed ones closed in Jira', () => {
+    const completedOn = (day, extra = {}) => ({ completed: true, completedAt: `2024-01-${day}T12:00:00`, ...extra });
+    const tickets = [completedOn('01'), completedOn('03'), completedOn('04', { closedInJira: true }), completedOn('05')];
+
+    assert.strictEqual(xpHelper.getStreakDays(tickets, new Date('2024-01-01T15:00:00')), 1);
+    assert.strictEqual(xpHelper.getStreakDays([...tickets, completedOn('02')], new Date('2024-01-03T15:00:00')), 3);
+    assert.strictEqual(xpHelper.getStreakDays(tickets, new Date('2024-01-05T15:00:00')), 1);
+  });
+
+  it('creates entries that share an award ID, with the basis on the base entry', () => {
+    const now = new Date('2024-01-02T10:00:00Z');
+    const entries = xpHelper.createTicketEntries({ ticketId: 't1', basis: createBasis() }, XP_CONFIG, now);
+
+    assert.strictEqual(entries.length, 2);
+    assert.strictEqual(new Set(entries.map(entry => entry.awardId)).size, 1);
+    assert.strictEqual(new Set(entries.map(entry => entry.id)).size, 2);
+    assert.ok(entries.every(entry => entry.ticketId === 't1' && entry.createdAt === now.toISOString()));
+    assert.deepEqual(entries[0].basis, createBasis());
+    assert.strictEqual(entries[1].basis, undefined);
+  });
+
+  it('creates adjustments as awards of their own', () => {
+    const adjustment = xpHelper.createAdjustment({ xp: -15, reason: 'Counted twice' });
+
+    assert.strictEqual(adjustment.type, 'adjustment');
+    assert.strictEqual(adjustment.awardId, adjustment.id);
+    assert.strictEqual(adjustment.ticketId, null);
+    assert.strictEqual(adjustment.xp, -15);
+  });
+
+  it('replays ticket awards from their recorded basis under new rules', () => {
+    const now = new Date('2024-01-02T10:00:00Z');
+    const xpLog = xpHelper.createTicketEntries({ ticketId: 't1', basis: createBasis() }, XP_CONFIG, now);
+
+    const replayed = xpHelper.replayLog(xpLog, { ...XP_CONFIG, baseXpPerStoryPoint: 20 });
+
+    assert.deepEqual(replayed.map(entry => [entry.type, entry.xp]), [['base', 60], ['earlyBonus', 12]]);
+    assert.ok(replayed.every(entry => entry.awardId === xpLog[0].awardId && entry.ticketId === 't1' &&
+      entry.createdAt === now.toISOString()));
+  });
+
+  it('drops and adds award items when the rules change which apply', () => {
+    const xpLog = xpHelper.createTicketEntries({ ticketId: 't1', basis: createBasis({ streakDays: 3 }) }, XP_CONFIG);
+
+    const withStreaks = xpHelper.replayLog(xpLog, { ...XP_CONFIG, streakBonusPercent: 10 });
+    const withoutStreaks = xpHelper.replayLog(withStreaks, XP_CONFIG);
+
+    assert.deepEqual(withStreaks.map(entry => entry.type), ['base', 'earlyBonus', 'streakBonus']);
+    assert.deepEqual(withoutStreaks.map(entry => entry.type), ['base', 'earlyBonus']);
+  });
+
+  it('keeps the opening balance, adjustments and awards from before itemizing as they are', () => {
+    const xpLog = [
+      { id: 'xp-opening', awardId: 'xp-opening', type: 'opening', ticketId: null, xp: 100, reason: 'Opening', createdAt: '2024-01-01T00:00:00.000Z' },
+      { id: 'xp-1', awardId: 'xp-1', type: 'award', ticketId: 't1', xp: 30, reason: 'Award', createdAt: '2024-01-02T00:00:00.000Z' },
+      // Migrations used to make up a basis for old awards, which must not be replayed either
+      { id: 'xp-2', awardId: 'xp-2', type: 'award', ticketId: 't2', xp: 12, reason: 'Award', createdAt: '2024-01-03T00:00:00.000Z', basis: createBasis() },
+      xpHelper.createAdjustment({ xp: -5, reason: 'Correction' })
+    ];
+
+    assert.deepEqual(xpHelper.replayLog(xpLog, { ...XP_CONFIG, baseXpPerStoryPoint: 50 }), xpLog);
+  });
+
+  it('keeps the order of the log when replaying', () => {
+    const first = xpHelper.createTicketEntries({ ticketId: 't1', basis: createBasis() }, XP_CONFIG);
+    const adjustment = xpHelper.createAdjustment({ xp: 5, reason: 'Pairing' });
+    const second = xpHelper.createTicketEntries({ ticketId: 't2', basis: createBasis({ minutesSpent: 90 }) }, XP_CONFIG);
+
+    const replayed = xpHelper.replayLog([...first, adjustment, ...second], XP_CONFIG);
+
+    assert.deepEqual(replayed.map(entry => [entry.ticketId, entry.type, entry.xp]), [
+      ['t1', 'base', 30],
+      ['t1', 'earlyBonus', 6],
+      [null, 'adjustment', 5],
+      ['t2', 'base', 30],
+      ['t2', 'overtimePenalty', -15]
+    ]);
+  });
+});
@@ -0,0 +1,121 @@
+// worklog-helper.js
+
+// Used when jira.worklogCommentTemplate is not set
+const DEFAULT_COMMENT_TEMPLATE = 'Worked on {ticket} for {duration} ({pomodoros} Pomodoros) - logged by Ticket Hero';
+
+// Used when jira.completionCommentTemplate is not set
+const DEFAULT_COMPLETION_TEMPLATE = 'Completed in Ticket Hero after {pomodoros} Pomodoros: ' +
+  '{timeSpent} spent of {allocated} allocated, {overtime} overtime';
+
+/**
+ * Formats minutes the way Jira shows time, e.g. "1h 30m"
+ * @param {number} minutes - Whole minutes
+ * @returns {string} The formatted duration
+ */
+function formatJiraDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const remainder = minutes % 60;
+  const parts = [];
+  if (hours > 0) parts.push(`${hours}h`);
+  if (remainder > 0 || parts.length === 0) parts.push(`${remainder}m`);
+  return parts.join(' ');
+}
+
+/**
+ * Formats a date the way the Jira worklog API expects, e.g. 2024-01-31T09:30:00.000+0000
+ * @param {Date} date - The date to format
+ * @returns {string} The formatted timestamp
+ */
+function formatJiraTimestamp(date) {
+  return date.toISOString().replace('Z', '+0000');
+}
+
+/**
+ * Fills in a comment template. Unknown placeholders are left as they are.
+ * @param {string} template - Template with placeholders such as {ticket}
+ * @param {Object} values - Values for the placeholders
+ * @returns {string} The comment
+ */
+function renderComment(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) =>
+    (values[key] !== undefined ? String(values[key]) : placeholder));
+}
+
+/**
+ * Adds up the work a session did on a ticket
+ * @param {Object[]} intervals - The session log
+ * @param {string} sessionId - The session to add up
+ * @returns {Object} Work seconds, completed Pomodoros and when the first work period started
+ */
+function summarizeSessionWork(intervals, sessionId) {
+  const workPeriods = intervals.filter(interval =>
+    interval.sessionId === sessionId && interval.type === 'period' && interval.mode === 'work');
+
+  return {
+    seconds: workPeriods.reduce((sum, interval) => sum + interval.durationSeconds, 0),
+    pomodoros: workPeriods.filter(interval => interval.outcome === 'completed').length,
+    started: workPeriods.length > 0 ? workPeriods[0].startedAt : null
+  };
+}
+
+/**
+ * Creates the worklog for everything a session did on a Jira-linked ticket
+ * @param {Object} options - Worklog details
+ * @param {Object} options.ticket - The ticket the session worked on
+ * @param {string} options.sessionId - The session to log
+ * @param {Object[]} options.intervals - The session log
+ * @param {string} [options.template] - Comment template
+ * @returns {Object|null} The worklog for the outbox, or null if there is less than a minute to log
+ */
+function createSessionWorklog({ ticket, sessionId, intervals, template = DEFAULT_COMMENT_TEMPLATE }) {
+  const work = summarizeSessionWork(intervals, sessionId);
+  const minutes = Math.round(work.seconds / 60);
+  if (minutes < 1) return null; // Jira doesn't accept worklogs under a minute
+
+  return {
+    sessionId,
+    started: work.started,
+    minutes,
+    comment: renderComment(template, {
+      ticket: ticket.name,
+      jiraId: ticket.jiraId,
+      duration: formatJiraDuration(minutes),
+      pomodoros: work.pomodoros,
+      date: work.started.slice(0, 10)
+    })
+  };
+}
+
+/**
+ * Creates the comment summing up the work on a ticket when it is completed
+ * @param {Object} options - Comment details
+ * @param {Object} options.ticket - The completed ticket
+ * @param {Object[]} options.intervals - The session log
+ * @param {string} [options.template] - Comment template
+ * @returns {string} The comment
+ */
+function createCompletionComment({ ticket, intervals, template = DEFAULT_COMPLETION_TEMPLATE }) {
+  const pomodoros = intervals.filter(interval => interval.ticketId === ticket.id && interval.type === 'period' &&
+    interval.mode === 'work' && interval.outcome === 'completed').length;
+  const minutesSpent = Math.round(ticket.timeSpentSeconds / 60);
+
+  return renderComment(template, {
+    ticket: ticket.name,
+    jiraId: ticket.jiraId,
+    pomodoros,
+    timeSpent: formatJiraDuration(minutesSpent),
+    allocated: formatJiraDuration(Math.round(ticket.allocatedTime)),
+    overtime: formatJiraDuration(Math.max(0, minutesSpent - Math.round(ticket.allocatedTime)))
+  });
+}
+
+module.exports = {
+  DEFAULT_COMMENT_TEMPLATE,
+  DEFAULT_COMPLETION_TEMPLATE,
+  formatJiraDuration,
+  formatJiraTimestamp,
+  renderComment,
+  summarizeSessionWork,
+  createSessionWorklog,
+  createCompletionComment
+};
@@ -0,0 +1,291 @@
+// xp-helper.js
+
+// How the XP needed for each level grows
+const LEVEL_CURVES = {
+  linear: 'Linear',
+  quadratic: 'Quadratic',
+  exponential: 'Exponential'
+};
+
+// Stops level calculations running away with extreme settings
+const MAX_LEVEL = 1000;
+
+// Kinds of XP log entries. A ticket's award is itemized into base XP and the bonuses and
+// penalties applied to it, which share an awardId.
+const ENTRY_TYPES = {
+  BASE: 'base',
+  EARLY_BONUS: 'earlyBonus',
+  OVERTIME_PENALTY: 'overtimePenalty',
+  STREAK_BONUS: 'streakBonus',
+  ADJUSTMENT: 'adjustment',
+  // XP earned before the XP log existed
+  OPENING: 'opening',
+  // A ticket's XP from before awards were itemized
+  AWARD: 'award'
+};
+
+// Names of entry types for the XP history
+const ENTRY_TYPE_NAMES = {
+  base: 'Base',
+  earlyBonus: 'Early bonus',
+  overtimePenalty: 'Overtime penalty',
+  streakBonus: 'Streak bonus',
+  adjustment: 'Adjustment',
+  opening: 'Opening balance',
+  award: 'Award'
+};
+
+// Streak bonuses stop growing after this many days in a row
+const MAX_STREAK_DAYS = 7;
+
+let lastIdTime = 0;
+
+/**
+ * Generates a unique, time-ordered ID for XP log entries
+ * @returns {string} The ID
+ */
+function generateId() {
+  lastIdTime = Math.max(Date.now(), lastIdTime + 1);
+  return `xp-${lastIdTime.toString(36)}`;
+}
+
+/**
+ * Gets the XP it takes to go from a level to the next one. Every level costs
+ * xpLevelThresholdMultiplier on the linear curve, that times the level on the quadratic curve,
+ * and levelGrowthPercent more than the previous level on the exponential curve.
+ * @param {number} level - The level being left
+ * @param {Object} xpConfig - The xp section of the config
+ * @returns {number} The XP for that level
+ */
+function getLevelCost(level, xpConfig) {
+  const base = xpConfig.xpLevelThresholdMultiplier;
+  switch (xpConfig.levelCurve) {
+    case 'quadratic':
+      return base * level;
+    case 'exponential':
+      return Math.max(1, Math.round(base * (1 + xpConfig.levelGrowthPercent / 100) ** (level - 1)));
+    default:
+      return base;
+  }
+}
+
+/**
+ * Gets the total XP needed to reach a level
+ * @param {number} level - The level
+ * @param {Object} xpConfig - The xp section of the config
+ * @returns {number} The XP, which is 0 for level 1
+ */
+function getXpForLevel(level, xpConfig) {
+  let xp = 0;
+  for (let current = 1; current < level; current++) {
+    xp += getLevelCost(current, xpConfig);
+  }
+  return xp;
+}
+
+/**
+ * Works out the level a total of XP reaches, however many thresholds it crosses
+ * @param {number} xp - The total XP
+ * @param {Object} xpConfig - The xp section of the config
+ * @returns {number} The level
+ */
+function getLevel(xp, xpConfig) {
+  let level = 1;
+  let nextLevelXp = getLevelCost(1, xpConfig);
+  while (xp >= nextLevelXp && level < MAX_LEVEL) {
+    level++;
+    nextLevelXp += getLevelCost(level, xpConfig);
+  }
+  return level;
+}
+
+/**
+ * Works out how far a total of XP is through its level
+ * @param {number} xp - The total XP
+ * @param {Object} xpConfig - The xp section of the config
+ * @returns {Object} The level, the XP earned in it, the XP the level takes and the XP still
+ *   needed for the next one, as {level, levelXp, levelCost, toNextLevel}
+ */
+function getProgress(xp, xpConfig) {
+  const level = getLevel(xp, xpConfig);
+  const levelXp = xp - getXpForLevel(level, xpConfig);
+  const levelCost = getLevelCost(level, xpConfig);
+  return { level, levelXp, levelCost, toNextLevel: Math.max(0, levelCost - levelXp) };
+}
+
+/**
+ * Describes a level curve for the settings menu
+ * @param {Object} xpConfig - The xp section of the config
+ * @returns {string} The description
+ */
+function describeCurve(xpConfig) {
+  const base = xpConfig.xpLevelThresholdMultiplier;
+  switch (xpConfig.levelCurve) {
+    case 'quadratic':
+      return `Quadratic (${base} XP times the level)`;
+    case 'exponential':
+      return `Exponential (${base} XP, then ${xpConfig.levelGrowthPercent}% more per level)`;
+    default:
+      return `Linear (${base} XP per level)`;
+  }
+}
+
+/**
+ * Counts the days in a row, up to and including a ticket's completion day, on which tickets
+ * were completed. Tickets closed in Jira that the user hasn't claimed don't count.
+ * @param {Object[]} tickets - All tickets, including the one just completed
+ * @param {Date} completedAt - When the ticket was completed
+ * @returns {number} The streak in days, which is at least 1
+ */
+function getStreakDays(tickets, completedAt) {
+  const completedDays = new Set(tickets
+    .filter(ticket => ticket.completed && ticket.completedAt && !ticket.closedInJira)
+    .map(ticket => new Date(ticket.completedAt).toDateString()));
+
+  let days = 1;
+  const day = new Date(completedAt);
+  for (day.setDate(day.getDate() - 1); completedDays.has(day.toDateString()); day.setDate(day.getDate() - 1)) {
+    days++;
+  }
+  return days;
+}
+
+/**
+ * Works out the XP for completing a ticket, item by item. Base XP comes from the story
+ * points. Overtime takes off the same percentage of it, up to all of it; otherwise finishing
+ * within the allocated time adds earlyCompletionBonusPercent. A ticket claimed after it was
+ * closed in Jira only gets that bonus if time was logged on it. Each day of a streak after
+ * the first adds streakBonusPercent, up to MAX_STREAK_DAYS.
+ * @param {Object} basis - What the XP is worked out from
+ * @param {number} basis.storyPoints - The ticket's story points
+ * @param {number} basis.allocatedTime - Its allocated minutes
+ * @param {number} basis.minutesSpent - The minutes actually worked
+ * @param {number} basis.streakDays - Days in a row with completed tickets, from getStreakDays
+ * @param {boolean} [basis.claimedFromJira] - Whether the ticket was closed in Jira and claimed afterwards
+ * @param {Object} xpConfig - The xp section of the config
+ * @returns {Object[]} The items, as {type, xp, reason}, starting with the base XP
+ */
+function calculateTicketXp(basis, xpConfig) {
+  const base = basis.storyPoints * xpConfig.baseXpPerStoryPoint;
+  const items = [{ type: ENTRY_TYPES.BASE, xp: base, reason: `${basis.storyPoints} SP at ${xpConfig.baseXpPerStoryPoint} XP each` }];
+
+  const overtime = Math.max(0, basis.minutesSpent - basis.allocatedTime);
+  if (overtime > 0) {
+    const penaltyPercentage = Math.min(100, Math.floor((overtime / basis.allocatedTime) * 100));
+    items.push({
+      type: ENTRY_TYPES.OVERTIME_PENALTY,
+      xp: -Math.floor((base * penaltyPercentage) / 100),
+      reason: `${penaltyPercentage}% penalty for ${Math.round(overtime)} minutes of overtime`
+    });
+  } else if (!basis.claimedFromJira || basis.minutesSpent > 0) {
+    items.push({
+      type: ENTRY_TYPES.EARLY_BONUS,
+      xp: Math.floor(base * (xpConfig.earlyCompletionBonusPercent / 100)),
+      reason: `${xpConfig.earlyCompletionBonusPercent}% bonus for finishing within the allocated time`
+    });
+  }
+
+  const streakDays = Math.min(basis.streakDays, MAX_STREAK_DAYS);
+  if (streakDays > 1 && xpConfig.streakBonusPercent > 0) {
+    const streakPercentage = (streakDays - 1) * xpConfig.streakBonusPercent;
+    items.push({
+      type: ENTRY_TYPES.STREAK_BONUS,
+      xp: Math.floor((base * streakPercentage) / 100),
+      reason: `${streakPercentage}% bonus for a ${basis.streakDays}-day streak`
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Creates the XP log entries for completing a ticket
+ * @param {Object} details - Award details
+ * @param {string} details.ticketId - The completed ticket
+ * @param {Object} details.basis - What the XP is worked out from, as for calculateTicketXp
+ * @param {Object} xpConfig - The xp section of the config
+ * @param {Date} [now] - When the ticket was completed
+ * @param {string} [awardId] - The award's ID, kept when an award is replayed
+ * @returns {Object[]} The entries. The base entry keeps the basis so the award can be replayed.
+ */
+function createTicketEntries({ ticketId, basis }, xpConfig, now = new Date(), awardId = generateId()) {
+  return calculateTicketXp(basis, xpConfig).map(item => ({
+    id: generateId(),
+    awardId,
+    type: item.type,
+    ticketId,
+    xp: item.xp,
+    reason: item.reason,
+    createdAt: now.toISOString(),
+    ...(item.type === ENTRY_TYPES.BASE ? { basis } : {})
+  }));
+}
+
+/**
+ * Creates an XP log entry for a manual adjustment
+ * @param {Object} details - Adjustment details
+ * @param {number} details.xp - The XP to add, or take away if negative
+ * @param {string} details.reason - Why
+ * @param {Date} [now] - When it was made
+ * @returns {Object} The entry
+ */
+function createAdjustment({ xp, reason }, now = new Date()) {
+  const id = generateId();
+  return { id, awardId: id, type: ENTRY_TYPES.ADJUSTMENT, ticketId: null, xp, reason, createdAt: now.toISOString() };
+}
+
+/**
+ * Works out the XP log again under new XP rules. Ticket awards are recalculated from the basis
+ * their base entry recorded when they were made, keeping their ticket and date. Adjustments,
+ * the opening balance and awards from before they were itemized are kept as they are.
+ * @param {Object[]} xpLog - The XP log
+ * @param {Object} xpConfig - The xp section of the config
+ * @returns {Object[]} The replayed log
+ */
+function replayLog(xpLog, xpConfig) {
+  const replayed = [];
+  const seenAwards = new Set();
+
+  xpLog.forEach(entry => {
+    if (seenAwards.has(entry.awardId)) return;
+
+    const award = xpLog.filter(other => other.awardId === entry.awardId);
+    const withBasis = award.find(other => other.type === ENTRY_TYPES.BASE && other.basis);
+    if (!withBasis || !entry.awardId) {
+      replayed.push(entry);
+      return;
+    }
+
+    seenAwards.add(entry.awardId);
+    replayed.push(...createTicketEntries({ ticketId: withBasis.ticketId, basis: withBasis.basis },
+      xpConfig, new Date(withBasis.createdAt), entry.awardId));
+  });
+
+  return replayed;
+}
+
+/**
+ * Adds up the XP in the log
+ * @param {Object[]} xpLog - The XP log
+ * @returns {number} The total XP, never below 0
+ */
+function getTotalXp(xpLog) {
+  return Math.max(0, xpLog.reduce((total, entry) => total + entry.xp, 0));
+}
+
+module.exports = {
+  LEVEL_CURVES,
+  ENTRY_TYPES,
+  ENTRY_TYPE_NAMES,
+  getLevelCost,
+  getXpForLevel,
+  getLevel,
+  getProgress,
+  describeCurve,
+  getStreakDays,
+  calculateTicketXp,
+  createTicketEntries,
+  createAdjustment,
+  replayLog,
+  getTotalXp
+};